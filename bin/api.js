@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Usage: npm run api
+ *
+ * Serves the HTTP API (see src/Api.js) on PORT (default 3000) against the
+ * (migrated) database in DATABASE_URL. Generation needs VITE_GEMINI_API_KEY.
+ */
+
+const { Pool } = require('pg');
+const { createApiServer } = require('../src/Api');
+
+if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL is not set');
+    process.exit(1);
+}
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+const port = Number(process.env.PORT || 3000);
+
+const server = createApiServer({ db: pool });
+server.listen(port, () => {
+    console.log(`Akustik Produkt API listening on port ${port} (OpenAPI document at /openapi.json)`);
+});
+
+process.on('SIGTERM', () => {
+    server.close(() => pool.end());
+});
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Usage: npm run migrate -- [up [version] | down [steps] | status]
+ *
+ * Connects to the database in DATABASE_URL and applies, reverts or lists
+ * the migrations in `migrations/`.
+ */
+
+const { Client } = require('pg');
+const { migrateUp, migrateDown, getStatus } = require('../src/Migrator');
+
+const USAGE = 'Usage: npm run migrate -- [up [version] | down [steps] | status]';
+
+const label = (migration) => `${migration.version}_${migration.name}`;
+
+/**
+ * Checks the command line before connecting; returns an error message for
+ * anything the commands cannot take.
+ */
+function checkArgs(command, arg) {
+    switch (command) {
+        case 'up':
+            return arg === undefined || /^\d+$/.test(arg) ? null : `Invalid target version: ${arg}`;
+        case 'down':
+            return arg === undefined || (/^\d+$/.test(arg) && Number(arg) >= 1) ? null : `Invalid number of steps: ${arg}`;
+        case 'status':
+            return arg === undefined ? null : `Unexpected argument: ${arg}`;
+        default:
+            return `Unknown command: ${command}`;
+    }
+}
+
+async function run(command, arg) {
+    const client = new Client({ connectionString: process.env.DATABASE_URL });
+    await client.connect();
+
+    try {
+        switch (command) {
+            case 'up': {
+                const applied = await migrateUp(client, { to: arg });
+                applied.forEach(migration => console.log(`applied  ${label(migration)}`));
+                console.log(applied.length ? `${applied.length} migration(s) applied` : 'Schema is up to date');
+                break;
+            }
+            case 'down': {
+                const steps = arg === undefined ? 1 : Number(arg);
+                const reverted = await migrateDown(client, { steps });
+                reverted.forEach(migration => console.log(`reverted ${label(migration)}`));
+                console.log(`${reverted.length} migration(s) reverted`);
+                break;
+            }
+            case 'status': {
+                const status = await getStatus(client);
+                status.forEach(migration => {
+                    const state = !migration.applied ? 'pending'
+                        : migration.checksumMatches ? 'applied' : 'CHANGED';
+                    console.log(`${state.padEnd(8)} ${label(migration)}`);
+                });
+                break;
+            }
+        }
+    } finally {
+        await client.end();
+    }
+}
+
+const [command = 'up', arg] = process.argv.slice(2);
+const usageError = checkArgs(command, arg);
+if (usageError) {
+    console.error(`${usageError}\n${USAGE}`);
+    process.exit(1);
+}
+
+if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL is not set');
+    process.exit(1);
+}
+
+run(command, arg).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
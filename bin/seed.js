@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Usage: npm run seed -- <scenario> | --list
+ *
+ * Loads a named scenario from `seeds/` into the (migrated) database in
+ * DATABASE_URL, in a single transaction.
+ */
+
+const { Client } = require('pg');
+const { listScenarios, seedScenario } = require('../src/Seeds');
+
+const USAGE = 'Usage: npm run seed -- <scenario> | --list';
+
+async function run(scenario) {
+    const client = new Client({ connectionString: process.env.DATABASE_URL });
+    await client.connect();
+
+    try {
+        await client.query('BEGIN');
+        const seeded = await seedScenario(client, scenario);
+        await client.query('COMMIT');
+        seeded.users.forEach(({ user, tracks, content }) => {
+            console.log(`seeded   ${user.email}: ${tracks.length} track(s), ${content.length} AI generation(s)`);
+        });
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        await client.end();
+    }
+}
+
+const [scenario] = process.argv.slice(2);
+
+if (!scenario) {
+    console.error(`Missing scenario\n${USAGE}`);
+    process.exit(1);
+}
+
+if (scenario === '--list') {
+    listScenarios().forEach(name => console.log(name));
+    process.exit(0);
+}
+
+if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL is not set');
+    process.exit(1);
+}
+
+run(scenario).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Usage: npm run benchmark -- [--iterations N] [--image postgres:14-alpine]
+ *            [--history file] [--baseline file] [--tolerance 0.25]
+ *            [--update-baseline] [--json]
+ *
+ * Times the PostgreSQL container lifecycle N times on the configured
+ * runtime, appends the result to the history file and compares it with the
+ * stored baseline for the same runtime kind. Exits with 1 on a regression.
+ * `--update-baseline` stores this run as the new baseline instead.
+ */
+
+const {
+    HISTORY_PATH,
+    BASELINE_PATH,
+    runBenchmark,
+    appendHistory,
+    saveBaseline,
+    checkRegression,
+    formatResult,
+} = require('../src/Benchmark');
+
+const USAGE = 'Usage: npm run benchmark -- [--iterations N] [--image postgres:14-alpine] [--history file] ' +
+    '[--baseline file] [--tolerance 0.25] [--update-baseline] [--json]';
+
+// A NaN tolerance would make every comparison false and hide regressions.
+function parseTolerance(value) {
+    const tolerance = Number(value);
+    if (value === undefined || value.trim() === '' || !Number.isFinite(tolerance) || tolerance < 0) {
+        throw new Error(`Invalid tolerance: ${value} (expected a number >= 0, e.g. 0.25)`);
+    }
+    return tolerance;
+}
+
+function parseArgs(argv) {
+    const options = {
+        iterations: 5,
+        image: undefined,
+        history: HISTORY_PATH,
+        baseline: BASELINE_PATH,
+        tolerance: undefined,
+        updateBaseline: false,
+        json: false,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--iterations': options.iterations = Number(argv[++i]); break;
+            case '--image': options.image = argv[++i]; break;
+            case '--history': options.history = argv[++i]; break;
+            case '--baseline': options.baseline = argv[++i]; break;
+            case '--tolerance': options.tolerance = parseTolerance(argv[++i]); break;
+            case '--update-baseline': options.updateBaseline = true; break;
+            case '--json': options.json = true; break;
+            default: throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    if (!Number.isInteger(options.iterations) || options.iterations < 1) {
+        throw new Error(`Invalid number of iterations: ${options.iterations}`);
+    }
+    return options;
+}
+
+async function run(options) {
+    const result = await runBenchmark({
+        iterations: options.iterations,
+        image: options.image,
+        onIteration: (iteration) => {
+            if (!options.json) console.error(`iteration ${iteration}/${options.iterations} done`);
+        },
+    });
+    appendHistory(result, options.history);
+
+    if (options.updateBaseline) {
+        saveBaseline(result, options.baseline);
+    }
+    const regression = options.updateBaseline
+        ? { ok: true, baseline: null, regressions: [] }
+        : checkRegression(result, { file: options.baseline, tolerance: options.tolerance });
+
+    if (options.json) {
+        console.log(JSON.stringify({ result, regression }, null, 2));
+    } else {
+        console.log(formatResult(result));
+        if (options.updateBaseline) {
+            console.log(`Baseline for ${result.runtime.kind} updated`);
+        } else if (!regression.baseline) {
+            console.log(`No baseline for ${result.runtime.kind} yet; store one with --update-baseline`);
+        }
+        regression.regressions.forEach(({ phase, baselineMs, currentMs, ratio }) => {
+            console.log(`REGRESSION ${phase}: p50 ${currentMs} ms vs baseline ${baselineMs} ms (x${ratio})`);
+        });
+    }
+    return regression.ok;
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(1);
+}
+
+run(options).then(ok => {
+    process.exit(ok ? 0 : 1);
+}).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
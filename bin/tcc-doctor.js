@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/**
+ * Usage: npx tcc-doctor [--json]
+ *
+ * Checks that this machine can run Testcontainers tests (ideally on
+ * Testcontainers Cloud) and explains how to fix whatever is broken.
+ * `--json` prints the report as JSON for CI. Exits with 1 when a check fails.
+ */
+
+const { runDoctor, formatReport } = require('../src/Doctor');
+
+const json = process.argv.slice(2).includes('--json');
+
+runDoctor().then(report => {
+    console.log(json ? JSON.stringify(report, null, 2) : formatReport(report));
+    // Lingering engine sockets would otherwise keep the process alive.
+    process.exit(report.ok ? 0 : 1);
+}).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
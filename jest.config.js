@@ -0,0 +1,7 @@
+/**
+ * One PostgreSQL container per Jest run; see src/TestDatabase.js.
+ */
+module.exports = {
+    globalSetup: '<rootDir>/src/jest/globalSetup.js',
+    globalTeardown: '<rootDir>/src/jest/globalTeardown.js',
+};
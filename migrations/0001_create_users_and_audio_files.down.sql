@@ -0,0 +1,2 @@
+DROP TABLE audio_files;
+DROP TABLE users;
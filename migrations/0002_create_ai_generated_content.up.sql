@@ -0,0 +1,7 @@
+CREATE TABLE ai_generated_content (
+    id SERIAL PRIMARY KEY,
+    content_type VARCHAR(50) NOT NULL,
+    input_data JSONB,
+    output_data JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
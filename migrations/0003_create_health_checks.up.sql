@@ -0,0 +1,5 @@
+CREATE TABLE health_checks (
+    id SERIAL PRIMARY KEY,
+    service_status JSONB,
+    checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,5 @@
+ALTER TABLE audio_files
+    DROP COLUMN duration_seconds,
+    DROP COLUMN sample_rate,
+    DROP COLUMN channels,
+    DROP COLUMN bit_depth;
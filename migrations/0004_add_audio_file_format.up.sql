@@ -0,0 +1,5 @@
+ALTER TABLE audio_files
+    ADD COLUMN duration_seconds DOUBLE PRECISION,
+    ADD COLUMN sample_rate INTEGER,
+    ADD COLUMN channels SMALLINT,
+    ADD COLUMN bit_depth SMALLINT;
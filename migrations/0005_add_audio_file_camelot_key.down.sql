@@ -0,0 +1 @@
+ALTER TABLE audio_files DROP COLUMN camelot_key;
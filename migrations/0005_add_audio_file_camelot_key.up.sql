@@ -0,0 +1,5 @@
+ALTER TABLE audio_files
+    ADD COLUMN camelot_key VARCHAR(3)
+        CONSTRAINT audio_files_camelot_key_check CHECK (camelot_key ~ '^(1[0-2]|[1-9])[AB]$');
+
+CREATE INDEX audio_files_user_id_camelot_key_idx ON audio_files (user_id, camelot_key);
@@ -0,0 +1,13 @@
+DROP INDEX ai_generated_content_version_idx;
+
+ALTER TABLE ai_generated_content
+    DROP COLUMN user_id,
+    DROP COLUMN audio_file_id,
+    DROP COLUMN version,
+    DROP COLUMN model,
+    DROP COLUMN prompt_version,
+    DROP COLUMN latency_ms,
+    DROP COLUMN prompt_tokens,
+    DROP COLUMN completion_tokens,
+    DROP COLUMN total_tokens,
+    DROP COLUMN rolled_back_from;
@@ -0,0 +1,25 @@
+ALTER TABLE ai_generated_content
+    ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    ADD COLUMN audio_file_id INTEGER REFERENCES audio_files(id) ON DELETE CASCADE,
+    ADD COLUMN version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN model VARCHAR(100),
+    ADD COLUMN prompt_version VARCHAR(50),
+    ADD COLUMN latency_ms INTEGER,
+    ADD COLUMN prompt_tokens INTEGER,
+    ADD COLUMN completion_tokens INTEGER,
+    ADD COLUMN total_tokens INTEGER,
+    ADD COLUMN rolled_back_from INTEGER;
+
+-- Number rows written before versioning existed in insertion order.
+UPDATE ai_generated_content c
+SET version = numbered.version
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY content_type ORDER BY id) AS version
+    FROM ai_generated_content
+) numbered
+WHERE c.id = numbered.id;
+
+-- One row per version of each piece of content; content without a track
+-- (e.g. growth content) is versioned per user.
+CREATE UNIQUE INDEX ai_generated_content_version_idx
+    ON ai_generated_content (COALESCE(user_id, 0), COALESCE(audio_file_id, 0), content_type, version);
@@ -0,0 +1,22 @@
+-- One job per generated content and platform. Workers claim due jobs with
+-- FOR UPDATE SKIP LOCKED; failed jobs are rescheduled with backoff and end
+-- up 'dead' after max_attempts.
+CREATE TABLE publish_jobs (
+    id SERIAL PRIMARY KEY,
+    content_id INTEGER NOT NULL REFERENCES ai_generated_content(id) ON DELETE CASCADE,
+    platform VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+        CONSTRAINT publish_jobs_status_check CHECK (status IN ('scheduled', 'running', 'published', 'dead')),
+    run_at TIMESTAMPTZ NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    last_error TEXT,
+    locked_by VARCHAR(100),
+    locked_at TIMESTAMPTZ,
+    external_id VARCHAR(255),
+    published_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX publish_jobs_content_platform_idx ON publish_jobs (content_id, platform);
+CREATE INDEX publish_jobs_due_idx ON publish_jobs (run_at) WHERE status = 'scheduled';
@@ -0,0 +1,3 @@
+ALTER TABLE ai_generated_content
+    DROP COLUMN prompt_variant,
+    DROP COLUMN engagement;
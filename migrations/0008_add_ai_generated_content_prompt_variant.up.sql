@@ -0,0 +1,6 @@
+ALTER TABLE ai_generated_content
+    ADD COLUMN prompt_variant VARCHAR(50),
+    ADD COLUMN engagement JSONB;
+
+-- Everything generated so far used the only template there was.
+UPDATE ai_generated_content SET prompt_variant = 'default' WHERE prompt_version IS NOT NULL;
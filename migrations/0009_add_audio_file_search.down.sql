@@ -0,0 +1,11 @@
+DROP TRIGGER ai_generated_content_search_refresh ON ai_generated_content;
+DROP TRIGGER audio_files_search_refresh ON audio_files;
+DROP FUNCTION ai_generated_content_search_trigger();
+DROP FUNCTION audio_files_search_trigger();
+DROP FUNCTION refresh_audio_file_search_vector(INTEGER);
+
+ALTER TABLE audio_files
+    DROP COLUMN search_vector,
+    DROP COLUMN title;
+
+DROP EXTENSION IF EXISTS pg_trgm;
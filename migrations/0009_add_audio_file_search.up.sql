@@ -0,0 +1,54 @@
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- `cyber_dreams.wav` is titled "cyber dreams".
+ALTER TABLE audio_files
+    ADD COLUMN title VARCHAR(255) GENERATED ALWAYS AS (
+        btrim(regexp_replace(regexp_replace(filename, '\.[^.]*$', ''), '[_\s-]+', ' ', 'g'))
+    ) STORED,
+    ADD COLUMN search_vector TSVECTOR;
+
+-- Weighted document of a track: its title, then genre and mood, then the
+-- text of its latest DJ promo.
+CREATE FUNCTION refresh_audio_file_search_vector(file_id INTEGER) RETURNS VOID AS $$
+    UPDATE audio_files af
+    SET search_vector =
+        setweight(to_tsvector('english', COALESCE(af.title, '')), 'A') ||
+        setweight(to_tsvector('english', concat_ws(' ', af.genre, af.mood)), 'B') ||
+        setweight(COALESCE((
+            SELECT jsonb_to_tsvector('english', c.output_data, '["string"]')
+            FROM ai_generated_content c
+            WHERE c.audio_file_id = af.id AND c.content_type = 'dj_promo'
+            ORDER BY c.version DESC
+            LIMIT 1
+        ), ''::tsvector), 'C')
+    WHERE af.id = file_id;
+$$ LANGUAGE sql;
+
+CREATE FUNCTION audio_files_search_trigger() RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM refresh_audio_file_search_vector(NEW.id);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE FUNCTION ai_generated_content_search_trigger() RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.audio_file_id IS NOT NULL AND NEW.content_type = 'dj_promo' THEN
+        PERFORM refresh_audio_file_search_vector(NEW.audio_file_id);
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audio_files_search_refresh
+    AFTER INSERT OR UPDATE OF filename, genre, mood ON audio_files
+    FOR EACH ROW EXECUTE FUNCTION audio_files_search_trigger();
+
+CREATE TRIGGER ai_generated_content_search_refresh
+    AFTER INSERT ON ai_generated_content
+    FOR EACH ROW EXECUTE FUNCTION ai_generated_content_search_trigger();
+
+SELECT refresh_audio_file_search_vector(id) FROM audio_files;
+
+CREATE INDEX audio_files_search_vector_idx ON audio_files USING GIN (search_vector);
+CREATE INDEX audio_files_title_trgm_idx ON audio_files USING GIN (title gin_trgm_ops);
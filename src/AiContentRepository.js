@@ -0,0 +1,228 @@
+/**
+ * AI Content Repository - versioned, auditable storage of AI generations
+ *
+ * Every generation is appended to `ai_generated_content` as a new version
+ * of the content of its kind for a user/track, together with provenance:
+ * model, prompt version and variant, latency and token usage. Nothing is
+ * overwritten, so the full history of what was generated (and published)
+ * stays available, and rolling back re-publishes an earlier version as a
+ * new one. Engagement recorded after publishing is what prompt variants
+ * are compared on.
+ */
+
+const { generateWithProvenance } = require('./GeminiService');
+
+// GeminiService generator name -> ai_generated_content.content_type
+const CONTENT_TYPES = {
+    djPromo: 'dj_promo',
+    socialUplink: 'social_uplink',
+    growthContent: 'growth_content',
+};
+
+const UNIQUE_VIOLATION = '23505';
+const MAX_VERSION_ATTEMPTS = 3;
+
+// Rows belong to the same version history when user, track and content
+// type match; NULL matches NULL so track-less content is versioned too.
+const SAME_HISTORY = `
+    user_id IS NOT DISTINCT FROM $1
+    AND audio_file_id IS NOT DISTINCT FROM $2
+    AND content_type = $3
+`;
+
+class AiContentRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Stores a generation as the next version of its history and returns
+     * the new row. Concurrent writers racing for the same version number
+     * are retried.
+     */
+    async save({ userId = null, audioFileId = null, contentType, input, output, provenance = {}, rolledBackFrom = null }) {
+        const usage = provenance.usage || {};
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const result = await this.db.query(`
+                    INSERT INTO ai_generated_content (
+                        user_id, audio_file_id, content_type, version, input_data, output_data,
+                        model, prompt_version, latency_ms, prompt_tokens, completion_tokens, total_tokens,
+                        rolled_back_from, prompt_variant
+                    )
+                    SELECT $1::int, $2::int, $3::varchar, COALESCE(MAX(version), 0) + 1, $4::jsonb, $5::jsonb,
+                        $6::varchar, $7::varchar, $8::int, $9::int, $10::int, $11::int, $12::int, $13::varchar
+                    FROM ai_generated_content
+                    WHERE ${SAME_HISTORY}
+                    RETURNING *
+                `, [
+                    userId, audioFileId, contentType,
+                    JSON.stringify(input ?? null), JSON.stringify(output),
+                    provenance.model ?? null, provenance.promptVersion ?? null, provenance.latencyMs ?? null,
+                    usage.promptTokens ?? null, usage.completionTokens ?? null, usage.totalTokens ?? null,
+                    rolledBackFrom, provenance.promptVariant ?? null,
+                ]);
+                return result.rows[0];
+            } catch (error) {
+                if (error.code !== UNIQUE_VIOLATION || attempt >= MAX_VERSION_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async findLatest({ userId = null, audioFileId = null, contentType }) {
+        const result = await this.db.query(`
+            SELECT * FROM ai_generated_content
+            WHERE ${SAME_HISTORY}
+            ORDER BY version DESC
+            LIMIT 1
+        `, [userId, audioFileId, contentType]);
+        return result.rows[0] || null;
+    }
+
+    async findVersion({ userId = null, audioFileId = null, contentType }, version) {
+        const result = await this.db.query(`
+            SELECT * FROM ai_generated_content
+            WHERE ${SAME_HISTORY} AND version = $4
+        `, [userId, audioFileId, contentType, version]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Lists all versions, newest first.
+     */
+    async listHistory({ userId = null, audioFileId = null, contentType }) {
+        const result = await this.db.query(`
+            SELECT * FROM ai_generated_content
+            WHERE ${SAME_HISTORY}
+            ORDER BY version DESC
+        `, [userId, audioFileId, contentType]);
+        return result.rows;
+    }
+
+    /**
+     * Lists every generation for a track across all content types,
+     * grouped by content type and newest version first.
+     */
+    async listForTrack(audioFileId) {
+        const result = await this.db.query(`
+            SELECT * FROM ai_generated_content
+            WHERE audio_file_id = $1
+            ORDER BY content_type, version DESC
+        `, [audioFileId]);
+        return result.rows;
+    }
+
+    /**
+     * Returns the latest version of every track's content of the user, one
+     * row per track and content type.
+     */
+    async listLatestForUser(userId) {
+        const result = await this.db.query(`
+            SELECT DISTINCT ON (audio_file_id, content_type) * FROM ai_generated_content
+            WHERE user_id = $1 AND audio_file_id IS NOT NULL
+            ORDER BY audio_file_id, content_type, version DESC
+        `, [userId]);
+        return result.rows;
+    }
+
+    /**
+     * Makes `version` current again by appending a copy of it as the newest
+     * version. Returns null when that version does not exist.
+     */
+    async rollback(history, version) {
+        const target = await this.findVersion(history, version);
+        if (!target) {
+            return null;
+        }
+        return this.save({
+            ...history,
+            input: target.input_data,
+            output: target.output_data,
+            provenance: {
+                model: target.model,
+                promptVersion: target.prompt_version,
+                promptVariant: target.prompt_variant,
+                latencyMs: target.latency_ms,
+                usage: {
+                    promptTokens: target.prompt_tokens,
+                    completionTokens: target.completion_tokens,
+                    totalTokens: target.total_tokens,
+                },
+            },
+            rolledBackFrom: target.version,
+        });
+    }
+
+    /**
+     * Merges engagement metrics (e.g. `{ likes: 120, shares: 8 }`) into a
+     * generation, as reported by the platform after publishing, and returns
+     * the row. Returns null when the generation does not exist.
+     */
+    async recordEngagement(id, metrics) {
+        const result = await this.db.query(`
+            UPDATE ai_generated_content
+            SET engagement = COALESCE(engagement, '{}'::jsonb) || $2::jsonb
+            WHERE id = $1
+            RETURNING *
+        `, [id, JSON.stringify(metrics)]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Compares the prompt versions and variants a content type was generated
+     * with: number of generations, average `viralScore` of the output (growth
+     * content) and average engagement. Averages are null when nothing was
+     * recorded. Rollbacks are copies and do not count.
+     */
+    async comparePromptVariants(contentType) {
+        const average = (expression) => `AVG(CASE WHEN jsonb_typeof(${expression}) = 'number' THEN (${expression})::numeric END)::float`;
+        const result = await this.db.query(`
+            SELECT prompt_version, prompt_variant, COUNT(*)::int AS generations,
+                ${average(`output_data->'viralScore'`)} AS avg_viral_score,
+                ${average(`engagement->'likes'`)} AS avg_likes,
+                ${average(`engagement->'comments'`)} AS avg_comments,
+                ${average(`engagement->'shares'`)} AS avg_shares,
+                ${average(`engagement->'views'`)} AS avg_views
+            FROM ai_generated_content
+            WHERE content_type = $1 AND prompt_version IS NOT NULL AND rolled_back_from IS NULL
+            GROUP BY prompt_version, prompt_variant
+            ORDER BY prompt_version, prompt_variant
+        `, [contentType]);
+        return result.rows.map(row => ({
+            promptVersion: row.prompt_version,
+            promptVariant: row.prompt_variant,
+            generations: row.generations,
+            avgViralScore: row.avg_viral_score,
+            avgLikes: row.avg_likes,
+            avgComments: row.avg_comments,
+            avgShares: row.avg_shares,
+            avgViews: row.avg_views,
+        }));
+    }
+}
+
+/**
+ * Runs a GeminiService generator (`djPromo`, `socialUplink`,
+ * `growthContent`) and stores the result with its provenance as the next
+ * version for the given user/track. `variant` pins the prompt variant.
+ */
+async function generateAndSave(db, kind, inputs, { userId = null, audioFileId = null, variant } = {}) {
+    const { output, provenance } = await generateWithProvenance(kind, inputs, { variant });
+    return new AiContentRepository(db).save({
+        userId,
+        audioFileId,
+        contentType: CONTENT_TYPES[kind],
+        input: inputs,
+        output,
+        provenance,
+    });
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    AiContentRepository,
+    generateAndSave,
+};
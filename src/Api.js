@@ -0,0 +1,614 @@
+/**
+ * Api - HTTP API for users, tracks and AI content
+ *
+ * A plain `http` server for the web app: users and their tracks, the Gemini
+ * generators per track, and the content history. Every route is declared
+ * in ROUTES; request bodies and query strings are validated against the
+ * same schemas that make up the OpenAPI document served at `/openapi.json`.
+ *
+ * Errors always have the body `{ error: { code, message, details } }`.
+ * Generator failures map to 429 (rate limited), 503 (circuit breaker open
+ * or no API key configured) and 502 (any other failure of the AI service).
+ */
+
+const http = require('http');
+const { version } = require('../package.json');
+const { UserRepository, AudioFileRepository } = require('./Repositories');
+const { InvalidKeyError } = require('./HarmonicMixing');
+const { GENERATORS } = require('./GeminiService');
+const { GeminiError, RateLimitError, CircuitOpenError, ConfigError } = require('./GeminiErrors');
+const { CONTENT_TYPES, AiContentRepository, generateAndSave } = require('./AiContentRepository');
+const { describeTrack } = require('./CatalogueGeneration');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const UNIQUE_VIOLATION = '23505';
+const NUMERIC_VALUE_OUT_OF_RANGE = '22003';
+// Ids and integer columns are PostgreSQL INTEGERs.
+const MAX_INTEGER = 2147483647;
+// A day; longer recordings are not tracks.
+const MAX_DURATION_SECONDS = 24 * 60 * 60;
+
+class ApiError extends Error {
+    constructor(status, code, message, { details = [], headers = {} } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+const retryAfter = (ms) => (ms === null || ms === undefined ? {} : { 'Retry-After': String(Math.ceil(ms / 1000)) });
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const text = (maxLength) => ({ type: 'string', minLength: 1, maxLength });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const timestamp = { type: 'string', format: 'date-time' };
+const id = { type: 'integer', minimum: 1, maximum: MAX_INTEGER };
+
+const SCHEMAS = {
+    CreateUser: {
+        type: 'object',
+        required: ['email', 'username'],
+        additionalProperties: false,
+        properties: {
+            email: { type: 'string', format: 'email', maxLength: 255 },
+            username: text(100),
+        },
+    },
+    CreateTrack: {
+        type: 'object',
+        required: ['filename'],
+        additionalProperties: false,
+        properties: {
+            filename: text(255),
+            bpm: { type: 'integer', minimum: 1, maximum: 999 },
+            musical_key: { type: 'string', maxLength: 10, description: 'Any notation, e.g. "Am", "A minor" or "8A"' },
+            genre: { type: 'string', maxLength: 50 },
+            mood: { type: 'string', maxLength: 100 },
+            duration_seconds: { type: 'number', minimum: 0, maximum: MAX_DURATION_SECONDS },
+            sample_rate: { type: 'integer', minimum: 1, maximum: MAX_INTEGER },
+            channels: { type: 'integer', minimum: 1, maximum: 32 },
+            bit_depth: { type: 'integer', minimum: 1, maximum: 64 },
+        },
+    },
+    GenerateForTrack: {
+        type: 'object',
+        description: 'Overrides the inputs derived from the track (title from the file name, artist from the username, vibe from mood, genre, BPM and key)',
+        additionalProperties: false,
+        properties: {
+            trackTitle: text(200),
+            artist: text(200),
+            vibe: text(200),
+        },
+    },
+    GenerateGrowth: {
+        type: 'object',
+        required: ['userId', 'topic', 'contentType'],
+        additionalProperties: false,
+        properties: {
+            userId: id,
+            topic: text(200),
+            contentType: { ...text(100), description: 'e.g. "educational" or "behind the scenes"' },
+        },
+    },
+    User: {
+        type: 'object',
+        properties: { id, email: { type: 'string' }, username: { type: 'string' }, created_at: timestamp, updated_at: timestamp },
+    },
+    Track: {
+        type: 'object',
+        properties: {
+            id,
+            user_id: id,
+            filename: { type: 'string' },
+            title: { type: 'string' },
+            bpm: nullable({ type: 'integer' }),
+            musical_key: nullable({ type: 'string' }),
+            camelot_key: nullable({ type: 'string' }),
+            genre: nullable({ type: 'string' }),
+            mood: nullable({ type: 'string' }),
+            duration_seconds: nullable({ type: 'number' }),
+            sample_rate: nullable({ type: 'integer' }),
+            channels: nullable({ type: 'integer' }),
+            bit_depth: nullable({ type: 'integer' }),
+            created_at: timestamp,
+        },
+    },
+    Content: {
+        type: 'object',
+        properties: {
+            id,
+            user_id: nullable(id),
+            audio_file_id: nullable(id),
+            content_type: { type: 'string', enum: Object.values(CONTENT_TYPES) },
+            version: { type: 'integer' },
+            input_data: { type: 'object' },
+            output_data: { type: 'object' },
+            model: nullable({ type: 'string' }),
+            prompt_version: nullable({ type: 'string' }),
+            prompt_variant: nullable({ type: 'string' }),
+            latency_ms: nullable({ type: 'integer' }),
+            prompt_tokens: nullable({ type: 'integer' }),
+            completion_tokens: nullable({ type: 'integer' }),
+            total_tokens: nullable({ type: 'integer' }),
+            rolled_back_from: nullable({ type: 'integer' }),
+            engagement: nullable({ type: 'object' }),
+            created_at: timestamp,
+        },
+    },
+    Error: {
+        type: 'object',
+        properties: {
+            error: {
+                type: 'object',
+                properties: {
+                    code: { type: 'string' },
+                    message: { type: 'string' },
+                    details: { type: 'array', items: { type: 'string' } },
+                },
+            },
+        },
+    },
+};
+
+const ERROR_RESPONSES = {
+    400: ['BadRequest', 'The request is invalid; `details` lists the problems'],
+    404: ['NotFound', 'The user or track does not exist'],
+    409: ['Conflict', 'A user with this email already exists'],
+    429: ['RateLimited', 'Gemini is rate limiting; retry after `Retry-After` seconds'],
+    502: ['BadGateway', 'Gemini failed or answered with invalid content'],
+    503: ['Unavailable', 'Gemini is unavailable (circuit breaker open or not configured)'],
+};
+
+const GENERATION_ERRORS = [400, 404, 429, 502, 503];
+
+const FORMATS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+};
+
+const TYPES = {
+    object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+    string: (value) => typeof value === 'string',
+    integer: (value) => Number.isInteger(value),
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+};
+
+/**
+ * Checks `value` against one of the request schemas and returns a list of
+ * human readable problems (empty when the value is valid).
+ */
+function validate(value, schema, path) {
+    if (!TYPES[schema.type](value)) {
+        return [`${path} must be of type ${schema.type}`];
+    }
+
+    if (schema.type === 'object') {
+        const missing = (schema.required || [])
+            .filter(key => value[key] === undefined || value[key] === null)
+            .map(key => `${path}.${key} is required`);
+        const unknown = schema.additionalProperties === false
+            ? Object.keys(value).filter(key => !schema.properties[key]).map(key => `${path}.${key} is not allowed`)
+            : [];
+        const invalid = Object.entries(schema.properties)
+            .filter(([key]) => value[key] !== undefined && value[key] !== null)
+            .flatMap(([key, property]) => validate(value[key], property, `${path}.${key}`));
+        return [...missing, ...unknown, ...invalid];
+    }
+
+    const errors = [];
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path} must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.format && !FORMATS[schema.format].test(value)) {
+        errors.push(`${path} must be a valid ${schema.format}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+    return errors;
+}
+
+const invalidRequest = (details) => new ApiError(400, 'invalid_request', 'The request is invalid', { details });
+
+async function findUser(db, userId) {
+    const user = await new UserRepository(db).findById(userId);
+    if (!user) {
+        throw new ApiError(404, 'not_found', `User ${userId} not found`);
+    }
+    return user;
+}
+
+async function findTrack(db, trackId) {
+    const track = await new AudioFileRepository(db).findById(trackId);
+    if (!track) {
+        throw new ApiError(404, 'not_found', `Track ${trackId} not found`);
+    }
+    return track;
+}
+
+// The search document is an implementation detail of CatalogueSearch.
+const trackBody = ({ search_vector, ...track }) => track;
+
+/**
+ * Runs generator `kind` for a track, with inputs derived from the track
+ * and its owner unless the body overrides them.
+ */
+const generateForTrack = (kind) => async ({ db, params, body }) => {
+    const track = await findTrack(db, params.id);
+    const owner = await findUser(db, track.user_id);
+    const inputs = { ...describeTrack({ ...track, username: owner.username }), ...body };
+
+    const missing = GENERATORS[kind].inputs.filter(name => typeof inputs[name] !== 'string' || inputs[name].trim() === '');
+    if (missing.length) {
+        throw invalidRequest(missing.map(name => `body.${name} is required, track ${track.id} has nothing to derive it from`));
+    }
+
+    const content = await generateAndSave(db, kind, inputs, { userId: track.user_id, audioFileId: track.id });
+    return { status: 201, body: content };
+};
+
+/**
+ * Every route: `path` parameters named `:id` are positive integers,
+ * `query` maps query parameters to schemas, `body` names the request schema
+ * and `response` is the schema of the `status` response.
+ */
+const ROUTES = [
+    {
+        method: 'POST',
+        path: '/users',
+        operationId: 'createUser',
+        summary: 'Create a user',
+        body: 'CreateUser',
+        status: 201,
+        response: ref('User'),
+        errors: [400, 409],
+        handler: async ({ db, body }) => ({ status: 201, body: await new UserRepository(db).create(body) }),
+    },
+    {
+        method: 'GET',
+        path: '/users',
+        operationId: 'listUsers',
+        summary: 'List users in sign-up order',
+        query: {
+            limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+            offset: { type: 'integer', minimum: 0, default: 0 },
+        },
+        status: 200,
+        response: { type: 'array', items: ref('User') },
+        errors: [400],
+        handler: async ({ db, query }) => ({ status: 200, body: await new UserRepository(db).list(query) }),
+    },
+    {
+        method: 'GET',
+        path: '/users/:id',
+        operationId: 'getUser',
+        summary: 'Get a user',
+        status: 200,
+        response: ref('User'),
+        errors: [400, 404],
+        handler: async ({ db, params }) => ({ status: 200, body: await findUser(db, params.id) }),
+    },
+    {
+        method: 'POST',
+        path: '/users/:id/tracks',
+        operationId: 'createTrack',
+        summary: 'Add a track to a user',
+        body: 'CreateTrack',
+        status: 201,
+        response: ref('Track'),
+        errors: [400, 404],
+        handler: async ({ db, params, body }) => {
+            const user = await findUser(db, params.id);
+            const track = await new AudioFileRepository(db).attach(user.id, body);
+            return { status: 201, body: trackBody(track) };
+        },
+    },
+    {
+        method: 'GET',
+        path: '/users/:id/tracks',
+        operationId: 'listTracks',
+        summary: "List a user's tracks",
+        status: 200,
+        response: { type: 'array', items: ref('Track') },
+        errors: [400, 404],
+        handler: async ({ db, params }) => {
+            const user = await findUser(db, params.id);
+            const tracks = await new AudioFileRepository(db).listByUserId(user.id);
+            return { status: 200, body: tracks.map(trackBody) };
+        },
+    },
+    {
+        method: 'POST',
+        path: '/tracks/:id/promo',
+        operationId: 'generatePromo',
+        summary: 'Generate DJ promo metadata for a track',
+        body: 'GenerateForTrack',
+        status: 201,
+        response: ref('Content'),
+        errors: GENERATION_ERRORS,
+        handler: generateForTrack('djPromo'),
+    },
+    {
+        method: 'POST',
+        path: '/tracks/:id/social',
+        operationId: 'generateSocial',
+        summary: 'Generate Facebook, Instagram and TikTok posts for a track',
+        body: 'GenerateForTrack',
+        status: 201,
+        response: ref('Content'),
+        errors: GENERATION_ERRORS,
+        handler: generateForTrack('socialUplink'),
+    },
+    {
+        method: 'POST',
+        path: '/growth',
+        operationId: 'generateGrowth',
+        summary: 'Generate growth content for a user',
+        body: 'GenerateGrowth',
+        status: 201,
+        response: ref('Content'),
+        errors: GENERATION_ERRORS,
+        handler: async ({ db, body }) => {
+            const user = await findUser(db, body.userId);
+            const content = await generateAndSave(db, 'growthContent', {
+                topic: body.topic,
+                contentType: body.contentType,
+            }, { userId: user.id });
+            return { status: 201, body: content };
+        },
+    },
+    {
+        method: 'GET',
+        path: '/tracks/:id/content',
+        operationId: 'listTrackContent',
+        summary: 'List the generated content of a track, newest version first',
+        query: {
+            type: { type: 'string', enum: Object.values(CONTENT_TYPES) },
+        },
+        status: 200,
+        response: { type: 'array', items: ref('Content') },
+        errors: [400, 404],
+        handler: async ({ db, params, query }) => {
+            const track = await findTrack(db, params.id);
+            const repository = new AiContentRepository(db);
+            const content = query.type
+                ? await repository.listHistory({ userId: track.user_id, audioFileId: track.id, contentType: query.type })
+                : await repository.listForTrack(track.id);
+            return { status: 200, body: content };
+        },
+    },
+];
+
+const pathParameters = (path) => [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+/**
+ * Builds the OpenAPI 3.0 document describing ROUTES.
+ */
+function openApiDocument() {
+    const paths = {};
+    ROUTES.forEach(route => {
+        const path = route.path.replace(/:(\w+)/g, '{$1}');
+        const parameters = [
+            ...pathParameters(route.path).map(name => ({ name, in: 'path', required: true, schema: id })),
+            ...Object.entries(route.query || {}).map(([name, schema]) => ({ name, in: 'query', required: false, schema })),
+        ];
+        paths[path] = {
+            ...paths[path],
+            [route.method.toLowerCase()]: {
+                operationId: route.operationId,
+                summary: route.summary,
+                ...(parameters.length ? { parameters } : {}),
+                ...(route.body ? {
+                    requestBody: {
+                        required: Boolean(SCHEMAS[route.body].required),
+                        content: { 'application/json': { schema: ref(route.body) } },
+                    },
+                } : {}),
+                responses: {
+                    [route.status]: {
+                        description: route.summary,
+                        content: { 'application/json': { schema: route.response } },
+                    },
+                    ...Object.fromEntries(route.errors.map(status => [
+                        status,
+                        { $ref: `#/components/responses/${ERROR_RESPONSES[status][0]}` },
+                    ])),
+                },
+            },
+        };
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: { title: 'Akustik Produkt API', version },
+        paths,
+        components: {
+            schemas: SCHEMAS,
+            responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(([name, description]) => [name, {
+                description,
+                content: { 'application/json': { schema: ref('Error') } },
+            }])),
+        },
+    };
+}
+
+/**
+ * Maps any error thrown by a handler onto an ApiError.
+ */
+function toApiError(error) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+    if (error instanceof RateLimitError) {
+        return new ApiError(429, 'ai_rate_limited', 'Gemini is rate limiting requests', { headers: retryAfter(error.retryAfterMs) });
+    }
+    if (error instanceof CircuitOpenError) {
+        return new ApiError(503, 'ai_unavailable', 'Gemini is unavailable after repeated failures', {
+            headers: retryAfter(error.retryAfterMs),
+        });
+    }
+    if (error instanceof ConfigError) {
+        return new ApiError(503, 'ai_not_configured', 'Gemini is not configured', { details: [error.message] });
+    }
+    if (error instanceof GeminiError) {
+        return new ApiError(502, 'ai_failed', 'Gemini failed to generate the content', { details: [`${error.name}: ${error.message}`] });
+    }
+    if (error instanceof InvalidKeyError) {
+        return invalidRequest([`body.musical_key: ${error.message}`]);
+    }
+    if (error.code === NUMERIC_VALUE_OUT_OF_RANGE) {
+        // PostgreSQL does not say which value overflowed; the schemas should have caught it.
+        return invalidRequest(['A number in the request is out of range']);
+    }
+    if (error.code === UNIQUE_VIOLATION) {
+        return new ApiError(409, 'conflict', 'The resource already exists', { details: [error.detail || error.message] });
+    }
+    return new ApiError(500, 'internal_error', 'Internal server error');
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function sendError(res, error) {
+    sendJson(res, error.status, { error: { code: error.code, message: error.message, details: error.details } }, error.headers);
+}
+
+/**
+ * Reads and parses a JSON body. A body over MAX_BODY_BYTES is rejected as
+ * soon as it gets there: reading stops and the 413 closes the connection,
+ * so the rest is never uploaded.
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                req.pause();
+                reject(new ApiError(413, 'payload_too_large', `Request bodies are limited to ${MAX_BODY_BYTES} bytes`, {
+                    headers: { Connection: 'close' },
+                }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(raw.trim() === '' ? {} : JSON.parse(raw));
+            } catch (error) {
+                reject(new ApiError(400, 'invalid_json', 'The request body is not valid JSON', { details: [error.message] }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Query values arrive as strings; integers are converted before validation.
+function parseQuery(searchParams, schemas = {}) {
+    const query = {};
+    Object.entries(schemas).forEach(([name, schema]) => {
+        const raw = searchParams.get(name);
+        if (raw === null) {
+            if (schema.default !== undefined) query[name] = schema.default;
+        } else {
+            query[name] = schema.type === 'integer' && /^-?\d+$/.test(raw) ? Number(raw) : raw;
+        }
+    });
+    return query;
+}
+
+const PATTERNS = new Map(ROUTES.map(route => [route, new RegExp(`^${route.path.replace(/:(\w+)/g, '([^/]+)')}$`)]));
+
+/**
+ * Matches a request against ROUTES and returns `{ route, params }`, or
+ * throws 404/405 as an ApiError (with the allowed methods for 405).
+ */
+function matchRoute(method, pathname) {
+    const candidates = ROUTES
+        .map(route => ({ route, match: PATTERNS.get(route).exec(pathname) }))
+        .filter(({ match }) => match);
+    if (candidates.length === 0) {
+        throw new ApiError(404, 'not_found', `No route for ${pathname}`);
+    }
+    const found = candidates.find(({ route }) => route.method === method);
+    if (!found) {
+        throw new ApiError(405, 'method_not_allowed', `${method} is not allowed on ${pathname}`, {
+            headers: { Allow: candidates.map(({ route }) => route.method).join(', ') },
+        });
+    }
+    const names = pathParameters(found.route.path);
+    const params = Object.fromEntries(names.map((name, index) => [name, found.match[index + 1]]));
+    return { route: found.route, params };
+}
+
+/**
+ * Creates the API server on top of `db` (a pg Client or Pool). Unexpected
+ * errors are answered with 500 and passed to `onError`.
+ */
+function createApiServer({ db, onError = (error) => console.error('API Error:', error) } = {}) {
+    const document = openApiDocument();
+
+    return http.createServer(async (req, res) => {
+        try {
+            const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+            if (req.method === 'GET' && pathname === '/openapi.json') {
+                sendJson(res, 200, document);
+                return;
+            }
+
+            const { route, params } = matchRoute(req.method, pathname);
+            const errors = [];
+            Object.keys(params).forEach(name => {
+                params[name] = /^\d+$/.test(params[name]) ? Number(params[name]) : params[name];
+                errors.push(...validate(params[name], id, `path.${name}`));
+            });
+            const query = parseQuery(searchParams, route.query);
+            Object.entries(route.query || {}).forEach(([name, schema]) => {
+                if (query[name] !== undefined) errors.push(...validate(query[name], schema, `query.${name}`));
+            });
+            const body = route.body ? await readBody(req) : undefined;
+            if (route.body) {
+                errors.push(...validate(body, SCHEMAS[route.body], 'body'));
+            }
+            if (errors.length) {
+                throw invalidRequest(errors);
+            }
+
+            const response = await route.handler({ db, params, query, body });
+            sendJson(res, response.status, response.body);
+        } catch (error) {
+            const apiError = toApiError(error);
+            if (apiError.status === 500) {
+                onError(error);
+            }
+            sendError(res, apiError);
+            if (apiError.status === 413) {
+                res.on('finish', () => req.destroy());
+            }
+        }
+    });
+}
+
+module.exports = {
+    ApiError,
+    SCHEMAS,
+    ROUTES,
+    validate,
+    openApiDocument,
+    createApiServer,
+};
@@ -0,0 +1,413 @@
+const mockGenerateContent = jest.fn();
+
+jest.mock('@google/genai', () => ({
+    GoogleGenAI: jest.fn().mockImplementation(() => ({
+        models: { generateContent: mockGenerateContent },
+    })),
+    Type: { OBJECT: 'OBJECT', STRING: 'STRING', NUMBER: 'NUMBER', ARRAY: 'ARRAY' },
+}));
+
+const http = require('http');
+const { Client } = require('pg');
+const { createTestDatabase } = require('./TestDatabase');
+const { DJ_PROMO, createUser, createUserWithTracks } = require('./Factories');
+const { configureResilience } = require('./GeminiService');
+const { ROUTES, SCHEMAS, validate, createApiServer } = require('./Api');
+
+const geminiAnswer = (output) => ({
+    text: JSON.stringify(output),
+    usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 80, totalTokenCount: 200 },
+});
+
+const SOCIAL_UPLINK = {
+    facebook: { caption: "Cyber Dreams is out now", hashtags: ["#techno"] },
+    instagram: { caption: "Out now 🖤", hashtags: ["#AkustikProdukt"] },
+    tiktok: { hook: "Wait for the drop", tags: ["techno"], audioSuggestion: "Cyber Dreams (Original Mix)" },
+};
+
+/**
+ * Sends one request to `server` and resolves to `{ status, headers, body }`
+ * with the body parsed as JSON.
+ */
+const send = (server, method, path, body) => new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+    const req = http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        method,
+        path,
+        headers: payload === null ? {} : { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+    }, (res) => {
+        let text = '';
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(payload === null ? undefined : payload);
+});
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+describe('Api', () => {
+    const originalEnv = process.env;
+    let database;
+    let client;
+    let server;
+    let onError;
+
+    const get = (path) => send(server, 'GET', path);
+    const post = (path, body) => send(server, 'POST', path, body);
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        client = new Client({ connectionString: database.url });
+        await client.connect();
+        onError = jest.fn();
+        server = await listen(createApiServer({ db: client, onError }));
+    });
+
+    afterAll(async () => {
+        if (server) {
+            await close(server);
+        }
+        if (client) {
+            await client.end();
+        }
+        if (database) {
+            await database.drop();
+        }
+    });
+
+    beforeEach(() => {
+        process.env = { ...originalEnv, VITE_GEMINI_API_KEY: 'test-api-key-12345' };
+        mockGenerateContent.mockReset();
+        configureResilience({ retries: 0 });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        jest.restoreAllMocks();
+    });
+
+    describe('users and tracks', () => {
+        it('should create, get and list users', async () => {
+            const created = await post('/users', { email: 'api@akustik.ch', username: 'api_dj' });
+
+            expect(created.status).toBe(201);
+            expect(created.body).toMatchObject({ id: expect.any(Number), email: 'api@akustik.ch', username: 'api_dj' });
+            expect((await get(`/users/${created.body.id}`)).body.email).toBe('api@akustik.ch');
+
+            await createUser(client);
+            const page = await get('/users?limit=1&offset=1');
+            expect(page.status).toBe(200);
+            expect(page.body).toHaveLength(1);
+            expect((await get('/users')).body.map(user => user.email)).toContain('api@akustik.ch');
+        });
+
+        it('should reject a second user with the same email', async () => {
+            await post('/users', { email: 'twice@akustik.ch', username: 'first' });
+
+            const response = await post('/users', { email: 'twice@akustik.ch', username: 'second' });
+
+            expect(response.status).toBe(409);
+            expect(response.body.error.code).toBe('conflict');
+        });
+
+        it('should validate request bodies', async () => {
+            const response = await post('/users', { email: 'not-an-email', username: '', role: 'admin' });
+
+            expect(response.status).toBe(400);
+            expect(response.body).toEqual({
+                error: {
+                    code: 'invalid_request',
+                    message: 'The request is invalid',
+                    details: [
+                        'body.role is not allowed',
+                        'body.email must be a valid email',
+                        'body.username must not be empty',
+                    ],
+                },
+            });
+            expect((await post('/users', '{"email":')).body.error.code).toBe('invalid_json');
+            expect((await post('/users', [])).body.error.details).toEqual(['body must be of type object']);
+        });
+
+        it('should answer 413 as soon as a body gets too large', async () => {
+            const response = await new Promise((resolve, reject) => {
+                const req = http.request({
+                    host: '127.0.0.1',
+                    port: server.address().port,
+                    method: 'POST',
+                    path: '/users',
+                    headers: { 'Content-Type': 'application/json' },
+                }, (res) => {
+                    let text = '';
+                    res.on('data', chunk => { text += chunk; });
+                    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) }));
+                });
+                req.on('error', reject);
+                // The body is never finished; the answer must not wait for its end.
+                req.write(Buffer.alloc(1024 * 1024 + 1, ' '));
+            });
+
+            expect(response.status).toBe(413);
+            expect(response.headers.connection).toBe('close');
+            expect(response.body.error.code).toBe('payload_too_large');
+        });
+
+        it('should add tracks to a user and list them', async () => {
+            const user = await createUser(client);
+
+            const created = await post(`/users/${user.id}/tracks`, {
+                filename: 'cyber_dreams.wav',
+                bpm: 128,
+                musical_key: 'A minor',
+                genre: 'Techno',
+                mood: 'Dark Industrial',
+            });
+            const listed = await get(`/users/${user.id}/tracks`);
+
+            expect(created.status).toBe(201);
+            expect(created.body).toMatchObject({ user_id: user.id, title: 'cyber dreams', camelot_key: '8A' });
+            expect(created.body).not.toHaveProperty('search_vector');
+            expect(listed.body).toEqual([expect.objectContaining({ id: created.body.id, username: user.username })]);
+        });
+
+        it('should reject unknown keys and invalid fields of tracks', async () => {
+            const user = await createUser(client);
+
+            const badKey = await post(`/users/${user.id}/tracks`, { filename: 'x.wav', musical_key: 'H major' });
+            const badFields = await post(`/users/${user.id}/tracks`, { bpm: '128', channels: 0, duration_seconds: 1e308 });
+
+            expect(badKey.status).toBe(400);
+            expect(badKey.body.error.details).toEqual(['body.musical_key: Unrecognized musical key: H major']);
+            expect(badFields.body.error.details).toEqual([
+                'body.filename is required',
+                'body.bpm must be of type integer',
+                'body.duration_seconds must be at most 86400',
+                'body.channels must be at least 1',
+            ]);
+        });
+
+        it('should answer 404 for missing users and tracks', async () => {
+            const responses = await Promise.all([
+                get('/users/999999'),
+                get('/users/999999/tracks'),
+                post('/users/999999/tracks', { filename: 'x.wav' }),
+                post('/tracks/999999/promo'),
+                get('/tracks/999999/content'),
+                post('/growth', { userId: 999999, topic: 'Sidechain', contentType: 'educational' }),
+            ]);
+
+            responses.forEach(response => {
+                expect(response.status).toBe(404);
+                expect(response.body.error.code).toBe('not_found');
+            });
+            expect(responses[0].body.error.message).toBe('User 999999 not found');
+        });
+
+        it('should validate path and query parameters', async () => {
+            expect((await get('/users/abc')).body.error.details).toEqual(['path.id must be of type integer']);
+            expect((await get('/users?limit=500')).body.error.details).toEqual(['query.limit must be at most 100']);
+            expect((await get('/tracks/1/content?type=tweet')).body.error.details)
+                .toEqual(['query.type must be one of dj_promo, social_uplink, growth_content']);
+        });
+
+        it('should reject ids beyond the range of the database', async () => {
+            const tooLarge = 99999999999;
+
+            const user = await get(`/users/${tooLarge}`);
+            const growth = await post('/growth', { userId: tooLarge, topic: 'Sidechain', contentType: 'educational' });
+
+            expect(user.status).toBe(400);
+            expect(user.body.error.details).toEqual(['path.id must be at most 2147483647']);
+            expect(growth.status).toBe(400);
+            expect(growth.body.error.details).toEqual(['body.userId must be at most 2147483647']);
+            expect((await get('/users/2147483647')).status).toBe(404);
+            expect(onError).not.toHaveBeenCalled();
+        });
+
+        it('should answer 400 when the database finds a value out of range', async () => {
+            const outOfRange = Object.assign(new Error('integer out of range'), { code: '22003' });
+            const failing = await listen(createApiServer({ db: { query: jest.fn().mockRejectedValue(outOfRange) }, onError }));
+
+            try {
+                const response = await send(failing, 'GET', '/users');
+
+                expect(response.status).toBe(400);
+                expect(response.body.error).toMatchObject({
+                    code: 'invalid_request',
+                    details: ['A number in the request is out of range'],
+                });
+                expect(onError).not.toHaveBeenCalled();
+            } finally {
+                await close(failing);
+            }
+        });
+
+        it('should answer unknown routes and methods', async () => {
+            const missing = await get('/playlists');
+            const wrongMethod = await send(server, 'DELETE', '/users');
+
+            expect(missing.status).toBe(404);
+            expect(wrongMethod.status).toBe(405);
+            expect(wrongMethod.headers.allow).toBe('POST, GET');
+        });
+    });
+
+    describe('AI content', () => {
+        let user;
+        let track;
+
+        beforeAll(async () => {
+            ({ user, tracks: [track] } = await createUserWithTracks(client, 1, {
+                user: { username: 'Neural Wave' },
+                track: { filename: 'cyber_dreams.wav', mood: 'Dark Industrial', genre: 'Techno', bpm: 128, musical_key: 'Am' },
+            }));
+        });
+
+        it('should generate a promo from the track and store it', async () => {
+            mockGenerateContent.mockResolvedValue(geminiAnswer(DJ_PROMO));
+
+            const response = await post(`/tracks/${track.id}/promo`);
+
+            expect(response.status).toBe(201);
+            expect(response.body).toMatchObject({
+                user_id: user.id,
+                audio_file_id: track.id,
+                content_type: 'dj_promo',
+                output_data: DJ_PROMO,
+                input_data: { trackTitle: 'Cyber Dreams', artist: 'Neural Wave', vibe: 'Dark Industrial, Techno, 128 BPM, Am' },
+                total_tokens: 200,
+            });
+            expect(mockGenerateContent.mock.calls[0][0].contents).toContain('the track "Cyber Dreams" by Neural Wave');
+        });
+
+        it('should generate social posts with overridden inputs', async () => {
+            mockGenerateContent.mockResolvedValue(geminiAnswer(SOCIAL_UPLINK));
+
+            const response = await post(`/tracks/${track.id}/social`, { vibe: 'Peak time warehouse' });
+
+            expect(response.status).toBe(201);
+            expect(response.body.input_data.vibe).toBe('Peak time warehouse');
+            expect(response.body.output_data).toEqual(SOCIAL_UPLINK);
+        });
+
+        it('should ask for inputs that cannot be derived from the track', async () => {
+            const bare = await post(`/users/${user.id}/tracks`, { filename: 'untitled.wav' });
+
+            const response = await post(`/tracks/${bare.body.id}/promo`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.details).toEqual([`body.vibe is required, track ${bare.body.id} has nothing to derive it from`]);
+            expect(mockGenerateContent).not.toHaveBeenCalled();
+        });
+
+        it('should generate growth content for a user', async () => {
+            mockGenerateContent.mockResolvedValue(geminiAnswer({ title: "Sidechain in 60s", content: "Hook: ...", viralScore: 88 }));
+
+            const response = await post('/growth', { userId: user.id, topic: 'Sidechain compression', contentType: 'educational' });
+
+            expect(response.status).toBe(201);
+            expect(response.body).toMatchObject({ user_id: user.id, audio_file_id: null, content_type: 'growth_content' });
+            expect(response.body.output_data.viralScore).toBe(88);
+            expect((await post('/growth', { topic: 'Sidechain' })).body.error.details)
+                .toEqual(['body.userId is required', 'body.contentType is required']);
+        });
+
+        it('should list the content history of a track', async () => {
+            mockGenerateContent.mockResolvedValue(geminiAnswer({ ...DJ_PROMO, clubHype: 'Second take' }));
+            await post(`/tracks/${track.id}/promo`);
+
+            const all = await get(`/tracks/${track.id}/content`);
+            const promos = await get(`/tracks/${track.id}/content?type=dj_promo`);
+
+            expect(all.body.map(content => content.content_type)).toEqual(['dj_promo', 'dj_promo', 'social_uplink']);
+            expect(promos.body.map(content => [content.version, content.output_data.clubHype]))
+                .toEqual([[2, 'Second take'], [1, DJ_PROMO.clubHype]]);
+        });
+
+        it('should answer 429 with Retry-After when Gemini is rate limiting', async () => {
+            mockGenerateContent.mockRejectedValue(Object.assign(new Error('Resource exhausted'), {
+                status: 429,
+                headers: { 'retry-after': '7' },
+            }));
+
+            const response = await post(`/tracks/${track.id}/promo`);
+
+            expect(response.status).toBe(429);
+            expect(response.headers['retry-after']).toBe('7');
+            expect(response.body.error.code).toBe('ai_rate_limited');
+        });
+
+        it('should answer 502 when Gemini returns unusable content', async () => {
+            mockGenerateContent.mockResolvedValue({ text: 'not json' });
+
+            const response = await post(`/tracks/${track.id}/promo`);
+
+            expect(response.status).toBe(502);
+            expect(response.body.error).toMatchObject({ code: 'ai_failed', details: [expect.stringMatching(/^InvalidResponseError: /)] });
+            expect(onError).not.toHaveBeenCalled();
+        });
+
+        it('should answer 503 when the circuit breaker is open', async () => {
+            configureResilience({ retries: 0, failureThreshold: 1, resetTimeoutMs: 60000 });
+            mockGenerateContent.mockRejectedValue(Object.assign(new Error('Internal error'), { status: 500 }));
+
+            expect((await post(`/tracks/${track.id}/promo`)).status).toBe(502);
+            const response = await post(`/tracks/${track.id}/promo`);
+
+            expect(response.status).toBe(503);
+            expect(response.body.error.code).toBe('ai_unavailable');
+            expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+            expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+        });
+
+        it('should answer 503 when Gemini is not configured', async () => {
+            delete process.env.VITE_GEMINI_API_KEY;
+
+            const response = await post(`/tracks/${track.id}/social`);
+
+            expect(response.status).toBe(503);
+            expect(response.body.error).toMatchObject({ code: 'ai_not_configured', details: ['VITE_GEMINI_API_KEY is not set'] });
+        });
+    });
+
+    describe('OpenAPI document', () => {
+        it('should describe every route', async () => {
+            const { status, body: document } = await get('/openapi.json');
+
+            expect(status).toBe(200);
+            expect(document).toMatchObject({ openapi: '3.0.3', info: { title: 'Akustik Produkt API' } });
+            expect(Object.keys(document.paths).sort()).toEqual([
+                '/growth',
+                '/tracks/{id}/content',
+                '/tracks/{id}/promo',
+                '/tracks/{id}/social',
+                '/users',
+                '/users/{id}',
+                '/users/{id}/tracks',
+            ]);
+            expect(ROUTES.every(route => document.paths[route.path.replace(':id', '{id}')][route.method.toLowerCase()])).toBe(true);
+        });
+
+        it('should only reference defined schemas and responses', async () => {
+            const { body: document } = await get('/openapi.json');
+            const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g).map(ref => ref.slice(8, -1));
+
+            refs.forEach(ref => {
+                const [, section, name] = /^#\/components\/(\w+)\/(\w+)$/.exec(ref);
+                expect(document.components[section]).toHaveProperty(name);
+            });
+            expect(document.paths['/tracks/{id}/promo'].post.responses).toHaveProperty('429');
+        });
+
+        it('should validate with the schemas it publishes', () => {
+            expect(validate({ userId: 3, topic: 'Sidechain', contentType: 'educational' }, SCHEMAS.GenerateGrowth, 'body')).toEqual([]);
+            expect(validate({ userId: 0, topic: 'x'.repeat(201), contentType: 'educational' }, SCHEMAS.GenerateGrowth, 'body'))
+                .toEqual(['body.userId must be at least 1', 'body.topic must be at most 200 characters long']);
+        });
+    });
+});
@@ -0,0 +1,205 @@
+/**
+ * Audio Ingestion - register tracks from local WAV files
+ *
+ * Reads the RIFF/WAVE header for duration, sample rate, channels and bit
+ * depth, estimates the tempo from onset detection and stores the result
+ * as a complete `audio_files` row.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AudioFileRepository } = require('./Repositories');
+
+const FORMAT_PCM = 1;
+const FORMAT_IEEE_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+// Onset envelope resolution: ~11.6ms hops at 22.05kHz, ~5.8ms at 44.1kHz.
+const FRAME_SIZE = 512;
+const HOP_SIZE = 256;
+
+class WavFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WavFormatError';
+    }
+}
+
+/**
+ * Parses the header of a WAV file held in `buffer`.
+ * Supports integer PCM (8/16/24/32 bit) and 32-bit IEEE float data.
+ */
+function parseWavHeader(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new WavFormatError('Not a RIFF/WAVE file');
+    }
+
+    let format;
+    let data;
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            // A truncated or short chunk would make the reads below overrun the buffer.
+            if (size < 16 || body + size > buffer.length) throw new WavFormatError('Invalid fmt chunk');
+            let audioFormat = buffer.readUInt16LE(body);
+            if (audioFormat === FORMAT_EXTENSIBLE && size >= 26) {
+                // The first two bytes of the sub-format GUID hold the actual format code.
+                audioFormat = buffer.readUInt16LE(body + 24);
+            }
+            format = {
+                audioFormat,
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                blockAlign: buffer.readUInt16LE(body + 12),
+                bitDepth: buffer.readUInt16LE(body + 14),
+            };
+        } else if (id === 'data') {
+            data = { dataOffset: body, dataLength: Math.min(size, buffer.length - body) };
+        }
+
+        // Chunks are word aligned.
+        offset = body + size + (size % 2);
+    }
+
+    if (!format) throw new WavFormatError('Missing fmt chunk');
+    if (!data) throw new WavFormatError('Missing data chunk');
+    if (![FORMAT_PCM, FORMAT_IEEE_FLOAT].includes(format.audioFormat)) {
+        throw new WavFormatError(`Unsupported WAV format code ${format.audioFormat}`);
+    }
+    if (!format.channels || !format.sampleRate || !format.blockAlign) {
+        throw new WavFormatError('Invalid fmt chunk');
+    }
+
+    const frames = Math.floor(data.dataLength / format.blockAlign);
+    return {
+        ...format,
+        ...data,
+        frames,
+        durationSeconds: frames / format.sampleRate,
+    };
+}
+
+const sampleReader = (buffer, { audioFormat, bitDepth }) => {
+    if (audioFormat === FORMAT_IEEE_FLOAT && bitDepth === 32) return offset => buffer.readFloatLE(offset);
+    switch (bitDepth) {
+        case 8: return offset => (buffer.readUInt8(offset) - 128) / 128;
+        case 16: return offset => buffer.readInt16LE(offset) / 32768;
+        case 24: return offset => buffer.readIntLE(offset, 3) / 8388608;
+        case 32: return offset => buffer.readInt32LE(offset) / 2147483648;
+        default: throw new WavFormatError(`Unsupported bit depth ${bitDepth}`);
+    }
+};
+
+/**
+ * Decodes the data chunk into mono samples in the range [-1, 1].
+ */
+function decodeMono(buffer, header) {
+    const read = sampleReader(buffer, header);
+    const bytesPerSample = header.bitDepth / 8;
+    const samples = new Float32Array(header.frames);
+
+    for (let frame = 0; frame < header.frames; frame++) {
+        const frameOffset = header.dataOffset + frame * header.blockAlign;
+        let sum = 0;
+        for (let channel = 0; channel < header.channels; channel++) {
+            sum += read(frameOffset + channel * bytesPerSample);
+        }
+        samples[frame] = sum / header.channels;
+    }
+    return samples;
+}
+
+/**
+ * Onset strength per hop: the positive change in log energy between frames.
+ */
+function onsetEnvelope(samples) {
+    const frames = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1);
+    const envelope = new Float32Array(frames);
+    let previous = null;
+
+    for (let frame = 0; frame < frames; frame++) {
+        let energy = 0;
+        for (let i = frame * HOP_SIZE, end = i + FRAME_SIZE; i < end; i++) {
+            energy += samples[i] * samples[i];
+        }
+        const logEnergy = Math.log10(1e-10 + energy / FRAME_SIZE);
+        envelope[frame] = previous === null ? 0 : Math.max(0, logEnergy - previous);
+        previous = logEnergy;
+    }
+    return envelope;
+}
+
+/**
+ * Estimates the tempo of `samples` by autocorrelating the onset envelope
+ * over the lags that correspond to `minBpm`..`maxBpm`. Returns null when
+ * the signal has no detectable onsets.
+ */
+function estimateBpm(samples, sampleRate, { minBpm = 70, maxBpm = 180 } = {}) {
+    const envelope = onsetEnvelope(samples);
+    const hopsPerMinute = (60 * sampleRate) / HOP_SIZE;
+    const minLag = Math.floor(hopsPerMinute / maxBpm);
+    const maxLag = Math.min(Math.ceil(hopsPerMinute / minBpm), envelope.length - 1);
+    if (minLag < 1 || maxLag <= minLag) return null;
+
+    const correlation = new Float64Array(maxLag + 2);
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+        let sum = 0;
+        for (let i = lag; i < envelope.length; i++) {
+            sum += envelope[i] * envelope[i - lag];
+        }
+        correlation[lag] = sum / (envelope.length - lag);
+    }
+
+    let bestLag = minLag;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        if (correlation[lag] > correlation[bestLag]) bestLag = lag;
+    }
+    if (correlation[bestLag] <= 0) return null;
+
+    // Parabolic interpolation around the peak for sub-hop precision.
+    const [left, center, right] = [correlation[bestLag - 1], correlation[bestLag], correlation[bestLag + 1]];
+    const curvature = left - 2 * center + right;
+    const shift = curvature < 0 ? (0.5 * (left - right)) / curvature : 0;
+
+    return hopsPerMinute / (bestLag + shift);
+}
+
+/**
+ * Analyzes a WAV file and returns the `audio_files` fields derived from it.
+ */
+function analyzeWavFile(filePath, options) {
+    const buffer = fs.readFileSync(filePath);
+    const header = parseWavHeader(buffer);
+    const bpm = estimateBpm(decodeMono(buffer, header), header.sampleRate, options);
+
+    return {
+        filename: path.basename(filePath),
+        duration_seconds: Math.round(header.durationSeconds * 1000) / 1000,
+        sample_rate: header.sampleRate,
+        channels: header.channels,
+        bit_depth: header.bitDepth,
+        bpm: bpm === null ? null : Math.round(bpm),
+    };
+}
+
+/**
+ * Analyzes `filePath` and attaches it to `userId` as a new `audio_files`
+ * row. `metadata` supplies what can't be derived from the audio
+ * (`musical_key`, `genre`, `mood`) and may override derived fields.
+ */
+async function ingestWavFile(db, userId, filePath, metadata = {}) {
+    const analysis = analyzeWavFile(filePath);
+    return new AudioFileRepository(db).attach(userId, { ...analysis, ...metadata });
+}
+
+module.exports = {
+    WavFormatError,
+    parseWavHeader,
+    decodeMono,
+    estimateBpm,
+    analyzeWavFile,
+    ingestWavFile,
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    WavFormatError,
+    parseWavHeader,
+    decodeMono,
+    estimateBpm,
+    analyzeWavFile,
+    ingestWavFile,
+} = require('./AudioIngestion');
+const { encodeWav, clickTrack } = require('./__fixtures__/wav');
+
+describe('Audio Ingestion', () => {
+    let directory;
+
+    const writeFixture = (filename, buffer) => {
+        const filePath = path.join(directory, filename);
+        fs.writeFileSync(filePath, buffer);
+        return filePath;
+    };
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wav-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('parseWavHeader', () => {
+        it('should read the format of a stereo 16-bit file', () => {
+            const buffer = encodeWav(new Float32Array(44100), { sampleRate: 22050, channels: 2, bitDepth: 16 });
+
+            const header = parseWavHeader(buffer);
+
+            expect(header).toMatchObject({
+                audioFormat: 1,
+                sampleRate: 22050,
+                channels: 2,
+                bitDepth: 16,
+                frames: 44100,
+                durationSeconds: 2,
+            });
+        });
+
+        it('should skip unknown chunks before the data chunk', () => {
+            const wav = encodeWav(new Float32Array(100), { bitDepth: 8 });
+            const list = Buffer.alloc(8 + 5);
+            list.write('LIST', 0, 'ascii');
+            list.writeUInt32LE(5, 4);
+            // Odd-sized chunks are followed by a pad byte
+            const buffer = Buffer.concat([wav.subarray(0, 36), list, Buffer.alloc(1), wav.subarray(36)]);
+
+            const header = parseWavHeader(buffer);
+
+            expect(header.frames).toBe(100);
+            expect(header.bitDepth).toBe(8);
+        });
+
+        it('should reject files that are not WAV', () => {
+            expect(() => parseWavHeader(Buffer.from('ID3\u0004 not a wav file'))).toThrow(WavFormatError);
+        });
+
+        it('should reject compressed formats', () => {
+            const buffer = encodeWav(new Float32Array(10));
+            buffer.writeUInt16LE(0x55, 20); // MPEG Layer 3
+
+            expect(() => parseWavHeader(buffer)).toThrow('Unsupported WAV format code 85');
+        });
+
+        it('should reject a truncated fmt chunk', () => {
+            const wav = encodeWav(new Float32Array(10));
+
+            expect(() => parseWavHeader(wav.subarray(0, 24))).toThrow('Invalid fmt chunk');
+            expect(() => parseWavHeader(wav.subarray(0, 24))).toThrow(WavFormatError);
+        });
+
+        it('should reject a fmt chunk that is too short', () => {
+            const buffer = encodeWav(new Float32Array(10));
+            buffer.writeUInt32LE(8, 16);
+
+            expect(() => parseWavHeader(buffer)).toThrow('Invalid fmt chunk');
+        });
+    });
+
+    describe('estimateBpm', () => {
+        it.each([
+            [90, 16],
+            [128, 24],
+            [174, 24],
+        ])('should detect %i BPM in a click track', (bpm, bitDepth) => {
+            const buffer = encodeWav(clickTrack({ bpm, seconds: 10 }), { bitDepth });
+            const header = parseWavHeader(buffer);
+
+            const estimate = estimateBpm(decodeMono(buffer, header), header.sampleRate);
+
+            expect(Math.abs(estimate - bpm)).toBeLessThan(1);
+        });
+
+        it('should return null for silence', () => {
+            expect(estimateBpm(new Float32Array(22050 * 5), 22050)).toBeNull();
+        });
+    });
+
+    describe('analyzeWavFile', () => {
+        it('should derive the audio_files fields from a file', () => {
+            const filePath = writeFixture(
+                'techno_track_001.wav',
+                encodeWav(clickTrack({ bpm: 128, seconds: 8 }), { channels: 2 })
+            );
+
+            expect(analyzeWavFile(filePath)).toEqual({
+                filename: 'techno_track_001.wav',
+                duration_seconds: 8,
+                sample_rate: 22050,
+                channels: 2,
+                bit_depth: 16,
+                bpm: 128,
+            });
+        });
+    });
+
+    describe('ingestWavFile', () => {
+        it('should attach a complete audio_files row to the user', async () => {
+            const db = {
+                query: jest.fn(async (text, values) => ({ rows: [{ id: 1, values }] })),
+            };
+            const filePath = writeFixture('track.wav', encodeWav(clickTrack({ bpm: 128, seconds: 8 })));
+
+            await ingestWavFile(db, 42, filePath, { musical_key: 'Am', genre: 'Techno', mood: 'Dark Industrial' });
+
+            const [text, values] = db.query.mock.calls[0];
+            expect(text).toContain('INSERT INTO audio_files');
+            expect(values).toEqual([42, 'track.wav', 128, 'Am', 'Techno', 'Dark Industrial', 8, 22050, 1, 16, '8A']);
+        });
+    });
+});
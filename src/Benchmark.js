@@ -0,0 +1,254 @@
+/**
+ * Benchmark - how fast is the container runtime, and is it getting slower?
+ *
+ * Repeats the lifecycle of the PostgreSQL container used by the onboarding
+ * test N times and times each phase separately: image pull, container
+ * create/start, wait-strategy readiness, first query and teardown. Results
+ * are summarised as percentiles, appended to a JSON history file and
+ * compared with a stored baseline per runtime kind, so Cloud and local
+ * Docker are never compared with each other.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+const { getContainerRuntimeClient, ImageName } = require('testcontainers/build/container-runtime');
+const { Wait } = require('testcontainers');
+const { classifyRuntime } = require('./RuntimeDetection');
+
+const PHASES = ['pull', 'start', 'readiness', 'firstQuery', 'teardown'];
+const PERCENTILES = [50, 90, 95, 99];
+
+const DEFAULT_IMAGE = 'postgres:14-alpine';
+const HISTORY_PATH = path.join(process.cwd(), 'benchmarks', 'history.json');
+const BASELINE_PATH = path.join(process.cwd(), 'benchmarks', 'baseline.json');
+
+// A phase regresses when its p50 is more than `tolerance` slower than the
+// baseline p50 and by more than `minDeltaMs`, so millisecond noise on fast
+// phases is not reported.
+const DEFAULT_TOLERANCE = 0.25;
+const DEFAULT_MIN_DELTA_MS = 100;
+
+const POSTGRES_ENV = ['POSTGRES_USER=test', 'POSTGRES_PASSWORD=test', 'POSTGRES_DB=test'];
+
+async function timed(fn) {
+    const startedAt = process.hrtime.bigint();
+    const value = await fn();
+    return { value, ms: Number(process.hrtime.bigint() - startedAt) / 1e6 };
+}
+
+/**
+ * Runs one PostgreSQL container lifecycle against `client` and returns the
+ * duration of every phase in milliseconds. The image is pulled with
+ * `force`, so every iteration measures a real pull.
+ */
+async function runPostgresIteration(client, { image = DEFAULT_IMAGE } = {}) {
+    const durations = {};
+    let container;
+
+    try {
+        ({ ms: durations.pull } = await timed(() =>
+            client.image.pull(ImageName.fromString(image), { force: true })));
+
+        ({ value: container, ms: durations.start } = await timed(async () => {
+            const created = await client.container.create({
+                Image: image,
+                Env: POSTGRES_ENV,
+                ExposedPorts: { '5432/tcp': {} },
+                HostConfig: { PortBindings: { '5432/tcp': [{ HostPort: '0' }] } },
+                Labels: { 'org.testcontainers': 'true', 'org.testcontainers.benchmark': 'true' },
+            });
+            await client.container.start(created);
+            return created;
+        }));
+
+        // The same wait strategy PostgreSqlContainer uses.
+        ({ ms: durations.readiness } = await timed(() =>
+            Wait.forLogMessage(/.*database system is ready to accept connections.*/, 2)
+                .withStartupTimeout(120000)
+                .waitUntilReady(container)));
+
+        const inspectResult = await client.container.inspect(container);
+        const port = inspectResult.NetworkSettings.Ports['5432/tcp'][0].HostPort;
+        const db = new Client({
+            host: client.info.containerRuntime.host,
+            port: Number(port),
+            user: 'test',
+            password: 'test',
+            database: 'test',
+        });
+        ({ ms: durations.firstQuery } = await timed(async () => {
+            await db.connect();
+            try {
+                await db.query('SELECT 1');
+            } finally {
+                await db.end();
+            }
+        }));
+    } finally {
+        if (container) {
+            const started = container;
+            ({ ms: durations.teardown } = await timed(async () => {
+                await client.container.stop(started, { timeout: 0 });
+                await client.container.remove(started, { removeVolumes: true });
+            }));
+        }
+    }
+    return durations;
+}
+
+/**
+ * Nearest-rank percentile of already sorted `values`.
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+/**
+ * Summarises per-iteration samples (`[{ pull, start, ... }]`) into
+ * min/mean/max and percentiles per phase.
+ */
+function summarize(samples) {
+    const summary = {};
+    PHASES.forEach(phase => {
+        const values = samples.map(sample => sample[phase]).filter(value => value !== undefined).sort((a, b) => a - b);
+        if (values.length === 0) {
+            return;
+        }
+        summary[phase] = {
+            min: round(values[0]),
+            mean: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+            max: round(values[values.length - 1]),
+            ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, round(percentile(values, p))])),
+        };
+    });
+    return summary;
+}
+
+/**
+ * Runs `iterations` lifecycles one after the other and returns
+ * `{ timestamp, runtime, image, iterations, phases, samples }`.
+ */
+async function runBenchmark({
+    iterations = 5,
+    image = DEFAULT_IMAGE,
+    getClient = getContainerRuntimeClient,
+    runIteration = runPostgresIteration,
+    onIteration = () => {},
+} = {}) {
+    const client = await getClient();
+    const runtime = classifyRuntime(client.info);
+    const samples = [];
+
+    for (let i = 0; i < iterations; i++) {
+        const sample = await runIteration(client, { image });
+        samples.push(sample);
+        onIteration(i + 1, sample);
+    }
+
+    return {
+        timestamp: new Date().toISOString(),
+        runtime: { kind: runtime.kind, name: runtime.name, serverVersion: runtime.serverVersion },
+        image,
+        iterations,
+        phases: summarize(samples),
+        samples,
+    };
+}
+
+function readJson(file, fallback) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+function writeJson(file, value) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Appends a result (without its raw samples) to the JSON history array.
+ */
+function appendHistory(result, file = HISTORY_PATH) {
+    const history = readJson(file, []);
+    const { samples, ...entry } = result;
+    history.push(entry);
+    writeJson(file, history);
+    return history;
+}
+
+/**
+ * Stores `result` as the baseline for its runtime kind.
+ */
+function saveBaseline(result, file = BASELINE_PATH) {
+    const baselines = readJson(file, {});
+    baselines[result.runtime.kind] = {
+        timestamp: result.timestamp,
+        image: result.image,
+        iterations: result.iterations,
+        phases: result.phases,
+    };
+    writeJson(file, baselines);
+}
+
+/**
+ * Compares the p50 of every phase with the baseline for the same runtime
+ * kind. Returns `{ ok, baseline, regressions }`; without a baseline there
+ * is nothing to regress against and the check passes.
+ */
+function checkRegression(result, {
+    file = BASELINE_PATH,
+    tolerance = DEFAULT_TOLERANCE,
+    minDeltaMs = DEFAULT_MIN_DELTA_MS,
+} = {}) {
+    const baseline = readJson(file, {})[result.runtime.kind];
+    if (!baseline) {
+        return { ok: true, baseline: null, regressions: [] };
+    }
+
+    const regressions = PHASES
+        .filter(phase => baseline.phases[phase] && result.phases[phase])
+        .map(phase => {
+            const before = baseline.phases[phase].p50;
+            const now = result.phases[phase].p50;
+            return { phase, baselineMs: before, currentMs: now, ratio: before > 0 ? Math.round(now / before * 100) / 100 : null };
+        })
+        .filter(({ baselineMs, currentMs }) => currentMs > baselineMs * (1 + tolerance) &&
+            currentMs - baselineMs > minDeltaMs);
+
+    return { ok: regressions.length === 0, baseline, regressions };
+}
+
+/**
+ * Renders a benchmark result as a table of phases and percentiles.
+ */
+function formatResult(result) {
+    const columns = ['min', 'mean', ...PERCENTILES.map(p => `p${p}`), 'max'];
+    const lines = [
+        `${result.runtime.name} (${result.runtime.kind}), ${result.image}, ${result.iterations} iteration(s), ms:`,
+        ['phase'.padEnd(12), ...columns.map(column => column.padStart(9))].join(''),
+    ];
+    PHASES.filter(phase => result.phases[phase]).forEach(phase => {
+        lines.push([phase.padEnd(12), ...columns.map(column => String(result.phases[phase][column]).padStart(9))].join(''));
+    });
+    return lines.join('\n');
+}
+
+module.exports = {
+    PHASES,
+    HISTORY_PATH,
+    BASELINE_PATH,
+    percentile,
+    summarize,
+    runPostgresIteration,
+    runBenchmark,
+    appendHistory,
+    saveBaseline,
+    checkRegression,
+    formatResult,
+};
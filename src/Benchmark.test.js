@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    PHASES,
+    percentile,
+    summarize,
+    runBenchmark,
+    appendHistory,
+    saveBaseline,
+    checkRegression,
+    formatResult,
+} = require('./Benchmark');
+
+const cloudClient = {
+    info: {
+        node: { version: process.version },
+        containerRuntime: { serverVersion: '24.0.7-testcontainerscloud', labels: [], host: 'localhost' },
+    },
+};
+
+// Iteration i (1-based) takes i * `scale` ms in every phase.
+const scriptedIterations = (scale) => {
+    let iteration = 0;
+    return jest.fn(async () => {
+        iteration++;
+        return Object.fromEntries(PHASES.map(phase => [phase, iteration * scale]));
+    });
+};
+
+describe('Benchmark', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tcc-benchmark-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should compute nearest-rank percentiles', () => {
+        const values = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+        expect(percentile(values, 50)).toBe(50);
+        expect(percentile(values, 90)).toBe(90);
+        expect(percentile(values, 95)).toBe(100);
+        expect(percentile([42], 99)).toBe(42);
+        expect(percentile([], 50)).toBeNull();
+    });
+
+    it('should summarize every phase', () => {
+        const summary = summarize([
+            { pull: 100, start: 400, readiness: 900, firstQuery: 12.34, teardown: 200 },
+            { pull: 300, start: 600, readiness: 1100, firstQuery: 15.67, teardown: 220 },
+        ]);
+
+        expect(Object.keys(summary)).toEqual(PHASES);
+        expect(summary.pull).toEqual({ min: 100, mean: 200, max: 300, p50: 100, p90: 300, p95: 300, p99: 300 });
+        expect(summary.firstQuery.mean).toBe(14);
+    });
+
+    it('should run the requested number of iterations', async () => {
+        const runIteration = scriptedIterations(100);
+        const onIteration = jest.fn();
+
+        const result = await runBenchmark({
+            iterations: 4,
+            getClient: async () => cloudClient,
+            runIteration,
+            onIteration,
+        });
+
+        expect(runIteration).toHaveBeenCalledTimes(4);
+        expect(runIteration).toHaveBeenCalledWith(cloudClient, { image: 'postgres:14-alpine' });
+        expect(onIteration).toHaveBeenLastCalledWith(4, expect.objectContaining({ pull: 400 }));
+        expect(result).toMatchObject({
+            runtime: { kind: 'cloud', name: 'Testcontainers Cloud' },
+            image: 'postgres:14-alpine',
+            iterations: 4,
+        });
+        expect(result.samples).toHaveLength(4);
+        expect(result.phases.start).toMatchObject({ min: 100, p50: 200, max: 400 });
+        expect(formatResult(result)).toContain('Testcontainers Cloud (cloud), postgres:14-alpine, 4 iteration(s)');
+    });
+
+    it('should append results to the history file without raw samples', async () => {
+        const file = path.join(tmpDir, 'benchmarks', 'history.json');
+
+        appendHistory(await runBenchmark({ iterations: 2, getClient: async () => cloudClient, runIteration: scriptedIterations(10) }), file);
+        appendHistory(await runBenchmark({ iterations: 2, getClient: async () => cloudClient, runIteration: scriptedIterations(20) }), file);
+
+        const history = JSON.parse(fs.readFileSync(file, 'utf8'));
+        expect(history).toHaveLength(2);
+        expect(history[0].samples).toBeUndefined();
+        expect(history.map(entry => entry.phases.pull.p50)).toEqual([10, 20]);
+    });
+
+    it('should flag phases that got slower than the baseline', async () => {
+        const file = path.join(tmpDir, 'baseline.json');
+        const benchmark = (scale) => runBenchmark({
+            iterations: 3,
+            getClient: async () => cloudClient,
+            runIteration: scriptedIterations(scale),
+        });
+
+        expect(checkRegression(await benchmark(1000), { file })).toEqual({ ok: true, baseline: null, regressions: [] });
+
+        saveBaseline(await benchmark(1000), file);
+        expect(checkRegression(await benchmark(1100), { file }).ok).toBe(true);
+
+        const regression = checkRegression(await benchmark(1500), { file });
+        expect(regression.ok).toBe(false);
+        expect(regression.regressions).toContainEqual({ phase: 'readiness', baselineMs: 2000, currentMs: 3000, ratio: 1.5 });
+    });
+
+    it('should ignore small absolute slowdowns and other runtimes', async () => {
+        const file = path.join(tmpDir, 'baseline.json');
+        const benchmark = (scale, client = cloudClient) => runBenchmark({
+            iterations: 1,
+            getClient: async () => client,
+            runIteration: scriptedIterations(scale),
+        });
+
+        saveBaseline(await benchmark(10), file);
+        // 20 ms vs 10 ms doubles, but is below the 100 ms noise floor.
+        expect(checkRegression(await benchmark(20), { file }).ok).toBe(true);
+
+        const localDocker = { info: { containerRuntime: { serverVersion: '26.1.4', labels: [] } } };
+        expect(checkRegression(await benchmark(5000, localDocker), { file }).baseline).toBeNull();
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * Catalogue Generation - generate content for every track of a user
+ *
+ * Labels upload 50-200 tracks at once. generateForCatalogue() runs the
+ * GeminiService generators (promo, social and growth content) for each of a
+ * user's `audio_files` with bounded concurrency and a tokens-per-minute
+ * budget, and stores every result through AiContentRepository. Content that
+ * already exists for a track is skipped, so a run that crashed or was
+ * stopped simply resumes when it is started again.
+ */
+
+const { CircuitOpenError, ConfigError } = require('./GeminiErrors');
+const { AudioFileRepository } = require('./Repositories');
+const { CONTENT_TYPES, AiContentRepository, generateAndSave } = require('./AiContentRepository');
+
+const ITEM_STATUS = {
+    GENERATED: 'generated',
+    SKIPPED: 'skipped',
+    FAILED: 'failed',
+    PENDING: 'pending',
+};
+
+const WINDOW_MS = 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+    kinds: Object.keys(CONTENT_TYPES),
+    concurrency: 4,
+    tokensPerMinute: 100000,
+    // Reserved per call until the API reports the actual usage.
+    estimatedTokens: 1500,
+    growthContentType: 'promotional',
+    regenerate: false,
+    describeTrack,
+    onProgress: () => {},
+    now: () => Date.now(),
+    sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+};
+
+/**
+ * Sliding one-minute window of token usage. reserve() waits until the
+ * estimate fits the budget; settle() replaces the estimate with what the
+ * call actually used. A single call larger than the budget still runs once
+ * the window is empty.
+ */
+class TokenBudget {
+    constructor(tokensPerMinute, { now = DEFAULT_OPTIONS.now, sleep = DEFAULT_OPTIONS.sleep } = {}) {
+        this.tokensPerMinute = tokensPerMinute;
+        this.now = now;
+        this.sleep = sleep;
+        this.entries = [];
+    }
+
+    used() {
+        const since = this.now() - WINDOW_MS;
+        this.entries = this.entries.filter(entry => entry.at > since);
+        return this.entries.reduce((sum, entry) => sum + entry.tokens, 0);
+    }
+
+    async reserve(tokens) {
+        while (this.used() + tokens > this.tokensPerMinute && this.entries.length > 0) {
+            await this.sleep(this.entries[0].at + WINDOW_MS - this.now());
+        }
+        const entry = { at: this.now(), tokens };
+        this.entries.push(entry);
+        return entry;
+    }
+
+    settle(entry, tokens) {
+        entry.tokens = tokens;
+    }
+}
+
+/**
+ * Derives the generator inputs from an `audio_files` row joined with the
+ * username: `cyber_dreams.wav` becomes "Cyber Dreams" and the vibe is
+ * built from the analysis metadata (mood, genre, BPM, key).
+ */
+function describeTrack(track) {
+    const trackTitle = track.filename
+        .replace(/\.[^.]+$/, '')
+        .replace(/[_-]+/g, ' ')
+        .trim()
+        .replace(/(^|\s)(\S)/g, (match, space, letter) => space + letter.toUpperCase());
+    const vibe = [track.mood, track.genre, track.bpm && `${track.bpm} BPM`, track.musical_key]
+        .filter(Boolean)
+        .join(', ');
+    return { trackTitle, artist: track.username, vibe };
+}
+
+function inputsFor(kind, { trackTitle, artist, vibe }, { growthContentType }) {
+    return kind === 'growthContent'
+        ? { topic: `${trackTitle} by ${artist}`, contentType: growthContentType }
+        : { trackTitle, artist, vibe };
+}
+
+/**
+ * Generates the `kinds` of content for every track of `userId` and returns
+ * a summary: counts of generated, skipped, failed and pending items, the
+ * tokens used and one result per track and kind. A failing item does not
+ * stop the run; a missing API key or an open circuit breaker does, and the
+ * items not yet started are reported as pending.
+ *
+ * `onProgress(event)` is called with `{ type: 'started', total }`, then
+ * `{ type: 'generated' | 'skipped' | 'failed', audioFileId, kind,
+ * completed, total, ... }` for each item.
+ */
+async function generateForCatalogue(db, userId, overrides = {}) {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    const { kinds, onProgress } = options;
+    const startedAt = options.now();
+
+    const tracks = await new AudioFileRepository(db).listByUserId(userId);
+    const existing = options.regenerate ? [] : await new AiContentRepository(db).listLatestForUser(userId);
+    const latest = new Map(existing.map(row => [`${row.audio_file_id}:${row.content_type}`, row]));
+
+    const results = tracks.flatMap(track => kinds.map(kind => ({
+        audioFileId: track.id,
+        filename: track.filename,
+        kind,
+        status: ITEM_STATUS.PENDING,
+        track,
+    })));
+    const total = results.length;
+    let completed = 0;
+    let stoppedBy = null;
+
+    const finish = (result, fields) => {
+        Object.assign(result, fields);
+        completed++;
+        const { track, ...event } = result;
+        onProgress({ type: result.status, ...event, completed, total });
+    };
+
+    onProgress({ type: 'started', total });
+
+    const queue = [];
+    results.forEach(result => {
+        const current = latest.get(`${result.audioFileId}:${CONTENT_TYPES[result.kind]}`);
+        if (current) {
+            finish(result, { status: ITEM_STATUS.SKIPPED, contentId: current.id, version: current.version });
+        } else {
+            queue.push(result);
+        }
+    });
+
+    const budget = new TokenBudget(options.tokensPerMinute, options);
+    let totalTokens = 0;
+
+    const generate = async (result) => {
+        const reservation = await budget.reserve(options.estimatedTokens);
+        try {
+            const inputs = inputsFor(result.kind, options.describeTrack(result.track), options);
+            const row = await generateAndSave(db, result.kind, inputs, { userId, audioFileId: result.audioFileId });
+            budget.settle(reservation, row.total_tokens ?? options.estimatedTokens);
+            totalTokens += row.total_tokens ?? 0;
+            finish(result, { status: ITEM_STATUS.GENERATED, contentId: row.id, version: row.version, tokens: row.total_tokens });
+        } catch (error) {
+            if (error instanceof ConfigError || error instanceof CircuitOpenError) {
+                stoppedBy = stoppedBy || error;
+            }
+            finish(result, { status: ITEM_STATUS.FAILED, error: { name: error.name, message: error.message } });
+        }
+    };
+
+    let next = 0;
+    const worker = async () => {
+        while (!stoppedBy && next < queue.length) {
+            await generate(queue[next++]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(options.concurrency, queue.length) }, worker));
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    return {
+        userId,
+        tracks: tracks.length,
+        generated: count(ITEM_STATUS.GENERATED),
+        skipped: count(ITEM_STATUS.SKIPPED),
+        failed: count(ITEM_STATUS.FAILED),
+        pending: count(ITEM_STATUS.PENDING),
+        totalTokens,
+        durationMs: options.now() - startedAt,
+        stoppedBy: stoppedBy && stoppedBy.message,
+        results: results.map(({ track, ...result }) => result),
+    };
+}
+
+module.exports = {
+    ITEM_STATUS,
+    DEFAULT_OPTIONS,
+    TokenBudget,
+    describeTrack,
+    generateForCatalogue,
+};
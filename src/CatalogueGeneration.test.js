@@ -0,0 +1,244 @@
+const mockGenerateContent = jest.fn();
+
+jest.mock('@google/genai', () => ({
+    GoogleGenAI: jest.fn().mockImplementation(() => ({
+        models: { generateContent: mockGenerateContent },
+    })),
+    Type: { OBJECT: 'OBJECT', STRING: 'STRING', NUMBER: 'NUMBER', ARRAY: 'ARRAY' },
+}));
+
+const { Client } = require('pg');
+const { createTestDatabase } = require('./TestDatabase');
+const { DJ_PROMO, createUserWithTracks, createAudioFile, createAiContent } = require('./Factories');
+const { configureResilience } = require('./GeminiService');
+const { AiContentRepository, CONTENT_TYPES } = require('./AiContentRepository');
+const { ITEM_STATUS, TokenBudget, describeTrack, generateForCatalogue } = require('./CatalogueGeneration');
+
+const OUTPUTS = {
+    'promo writer': DJ_PROMO,
+    'social media manager': {
+        facebook: { caption: "New release", hashtags: ["#techno"] },
+        instagram: { caption: "Out now 🖤", hashtags: ["#AkustikProdukt"] },
+        tiktok: { hook: "Wait for the drop", tags: ["techno"], audioSuggestion: "Original Mix" },
+    },
+    'growth marketer': { title: "Behind the track", content: "Hook: ...", viralScore: 80 },
+};
+
+const answer = ({ contents }) => {
+    const [, output] = Object.entries(OUTPUTS).find(([role]) => contents.includes(role));
+    return {
+        text: JSON.stringify(output),
+        usageMetadata: { promptTokenCount: 150, candidatesTokenCount: 50, totalTokenCount: 200 },
+    };
+};
+
+// A clock that only moves when the budget sleeps.
+const fakeClock = () => {
+    const clock = { time: 0, sleeps: [] };
+    clock.now = () => clock.time;
+    clock.sleep = async (ms) => {
+        clock.sleeps.push(ms);
+        clock.time += ms;
+    };
+    return clock;
+};
+
+describe('Catalogue Generation', () => {
+    const originalEnv = process.env;
+    let database;
+    let client;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        client = new Client({ connectionString: database.url });
+        await client.connect();
+    });
+
+    afterAll(async () => {
+        if (client) {
+            await client.end();
+        }
+        if (database) {
+            await database.drop();
+        }
+    });
+
+    beforeEach(() => {
+        process.env = { ...originalEnv, VITE_GEMINI_API_KEY: 'test-api-key-12345' };
+        mockGenerateContent.mockReset();
+        mockGenerateContent.mockImplementation(async (request) => answer(request));
+        configureResilience({ retries: 0 });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        jest.restoreAllMocks();
+    });
+
+    it('should generate promo, social and growth content for every track', async () => {
+        const { user, tracks } = await createUserWithTracks(client, 2, {
+            user: { username: 'Neural Wave' },
+            track: { filename: n => `cyber_dreams_${n}.wav` },
+        });
+        const events = [];
+
+        const summary = await generateForCatalogue(client, user.id, { onProgress: event => events.push(event) });
+
+        expect(summary).toMatchObject({
+            userId: user.id,
+            tracks: 2,
+            generated: 6,
+            skipped: 0,
+            failed: 0,
+            pending: 0,
+            totalTokens: 1200,
+            stoppedBy: null,
+        });
+        expect(summary.results.map(result => [result.audioFileId, result.kind, result.status])).toEqual(
+            tracks.flatMap(track => ['djPromo', 'socialUplink', 'growthContent'].map(kind => [track.id, kind, ITEM_STATUS.GENERATED]))
+        );
+
+        const stored = await new AiContentRepository(client).listForTrack(tracks[0].id);
+        expect(stored.map(row => row.content_type).sort()).toEqual(Object.values(CONTENT_TYPES).sort());
+        const promo = stored.find(row => row.content_type === CONTENT_TYPES.djPromo);
+        expect(promo.input_data).toEqual(describeTrack({ ...tracks[0], username: 'Neural Wave' }));
+        expect(mockGenerateContent.mock.calls[0][0].contents).toContain(`the track "${promo.input_data.trackTitle}" by Neural Wave`);
+
+        expect(events[0]).toEqual({ type: 'started', total: 6 });
+        expect(events.slice(1).map(event => event.completed)).toEqual([1, 2, 3, 4, 5, 6]);
+        expect(events[1]).toMatchObject({ type: ITEM_STATUS.GENERATED, total: 6, contentId: expect.any(Number), tokens: 200 });
+        expect(events[1]).not.toHaveProperty('track');
+    });
+
+    it('should resume by skipping content that already exists', async () => {
+        const { user, tracks } = await createUserWithTracks(client, 2);
+        const existing = await createAiContent(client, { userId: user.id, audioFileId: tracks[0].id });
+
+        const first = await generateForCatalogue(client, user.id);
+
+        expect(first).toMatchObject({ generated: 5, skipped: 1 });
+        expect(first.results[0]).toMatchObject({ kind: 'djPromo', status: ITEM_STATUS.SKIPPED, contentId: existing.id, version: 1 });
+        expect(mockGenerateContent).toHaveBeenCalledTimes(5);
+
+        mockGenerateContent.mockClear();
+        const again = await generateForCatalogue(client, user.id);
+        expect(again).toMatchObject({ generated: 0, skipped: 6 });
+        expect(mockGenerateContent).not.toHaveBeenCalled();
+
+        const regenerated = await generateForCatalogue(client, user.id, { kinds: ['djPromo'], regenerate: true });
+        expect(regenerated.results.map(result => result.version)).toEqual([2, 2]);
+    });
+
+    it('should report failed tracks and carry on with the rest', async () => {
+        const { user, tracks } = await createUserWithTracks(client, 2);
+        const broken = await createAudioFile(client, user, { filename: 'corrupted_master.wav' });
+        mockGenerateContent.mockImplementation(async (request) => (request.contents.includes('Corrupted Master')
+            ? { text: 'not json' }
+            : answer(request)));
+
+        const summary = await generateForCatalogue(client, user.id, { kinds: ['djPromo', 'growthContent'] });
+
+        expect(summary).toMatchObject({ generated: 4, failed: 2, pending: 0, stoppedBy: null });
+        expect(summary.results.filter(result => result.audioFileId === tracks[0].id).map(result => result.status))
+            .toEqual([ITEM_STATUS.GENERATED, ITEM_STATUS.GENERATED]);
+        expect(summary.results.filter(result => result.status === ITEM_STATUS.FAILED)).toEqual([
+            expect.objectContaining({ audioFileId: broken.id, kind: 'djPromo', error: { name: 'InvalidResponseError', message: expect.any(String) } }),
+            expect.objectContaining({ audioFileId: broken.id, kind: 'growthContent' }),
+        ]);
+
+        // Only the failed items are left for the next run
+        mockGenerateContent.mockImplementation(async (request) => answer(request));
+        expect(await generateForCatalogue(client, user.id, { kinds: ['djPromo', 'growthContent'] }))
+            .toMatchObject({ generated: 2, skipped: 4 });
+    });
+
+    it('should not run more generations at once than allowed', async () => {
+        const { user } = await createUserWithTracks(client, 4);
+        let inFlight = 0;
+        let maxInFlight = 0;
+        mockGenerateContent.mockImplementation(async (request) => {
+            maxInFlight = Math.max(maxInFlight, ++inFlight);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            inFlight--;
+            return answer(request);
+        });
+
+        const summary = await generateForCatalogue(client, user.id, { concurrency: 3 });
+
+        expect(summary.generated).toBe(12);
+        expect(maxInFlight).toBe(3);
+    });
+
+    it('should wait for the tokens-per-minute budget', async () => {
+        const { user } = await createUserWithTracks(client, 3);
+        const clock = fakeClock();
+
+        // Each call reports 200 tokens: two fit into a minute
+        const summary = await generateForCatalogue(client, user.id, {
+            kinds: ['djPromo'],
+            concurrency: 1,
+            tokensPerMinute: 400,
+            estimatedTokens: 200,
+            now: clock.now,
+            sleep: clock.sleep,
+        });
+
+        expect(summary.generated).toBe(3);
+        expect(clock.sleeps).toEqual([60000]);
+        expect(summary.durationMs).toBe(60000);
+    });
+
+    it('should stop when generation cannot work at all', async () => {
+        const { user } = await createUserWithTracks(client, 3);
+        delete process.env.VITE_GEMINI_API_KEY;
+
+        const summary = await generateForCatalogue(client, user.id, { concurrency: 1 });
+
+        expect(summary).toMatchObject({ generated: 0, failed: 1, pending: 8 });
+        expect(summary.stoppedBy).toContain('VITE_GEMINI_API_KEY');
+        expect(mockGenerateContent).not.toHaveBeenCalled();
+    });
+
+    describe('TokenBudget', () => {
+        it('should hold reservations that exceed the budget until the window frees up', async () => {
+            const clock = fakeClock();
+            const budget = new TokenBudget(1000, clock);
+
+            const first = await budget.reserve(600);
+            clock.time = 10000;
+            await budget.reserve(300);
+            await budget.reserve(300);
+
+            expect(clock.sleeps).toEqual([50000]);
+            expect(budget.used()).toBe(600);
+
+            // Settling with the actual usage frees the difference
+            const big = await budget.reserve(700);
+            expect(clock.sleeps).toEqual([50000, 10000]);
+            budget.settle(big, 100);
+            await budget.reserve(600);
+            expect(clock.sleeps).toHaveLength(2);
+            expect(first.tokens).toBe(600);
+        });
+
+        it('should let a single oversized reservation through', async () => {
+            const clock = fakeClock();
+
+            await new TokenBudget(100, clock).reserve(5000);
+
+            expect(clock.sleeps).toEqual([]);
+        });
+    });
+
+    it('should describe tracks from their file name and analysis', () => {
+        expect(describeTrack({
+            filename: 'cyber_dreams-extended.wav',
+            username: 'Neural Wave',
+            mood: 'Dark Industrial',
+            genre: 'Techno',
+            bpm: 128,
+            musical_key: 'Am',
+        })).toEqual({ trackTitle: 'Cyber Dreams Extended', artist: 'Neural Wave', vibe: 'Dark Industrial, Techno, 128 BPM, Am' });
+    });
+});
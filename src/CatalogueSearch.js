@@ -0,0 +1,174 @@
+/**
+ * Catalogue Search - full-text and faceted search over `audio_files`
+ *
+ * Every track carries a `search_vector` (migration 0009) built from its
+ * title, genre, mood and the text of its latest DJ promo, kept up to date by
+ * triggers. A text query matches that vector, or the title by trigram word
+ * similarity so typos like "cyber drems" still find "cyber dreams". Results
+ * are ranked by both and paged with opaque cursors; facet counts by genre,
+ * Camelot key and BPM range describe the whole result set.
+ */
+
+const { normalizeKey } = require('./HarmonicMixing');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DEFAULT_BPM_BUCKET = 10;
+
+// GROUPING(genre, camelot_key, bpm_from) of each grouping set in facets().
+const FACET_GROUPS = { 3: 'genre', 5: 'key', 6: 'bpm', 7: 'total' };
+
+class InvalidCursorError extends Error {
+    constructor(cursor) {
+        super(`Invalid search cursor: ${cursor}`);
+        this.name = 'InvalidCursorError';
+        this.cursor = cursor;
+    }
+}
+
+const asList = (value) => (value === undefined || value === null ? null : [].concat(value));
+
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.score, row.id])).toString('base64url');
+
+function decodeCursor(cursor) {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new InvalidCursorError(cursor);
+    }
+    if (!Array.isArray(position) || !Number.isFinite(position[0]) || !Number.isInteger(position[1])) {
+        throw new InvalidCursorError(cursor);
+    }
+    return position;
+}
+
+/**
+ * Builds the query selecting every track that matches `filters`, with its
+ * `score` (0 without a text query), and the parameters it needs.
+ */
+function matchQuery({ text, userId, genre, key, bpm = {} }) {
+    const params = [];
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const conditions = [];
+    let score = '0::float8';
+
+    if (text && text.trim()) {
+        const term = `${param(text.trim())}::text`;
+        const query = `websearch_to_tsquery('english', ${term})`;
+        conditions.push(`(af.search_vector @@ ${query} OR ${term} <% af.title)`);
+        score = `(ts_rank_cd(af.search_vector, ${query})::float8 + word_similarity(${term}, af.title)::float8)`;
+    }
+    if (userId !== undefined && userId !== null) {
+        conditions.push(`af.user_id = ${param(userId)}`);
+    }
+    if (asList(genre)) {
+        conditions.push(`af.genre = ANY(${param(asList(genre))}::varchar[])`);
+    }
+    if (asList(key)) {
+        conditions.push(`af.camelot_key = ANY(${param(asList(key).map(normalizeKey))}::varchar[])`);
+    }
+    if (bpm.min !== undefined) {
+        conditions.push(`af.bpm >= ${param(bpm.min)}`);
+    }
+    if (bpm.max !== undefined) {
+        conditions.push(`af.bpm <= ${param(bpm.max)}`);
+    }
+
+    return {
+        sql: `
+            SELECT af.*, ${score} AS score
+            FROM audio_files af
+            WHERE ${conditions.length ? conditions.join(' AND ') : 'TRUE'}
+        `,
+        params,
+        param,
+    };
+}
+
+const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+
+class CatalogueSearch {
+    constructor(db, { bpmBucketSize = DEFAULT_BPM_BUCKET } = {}) {
+        this.db = db;
+        this.bpmBucketSize = bpmBucketSize;
+    }
+
+    /**
+     * Returns one page of tracks matching `filters`, best match first, and
+     * the `nextCursor` to pass for the following page (null on the last).
+     *
+     * Filters: `text` (web search syntax: quotes, `or`, `-word`), `userId`,
+     * `genre` and `key` (a value or a list; keys in any notation), and
+     * `bpm: { min, max }`.
+     */
+    async search({ cursor = null, limit = DEFAULT_LIMIT, ...filters } = {}) {
+        const { sql, params, param } = matchQuery(filters);
+        const pageSize = Math.min(Math.max(1, limit), MAX_LIMIT);
+
+        let after = '';
+        if (cursor) {
+            const [score, id] = decodeCursor(cursor);
+            const lastScore = param(score);
+            after = `WHERE score < ${lastScore}::float8 OR (score = ${lastScore}::float8 AND id > ${param(id)})`;
+        }
+
+        const result = await this.db.query(`
+            WITH matches AS (${sql})
+            SELECT * FROM matches
+            ${after}
+            ORDER BY score DESC, id
+            LIMIT ${param(pageSize + 1)}
+        `, params);
+
+        const rows = result.rows.slice(0, pageSize).map(({ search_vector, ...row }) => row);
+        return {
+            items: rows,
+            nextCursor: result.rows.length > pageSize ? encodeCursor(rows[rows.length - 1]) : null,
+        };
+    }
+
+    /**
+     * Counts the tracks matching `filters` (see search()) in total and by
+     * genre, Camelot key and BPM range. Tracks without a value are only
+     * counted in the total.
+     */
+    async facets(filters = {}) {
+        const { sql, params, param } = matchQuery(filters);
+        const size = param(this.bpmBucketSize);
+
+        const result = await this.db.query(`
+            WITH matches AS (${sql})
+            SELECT genre, camelot_key, bpm_from, COUNT(*)::int AS count,
+                GROUPING(genre, camelot_key, bpm_from) AS grouping
+            FROM (SELECT genre, camelot_key, (bpm / ${size}::int) * ${size}::int AS bpm_from FROM matches) m
+            GROUP BY GROUPING SETS ((genre), (camelot_key), (bpm_from), ())
+        `, params);
+
+        const facets = { total: 0, genre: [], key: [], bpm: [] };
+        result.rows.forEach(row => {
+            const group = FACET_GROUPS[row.grouping];
+            if (group === 'total') {
+                facets.total = row.count;
+            } else if (group === 'genre' && row.genre !== null) {
+                facets.genre.push({ value: row.genre, count: row.count });
+            } else if (group === 'key' && row.camelot_key !== null) {
+                facets.key.push({ value: row.camelot_key, count: row.count });
+            } else if (group === 'bpm' && row.bpm_from !== null) {
+                facets.bpm.push({ min: row.bpm_from, max: row.bpm_from + this.bpmBucketSize - 1, count: row.count });
+            }
+        });
+        facets.genre.sort(byCount);
+        facets.key.sort(byCount);
+        facets.bpm.sort((a, b) => a.min - b.min);
+        return facets;
+    }
+}
+
+module.exports = {
+    InvalidCursorError,
+    CatalogueSearch,
+};
@@ -0,0 +1,149 @@
+const { Client } = require('pg');
+const { createTestDatabase } = require('./TestDatabase');
+const { seedScenario } = require('./Seeds');
+const { createAiContent } = require('./Factories');
+const { InvalidCursorError, CatalogueSearch } = require('./CatalogueSearch');
+
+describe('Catalogue Search', () => {
+    let database;
+    let client;
+    let search;
+    let artist;
+    let label;
+
+    const titles = (page) => page.items.map(track => track.title);
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        client = new Client({ connectionString: database.url });
+        await client.connect();
+        artist = (await seedScenario(client, 'catalogue-browser')).users[0];
+        label = (await seedScenario(client, 'label-with-50-tracks')).users[0];
+        search = new CatalogueSearch(client);
+    });
+
+    afterAll(async () => {
+        if (client) {
+            await client.end();
+        }
+        if (database) {
+            await database.drop();
+        }
+    });
+
+    it('should find tracks by title, genre and mood', async () => {
+        expect(titles(await search.search({ text: 'neon' }))).toEqual(['neon cathedral']);
+        expect(titles(await search.search({ text: 'hypnotic techno', userId: artist.user.id }))).toEqual(['neon cathedral']);
+        expect(titles(await search.search({ text: 'minimal', userId: artist.user.id }))).toEqual(['concrete garden']);
+    });
+
+    it('should search the text of generated promos', async () => {
+        expect(titles(await search.search({ text: 'open air by the lake' }))).toEqual(['sunrise over limmat']);
+
+        // A title match ranks above a mention in a promo
+        const page = await search.search({ text: 'warehouse' });
+        expect(titles(page)[0]).toBe('warehouse ritual');
+        expect(titles(page)).toEqual(expect.arrayContaining(['cyber dreams', 'akustik cat 1']));
+        expect(page.items[0].score).toBeGreaterThan(page.items[1].score);
+        expect(page.items[0]).not.toHaveProperty('search_vector');
+    });
+
+    it('should pick up new promos and changed metadata', async () => {
+        const concreteGarden = artist.tracks[4];
+        expect(titles(await search.search({ text: 'lasers' }))).toEqual([]);
+
+        await createAiContent(client, {
+            userId: artist.user.id,
+            audioFileId: concreteGarden.id,
+            output: { clubHype: 'Lasers, smoke and a kick that never stops.' },
+        });
+        await client.query(`UPDATE audio_files SET mood = 'Hypnotic' WHERE id = $1`, [concreteGarden.id]);
+
+        expect(titles(await search.search({ text: 'lasers' }))).toEqual(['concrete garden']);
+        expect(titles(await search.search({ text: 'hypnotic', userId: artist.user.id })).sort())
+            .toEqual(['concrete garden', 'neon cathedral']);
+    });
+
+    it('should match titles with typos', async () => {
+        expect(titles(await search.search({ text: 'cyber drems' })).sort()).toEqual(['cyber dreams', 'cyber dreams extended']);
+        expect(titles(await search.search({ text: 'neon cathedrl' }))).toEqual(['neon cathedral']);
+        expect(titles(await search.search({ text: 'glacer drift' }))).toEqual(['glacier drift']);
+    });
+
+    it('should filter by genre, key and BPM', async () => {
+        const page = await search.search({ key: 'A minor', bpm: { min: 129 } });
+        expect(titles(page)).toEqual(['warehouse ritual']);
+
+        const ambientOrHouse = await search.search({ genre: ['Ambient', 'House'], userId: label.user.id, limit: 100 });
+        expect(ambientOrHouse.items).toHaveLength(20);
+        expect(new Set(ambientOrHouse.items.map(track => track.genre))).toEqual(new Set(['Ambient', 'House']));
+        expect(ambientOrHouse.nextCursor).toBeNull();
+    });
+
+    it('should count facets by genre, key and BPM range', async () => {
+        const facets = await search.facets({ userId: label.user.id });
+
+        expect(facets.total).toBe(50);
+        expect(facets.genre).toEqual([
+            { value: 'Ambient', count: 10 },
+            { value: 'Drum & Bass', count: 10 },
+            { value: 'House', count: 10 },
+            { value: 'Minimal', count: 10 },
+            { value: 'Techno', count: 10 },
+        ]);
+        expect(facets.key).toHaveLength(10);
+        expect(facets.key.every(key => key.count === 5)).toBe(true);
+        expect(facets.bpm).toEqual([
+            { min: 80, max: 89, count: 5 },
+            { min: 90, max: 99, count: 5 },
+            { min: 120, max: 129, count: 20 },
+            { min: 130, max: 139, count: 10 },
+            { min: 170, max: 179, count: 10 },
+        ]);
+    });
+
+    it('should count facets of a text search only', async () => {
+        const facets = await new CatalogueSearch(client, { bpmBucketSize: 5 }).facets({ text: 'techno', userId: artist.user.id });
+
+        expect(facets).toEqual({
+            total: 3,
+            genre: [{ value: 'Techno', count: 3 }],
+            key: [{ value: '8A', count: 2 }, { value: '4A', count: 1 }],
+            bpm: [{ min: 125, max: 129, count: 2 }, { min: 130, max: 134, count: 1 }],
+        });
+    });
+
+    it('should page through results with cursors', async () => {
+        const seen = [];
+        let cursor = null;
+        let pages = 0;
+        do {
+            const page = await search.search({ userId: label.user.id, limit: 20, cursor });
+            seen.push(...page.items.map(track => track.id));
+            cursor = page.nextCursor;
+            pages++;
+        } while (cursor);
+
+        expect(pages).toBe(3);
+        expect(seen).toEqual(label.tracks.map(track => track.id));
+    });
+
+    it('should page through ranked results without gaps or repeats', async () => {
+        const all = await search.search({ text: 'techno', limit: 100 });
+        const paged = [];
+        let cursor = null;
+        do {
+            const page = await search.search({ text: 'techno', limit: 3, cursor });
+            paged.push(...page.items.map(track => track.id));
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        expect(all.items.length).toBeGreaterThan(10);
+        expect(paged).toEqual(all.items.map(track => track.id));
+    });
+
+    it('should reject cursors it did not issue', async () => {
+        await expect(search.search({ cursor: 'not-a-cursor' })).rejects.toThrow(InvalidCursorError);
+        await expect(search.search({ cursor: Buffer.from('{"id":1}').toString('base64url') })).rejects.toThrow(InvalidCursorError);
+    });
+});
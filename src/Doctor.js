@@ -0,0 +1,428 @@
+/**
+ * Doctor - step-by-step onboarding checks with remediation hints
+ *
+ * Walks through what a Testcontainers run needs, in the order it needs it:
+ * a reachable Docker host, `~/.testcontainers.properties`, a supported
+ * runtime, the Ryuk image, pulling an image, starting a container with a mapped port
+ * and reaching that port from the host. Every check reports pass, warn,
+ * fail or skip together with a hint on how to fix it, so a broken setup
+ * explains itself instead of ending in a bare `fail()`.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { getContainerRuntimeClient, ImageName } = require('testcontainers/build/container-runtime');
+const { REAPER_IMAGE } = require('testcontainers/build/reaper/reaper');
+const { classifyRuntime } = require('./RuntimeDetection');
+
+const STATUS = {
+    PASS: 'pass',
+    WARN: 'warn',
+    FAIL: 'fail',
+    SKIP: 'skip',
+};
+
+const PROBE_IMAGE = 'testcontainers/helloworld:1.1.0';
+const PROBE_PORT = 8080;
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const PROPERTIES_PATH = path.join(os.homedir(), '.testcontainers.properties');
+const DEFAULT_SOCKET = '/var/run/docker.sock';
+
+const INSTALL_HINT = 'Start Testcontainers Desktop or the Testcontainers Cloud agent ' +
+    '(https://app.testcontainers.cloud), or point DOCKER_HOST at a running Docker engine.';
+
+/**
+ * Parses the `key=value` lines of a .properties file; `#` and `!` start
+ * comments.
+ */
+function parseProperties(text) {
+    const properties = {};
+    text.split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('!')) {
+            return;
+        }
+        const separator = trimmed.search(/[=:]/);
+        if (separator > 0) {
+            properties[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1).trim();
+        }
+    });
+    return properties;
+}
+
+function loadProperties(propertiesPath) {
+    if (!fs.existsSync(propertiesPath)) {
+        return { exists: false, values: {} };
+    }
+    return { exists: true, values: parseProperties(fs.readFileSync(propertiesPath, 'utf8')) };
+}
+
+/**
+ * Works out which Docker host Testcontainers will try, in the order its
+ * runtime strategies use: `tc.host`, DOCKER_HOST / `docker.host`, then the
+ * default and rootless sockets.
+ */
+function resolveDockerHost(env, properties) {
+    if (properties['tc.host']) {
+        return { source: 'tc.host in .testcontainers.properties', dockerHost: properties['tc.host'] };
+    }
+    if (env.DOCKER_HOST) {
+        return { source: 'DOCKER_HOST', dockerHost: env.DOCKER_HOST };
+    }
+    if (properties['docker.host']) {
+        return { source: 'docker.host in .testcontainers.properties', dockerHost: properties['docker.host'] };
+    }
+    const sockets = [
+        DEFAULT_SOCKET,
+        env.XDG_RUNTIME_DIR && path.join(env.XDG_RUNTIME_DIR, 'docker.sock'),
+        path.join(os.homedir(), '.docker', 'run', 'docker.sock'),
+        path.join(os.homedir(), '.docker', 'desktop', 'docker.sock'),
+    ].filter(Boolean);
+    const socket = sockets.find(candidate => fs.existsSync(candidate));
+    if (socket) {
+        return { source: 'local socket', dockerHost: `unix://${socket}` };
+    }
+    return { source: 'none', dockerHost: undefined };
+}
+
+function connectionHint(error, { source, dockerHost }) {
+    const message = String(error && error.message);
+    if (source === 'none' || /no working container runtime strategy/i.test(message)) {
+        return `No Docker host is configured and no Docker socket was found. ${INSTALL_HINT}`;
+    }
+    if (error.code === 'EACCES' || /permission denied/i.test(message)) {
+        return `Permission denied on ${dockerHost}. Add your user to the "docker" group, ` +
+            'or use Testcontainers Desktop which exposes a user-owned socket.';
+    }
+    if (source.startsWith('tc.host')) {
+        return `tc.host=${dockerHost} is configured but nothing answers there. ` +
+            'Start Testcontainers Desktop or the Cloud agent, or remove the stale tc.host line.';
+    }
+    return `${source}=${dockerHost} does not answer (${error.code || message}). ` +
+        `Check the engine is running and listening there. ${INSTALL_HINT}`;
+}
+
+const pullHint = (error) => {
+    const message = String(error && error.message);
+    if (/toomanyrequests|rate limit/i.test(message)) {
+        return 'Docker Hub rate limit reached. Run "docker login", or configure a registry mirror ' +
+            'with TESTCONTAINERS_HUB_IMAGE_NAME_PREFIX.';
+    }
+    if (/unauthorized|authentication required|denied/i.test(message)) {
+        return 'The registry refused the pull. Run "docker login" for that registry and check ~/.docker/config.json.';
+    }
+    return 'The engine could not pull from the registry. Check its network and proxy settings, ' +
+        'or set TESTCONTAINERS_HUB_IMAGE_NAME_PREFIX to pull through a reachable mirror.';
+};
+
+function httpGet(url, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const request = http.get(url, { timeout: timeoutMs }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        });
+        request.on('timeout', () => request.destroy(Object.assign(new Error(`timed out after ${timeoutMs}ms`), {
+            code: 'ETIMEDOUT',
+        })));
+        request.on('error', reject);
+    });
+}
+
+const CHECKS = [
+    {
+        id: 'docker-host',
+        title: 'Docker socket and DOCKER_HOST',
+        async run(context) {
+            context.target = resolveDockerHost(context.env, context.properties.values);
+            try {
+                context.client = await context.getClient();
+            } catch (error) {
+                return {
+                    status: STATUS.FAIL,
+                    message: `Could not connect to a container runtime: ${error.message}`,
+                    hint: connectionHint(error, context.target),
+                };
+            }
+            const { host, serverVersion } = context.client.info.containerRuntime;
+            return {
+                status: STATUS.PASS,
+                message: `Connected via ${context.target.source}` +
+                    `${context.target.dockerHost ? ` (${context.target.dockerHost})` : ''}` +
+                    ` to Docker ${serverVersion} on ${host}`,
+            };
+        },
+    },
+    {
+        id: 'properties',
+        title: '~/.testcontainers.properties',
+        async run(context) {
+            const { exists, values } = context.properties;
+            if (!exists) {
+                return {
+                    status: STATUS.WARN,
+                    message: `${context.propertiesPath} does not exist`,
+                    hint: 'Testcontainers Desktop and the Cloud agent write tc.host there when they start; ' +
+                        'start one of them, or ignore this if you use DOCKER_HOST on purpose.',
+                };
+            }
+            if (!values['tc.host']) {
+                return {
+                    status: STATUS.WARN,
+                    message: `${context.propertiesPath} has no tc.host entry`,
+                    hint: 'Without tc.host Testcontainers falls back to DOCKER_HOST or the local socket. ' +
+                        'Start Testcontainers Desktop or the Cloud agent to route containers to the cloud.',
+                };
+            }
+            return { status: STATUS.PASS, message: `tc.host=${values['tc.host']}` };
+        },
+    },
+    {
+        id: 'runtime',
+        title: 'Container runtime',
+        requires: ['docker-host'],
+        async run(context) {
+            context.runtime = classifyRuntime(context.client.info, { dockerHost: context.env.DOCKER_HOST });
+            const { kind, name, reasons } = context.runtime;
+            if (!context.runtime.supported) {
+                return {
+                    status: STATUS.WARN,
+                    message: `Running on ${name} (${kind}): ${reasons.join('; ')}`,
+                    hint: 'Containers will run, but not on Testcontainers Cloud. Start the Cloud agent, ' +
+                        'or switch Testcontainers Desktop to a Cloud runtime, to complete onboarding.',
+                };
+            }
+            return { status: STATUS.PASS, message: `Running on ${name} (${kind})` };
+        },
+    },
+    {
+        // Only pulls the image; the container checks below show containers start.
+        id: 'ryuk-image',
+        title: 'Ryuk resource reaper image',
+        requires: ['docker-host'],
+        async run(context) {
+            if (context.env.TESTCONTAINERS_RYUK_DISABLED === 'true') {
+                return {
+                    status: STATUS.WARN,
+                    message: 'Ryuk is disabled by TESTCONTAINERS_RYUK_DISABLED=true',
+                    hint: 'Containers of crashed or interrupted test runs will be left behind. ' +
+                        'Only disable Ryuk where something else cleans up containers.',
+                };
+            }
+            try {
+                await context.client.image.pull(ImageName.fromString(context.reaperImage));
+            } catch (error) {
+                return {
+                    status: STATUS.FAIL,
+                    message: `Could not pull the Ryuk image ${context.reaperImage}: ${error.message}`,
+                    hint: `${pullHint(error)} A mirrored Ryuk image can be set with RYUK_CONTAINER_IMAGE.`,
+                };
+            }
+            return { status: STATUS.PASS, message: `Ryuk image ${context.reaperImage} is available` };
+        },
+    },
+    {
+        id: 'image-pull',
+        title: 'Image pull',
+        requires: ['docker-host'],
+        async run(context) {
+            try {
+                // Forced, so a cached copy cannot hide a broken registry connection.
+                await context.client.image.pull(ImageName.fromString(context.probeImage), { force: true });
+            } catch (error) {
+                return {
+                    status: STATUS.FAIL,
+                    message: `Could not pull ${context.probeImage}: ${error.message}`,
+                    hint: pullHint(error),
+                };
+            }
+            return { status: STATUS.PASS, message: `Pulled ${context.probeImage}` };
+        },
+    },
+    {
+        id: 'container-start',
+        title: 'Container start and port mapping',
+        requires: ['image-pull'],
+        async run(context) {
+            const exposed = `${PROBE_PORT}/tcp`;
+            try {
+                context.container = await context.client.container.create({
+                    Image: context.probeImage,
+                    ExposedPorts: { [exposed]: {} },
+                    HostConfig: { PortBindings: { [exposed]: [{ HostPort: '0' }] } },
+                    Labels: { 'org.testcontainers': 'true', 'org.testcontainers.doctor': 'true' },
+                });
+                await context.client.container.start(context.container);
+            } catch (error) {
+                return {
+                    status: STATUS.FAIL,
+                    message: `Could not start ${context.probeImage}: ${error.message}`,
+                    hint: 'The engine accepted the connection but could not run a container. ' +
+                        'Check the engine logs and free disk space; on Testcontainers Cloud check the agent status.',
+                };
+            }
+
+            const inspectResult = await context.client.container.inspect(context.container);
+            const binding = (inspectResult.NetworkSettings.Ports[exposed] || [])[0];
+            if (!binding) {
+                return {
+                    status: STATUS.FAIL,
+                    message: `Container started but port ${PROBE_PORT} was not mapped to the host`,
+                    hint: 'The engine ignored the port binding. Rootless and remote engines may need ' +
+                        'port forwarding enabled; Testcontainers Cloud forwards ports automatically.',
+                };
+            }
+            context.mappedPort = Number(binding.HostPort);
+            return {
+                status: STATUS.PASS,
+                message: `Started ${context.probeImage}, port ${PROBE_PORT} mapped to ${context.mappedPort}`,
+            };
+        },
+    },
+    {
+        id: 'connectivity',
+        title: 'Host-to-container connectivity',
+        requires: ['container-start'],
+        async run(context) {
+            const host = context.env.TESTCONTAINERS_HOST_OVERRIDE || context.client.info.containerRuntime.host;
+            const url = `http://${host}:${context.mappedPort}/ping`;
+            try {
+                const response = await httpGet(url, context.timeoutMs);
+                if (response.status !== 200) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+            } catch (error) {
+                return {
+                    status: STATUS.FAIL,
+                    message: `Could not reach the container at ${url}: ${error.message}`,
+                    hint: `The container runs, but ${host}:${context.mappedPort} is not reachable from this machine. ` +
+                        'Check VPN and firewall rules; if the engine runs elsewhere set ' +
+                        'TESTCONTAINERS_HOST_OVERRIDE to an address that reaches it.',
+                };
+            }
+            return { status: STATUS.PASS, message: `${url} answered` };
+        },
+    },
+];
+
+function withTimeout(promise, timeoutMs, title) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${title} did not finish within ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function removeProbeContainer(context) {
+    const { container } = context;
+    if (!container) {
+        return;
+    }
+    context.container = null;
+    try {
+        await context.client.container.stop(container, { timeout: 0 });
+        await context.client.container.remove(container, { removeVolumes: true });
+    } catch (error) {
+        // Ryuk, where enabled, removes anything left behind.
+    }
+}
+
+/**
+ * Runs all checks and returns `{ ok, runtime, checks }`, where `ok` is false
+ * when any check failed. Checks whose prerequisites did not pass are
+ * skipped rather than failed, so only the first broken step is reported.
+ */
+async function runDoctor({
+    env = process.env,
+    propertiesPath = PROPERTIES_PATH,
+    getClient = getContainerRuntimeClient,
+    probeImage = PROBE_IMAGE,
+    reaperImage = REAPER_IMAGE,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+} = {}) {
+    const context = {
+        env,
+        propertiesPath,
+        properties: loadProperties(propertiesPath),
+        getClient,
+        probeImage,
+        reaperImage,
+        timeoutMs,
+    };
+    const checks = [];
+    const passed = new Set();
+
+    try {
+        for (const check of CHECKS) {
+            const missing = (check.requires || []).filter(id => !passed.has(id));
+            let result;
+            const startedAt = Date.now();
+
+            if (missing.length > 0) {
+                result = { status: STATUS.SKIP, message: `Skipped because ${missing.join(', ')} did not pass` };
+            } else {
+                const run = check.run(context);
+                try {
+                    result = await withTimeout(run, timeoutMs, check.title);
+                } catch (error) {
+                    // After a timeout the check is still running and may yet
+                    // create the probe container; remove it once the check settles.
+                    run.catch(() => {}).then(() => removeProbeContainer(context));
+                    result = {
+                        status: STATUS.FAIL,
+                        message: error.message,
+                        hint: 'Unexpected error; rerun with DEBUG=testcontainers* for the full engine conversation.',
+                    };
+                }
+            }
+
+            if (result.status === STATUS.PASS || result.status === STATUS.WARN) {
+                passed.add(check.id);
+            }
+            checks.push({ id: check.id, title: check.title, durationMs: Date.now() - startedAt, ...result });
+        }
+    } finally {
+        await removeProbeContainer(context);
+    }
+
+    return {
+        ok: checks.every(check => check.status !== STATUS.FAIL),
+        runtime: context.runtime || null,
+        checks,
+    };
+}
+
+const SYMBOLS = {
+    [STATUS.PASS]: '✔',
+    [STATUS.WARN]: '⚠',
+    [STATUS.FAIL]: '✖',
+    [STATUS.SKIP]: '-',
+};
+
+/**
+ * Renders a runDoctor() report for the terminal.
+ */
+function formatReport(report) {
+    const lines = report.checks.map(check => {
+        const line = `${SYMBOLS[check.status]} ${check.status.toUpperCase().padEnd(4)}  ${check.title}: ${check.message}`;
+        return check.hint ? `${line}\n         → ${check.hint}` : line;
+    });
+    const count = status => report.checks.filter(check => check.status === status).length;
+    lines.push('');
+    lines.push(`${count(STATUS.PASS)} passed, ${count(STATUS.WARN)} warnings, ` +
+        `${count(STATUS.FAIL)} failed, ${count(STATUS.SKIP)} skipped`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    STATUS,
+    PROBE_IMAGE,
+    CHECKS,
+    parseProperties,
+    resolveDockerHost,
+    runDoctor,
+    formatReport,
+};
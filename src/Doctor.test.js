@@ -0,0 +1,216 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startDockerApi } = require('./__fixtures__/dockerApi');
+const { STATUS, PROBE_IMAGE, parseProperties, resolveDockerHost, runDoctor, formatReport } = require('./Doctor');
+
+const statuses = (report) => Object.fromEntries(report.checks.map(check => [check.id, check.status]));
+
+describe('Doctor', () => {
+    const originalDockerHost = process.env.DOCKER_HOST;
+    let dockerApi;
+    let tmpDir;
+    let propertiesPath;
+
+    const doctor = (options = {}) => runDoctor({
+        env: { DOCKER_HOST: dockerApi.url },
+        propertiesPath,
+        reaperImage: 'testcontainers/ryuk:0.5.1',
+        timeoutMs: 5000,
+        ...options,
+    });
+
+    beforeAll(async () => {
+        dockerApi = await startDockerApi();
+        // getContainerRuntimeClient() reads DOCKER_HOST when it first connects.
+        process.env.DOCKER_HOST = dockerApi.url;
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tcc-doctor-'));
+    });
+
+    afterAll(async () => {
+        if (originalDockerHost === undefined) {
+            delete process.env.DOCKER_HOST;
+        } else {
+            process.env.DOCKER_HOST = originalDockerHost;
+        }
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        await dockerApi.stop();
+    });
+
+    beforeEach(() => {
+        dockerApi.reset();
+        dockerApi.state.images.clear();
+        propertiesPath = path.join(tmpDir, '.testcontainers.properties');
+        fs.writeFileSync(propertiesPath, `# written by the Testcontainers Cloud agent\ntc.host=${dockerApi.url}\n`);
+    });
+
+    it('should pass every check against a working Testcontainers Cloud engine', async () => {
+        const report = await doctor();
+
+        expect(report.ok).toBe(true);
+        expect(statuses(report)).toEqual({
+            'docker-host': STATUS.PASS,
+            'properties': STATUS.PASS,
+            'runtime': STATUS.PASS,
+            'ryuk-image': STATUS.PASS,
+            'image-pull': STATUS.PASS,
+            'container-start': STATUS.PASS,
+            'connectivity': STATUS.PASS,
+        });
+        expect(report.runtime).toMatchObject({ kind: 'cloud', name: 'Testcontainers Cloud' });
+        expect(report.checks.every(check => check.durationMs >= 0)).toBe(true);
+        expect(dockerApi.state.images).toEqual(new Set(['testcontainers/ryuk:0.5.1', PROBE_IMAGE]));
+        // The probe container is cleaned up afterwards.
+        expect(dockerApi.state.containers.size).toBe(0);
+    });
+
+    it('should fail with a hint and skip the rest when no runtime is reachable', async () => {
+        const report = await doctor({
+            env: {},
+            propertiesPath: path.join(tmpDir, 'missing.properties'),
+            getClient: () => Promise.reject(new Error('Could not find a working container runtime strategy')),
+        });
+
+        expect(report.ok).toBe(false);
+        const [dockerHost, properties, ...rest] = report.checks;
+        expect(dockerHost).toMatchObject({ status: STATUS.FAIL });
+        expect(dockerHost.hint).toContain('Start Testcontainers Desktop or the Testcontainers Cloud agent');
+        expect(properties).toMatchObject({ status: STATUS.WARN });
+        expect(properties.hint).toContain('write tc.host');
+        expect(rest.map(check => check.status)).toEqual(Array(5).fill(STATUS.SKIP));
+    });
+
+    it('should explain a stale tc.host', async () => {
+        const report = await doctor({
+            getClient: () => Promise.reject(Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:1'), {
+                code: 'ECONNREFUSED',
+            })),
+        });
+
+        expect(report.checks[0].hint).toContain(`tc.host=${dockerApi.url} is configured but nothing answers there`);
+    });
+
+    it('should warn about a runtime that is not Testcontainers Cloud', async () => {
+        const { getContainerRuntimeClient } = require('testcontainers/build/container-runtime');
+        const client = await getContainerRuntimeClient();
+        const localDocker = {
+            ...client,
+            image: client.image,
+            container: client.container,
+            info: {
+                ...client.info,
+                containerRuntime: { ...client.info.containerRuntime, serverVersion: '26.1.4', labels: [] },
+            },
+        };
+
+        const report = await doctor({ getClient: async () => localDocker });
+
+        expect(report.ok).toBe(true);
+        expect(report.checks.find(check => check.id === 'runtime')).toMatchObject({ status: STATUS.WARN });
+        expect(report.runtime.kind).toBe('local-docker');
+    });
+
+    it('should warn when Ryuk is disabled', async () => {
+        const report = await doctor({ env: { DOCKER_HOST: dockerApi.url, TESTCONTAINERS_RYUK_DISABLED: 'true' } });
+
+        const ryuk = report.checks.find(check => check.id === 'ryuk-image');
+        expect(ryuk.status).toBe(STATUS.WARN);
+        expect(ryuk.hint).toContain('left behind');
+        expect(dockerApi.state.images.has('testcontainers/ryuk:0.5.1')).toBe(false);
+    });
+
+    it('should explain a rate-limited image pull', async () => {
+        dockerApi.fail('pull', 500, 'toomanyrequests: You have reached your pull rate limit');
+
+        const report = await doctor();
+
+        expect(report.ok).toBe(false);
+        const imagePull = report.checks.find(check => check.id === 'image-pull');
+        expect(imagePull.status).toBe(STATUS.FAIL);
+        expect(imagePull.hint).toContain('rate limit');
+        expect(statuses(report)).toMatchObject({ 'container-start': STATUS.SKIP, 'connectivity': STATUS.SKIP });
+    });
+
+    it('should report a container that does not start', async () => {
+        dockerApi.fail('start', 500, 'no space left on device');
+
+        const report = await doctor();
+
+        const containerStart = report.checks.find(check => check.id === 'container-start');
+        expect(containerStart.status).toBe(STATUS.FAIL);
+        expect(containerStart.message).toContain('no space left on device');
+        expect(statuses(report).connectivity).toBe(STATUS.SKIP);
+        expect(dockerApi.state.containers.size).toBe(0);
+    });
+
+    it('should remove a probe container created after the check timed out', async () => {
+        dockerApi.delay('create', 300);
+
+        const report = await doctor({ timeoutMs: 100 });
+
+        const containerStart = report.checks.find(check => check.id === 'container-start');
+        expect(containerStart.status).toBe(STATUS.FAIL);
+        expect(containerStart.message).toContain('did not finish within 100ms');
+        await new Promise(resolve => setTimeout(resolve, 500));
+        expect(dockerApi.state.requests).toContainEqual(expect.stringMatching(/^DELETE \/containers\//));
+        expect(dockerApi.state.containers.size).toBe(0);
+    });
+
+    it('should report a mapped port that is not reachable from the host', async () => {
+        dockerApi.fail('ping');
+
+        const report = await doctor();
+
+        const connectivity = report.checks.find(check => check.id === 'connectivity');
+        expect(connectivity.status).toBe(STATUS.FAIL);
+        expect(connectivity.hint).toContain('TESTCONTAINERS_HOST_OVERRIDE');
+    });
+
+    it('should format the report with hints', async () => {
+        dockerApi.fail('pull', 401, 'unauthorized: authentication required');
+
+        const text = formatReport(await doctor());
+
+        expect(text).toContain('✔ PASS  Docker socket and DOCKER_HOST');
+        expect(text).toContain('✖ FAIL  Image pull');
+        expect(text).toContain('→ The registry refused the pull');
+        expect(text).toMatch(/3 passed, 0 warnings, 2 failed, 2 skipped$/);
+    });
+
+    it('should print a JSON report and exit non-zero from the CLI', async () => {
+        fs.rmSync(propertiesPath);
+        dockerApi.fail('start');
+
+        const { code, stdout } = await new Promise((resolve) => {
+            execFile(process.execPath, [path.join(__dirname, '..', 'bin', 'tcc-doctor.js'), '--json'], {
+                env: { ...process.env, HOME: tmpDir, DOCKER_HOST: dockerApi.url },
+            }, (error, stdout) => resolve({ code: error ? error.code : 0, stdout }));
+        });
+
+        expect(code).toBe(1);
+        const report = JSON.parse(stdout);
+        expect(report.ok).toBe(false);
+        expect(statuses(report)).toMatchObject({ 'properties': STATUS.WARN, 'container-start': STATUS.FAIL });
+    });
+
+    describe('configuration', () => {
+        it('should parse .testcontainers.properties', () => {
+            expect(parseProperties('# comment\ntc.host = tcp://127.0.0.1:41234\n\ndocker.tls.verify=1\n')).toEqual({
+                'tc.host': 'tcp://127.0.0.1:41234',
+                'docker.tls.verify': '1',
+            });
+        });
+
+        it('should resolve the Docker host in Testcontainers strategy order', () => {
+            const properties = { 'tc.host': 'tcp://127.0.0.1:1', 'docker.host': 'tcp://10.0.0.5:2375' };
+
+            expect(resolveDockerHost({ DOCKER_HOST: 'tcp://docker:2375' }, properties).source)
+                .toBe('tc.host in .testcontainers.properties');
+            expect(resolveDockerHost({ DOCKER_HOST: 'tcp://docker:2375' }, { 'docker.host': 'tcp://10.0.0.5:2375' }))
+                .toEqual({ source: 'DOCKER_HOST', dockerHost: 'tcp://docker:2375' });
+            expect(resolveDockerHost({}, { 'docker.host': 'tcp://10.0.0.5:2375' }).dockerHost)
+                .toBe('tcp://10.0.0.5:2375');
+        });
+    });
+});
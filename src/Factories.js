@@ -0,0 +1,148 @@
+/**
+ * Factories - Akustik domain fixtures for tests and local demos
+ *
+ * `build*` functions return plain objects with unique, realistic defaults
+ * (emails, filenames and track titles are numbered by per-factory
+ * sequences) that any field can override. `create*` variants insert the
+ * same objects through the repositories, so fixtures go through the same
+ * SQL, key normalization and versioning as production data.
+ *
+ * An override may be a function of the sequence number, e.g.
+ * `buildAudioFile({ filename: n => `set_${n}.wav` })`.
+ */
+
+const { UserRepository, AudioFileRepository } = require('./Repositories');
+const { AiContentRepository, CONTENT_TYPES } = require('./AiContentRepository');
+
+const GENRES = ['Techno', 'House', 'Drum & Bass', 'Ambient', 'Minimal'];
+const MOODS = ['Dark Industrial', 'Euphoric', 'Deep', 'Melancholic', 'Hypnotic'];
+const KEYS = ['Am', 'Fm', 'C', 'Dm', 'G', 'Ebm', 'F#m', 'Bb'];
+
+const DJ_PROMO = {
+    clubHype: "Zurich's latest underground weapon drops tonight!",
+    poolDescription: "Dark techno masterpiece with rolling basslines and industrial percussion. Perfect for peak time warehouse sets.",
+    micShoutout: "Big shout to the crew supporting the Zurich techno scene - this one's for you!",
+    targetBpm: "125-130 BPM",
+    mixTips: "Transition from a deeper groove, let the kick drive for 8 bars before bringing in the full bass spectrum.",
+};
+
+const sequences = new Map();
+
+const next = (name) => {
+    const value = (sequences.get(name) || 0) + 1;
+    sequences.set(name, value);
+    return value;
+};
+
+/**
+ * Restarts all sequences at 1, e.g. in `beforeEach` after truncating tables.
+ */
+function resetSequences() {
+    sequences.clear();
+}
+
+const pick = (values, n) => values[(n - 1) % values.length];
+
+function applyOverrides(defaults, overrides, n) {
+    const result = { ...defaults };
+    Object.entries(overrides).forEach(([field, value]) => {
+        result[field] = typeof value === 'function' ? value(n) : value;
+    });
+    return result;
+}
+
+function buildUser(overrides = {}) {
+    const n = next('user');
+    return applyOverrides({
+        email: `user${n}@akustik.ch`,
+        username: `user${n}`,
+    }, overrides, n);
+}
+
+function buildAudioFile(overrides = {}) {
+    const n = next('audioFile');
+    return applyOverrides({
+        filename: `track${n}.wav`,
+        bpm: 120 + ((n - 1) % 11),
+        musical_key: pick(KEYS, n),
+        genre: pick(GENRES, n),
+        mood: pick(MOODS, n),
+        duration_seconds: 300 + n,
+        sample_rate: 44100,
+        channels: 2,
+        bit_depth: 16,
+    }, overrides, n);
+}
+
+/**
+ * Builds `count` audio files sharing `overrides`.
+ */
+function buildAudioFiles(count, overrides = {}) {
+    return Array.from({ length: count }, () => buildAudioFile(overrides));
+}
+
+/**
+ * Builds an ai_generated_content entry as accepted by
+ * AiContentRepository.save(); defaults to the Cyber Dreams DJ promo.
+ */
+function buildAiContent(overrides = {}) {
+    const n = next('aiContent');
+    return applyOverrides({
+        userId: null,
+        audioFileId: null,
+        contentType: CONTENT_TYPES.djPromo,
+        input: { trackTitle: 'Cyber Dreams', artist: 'Neural Wave', vibe: 'Dark Industrial' },
+        output: DJ_PROMO,
+        provenance: {
+            model: 'gemini-2.5-flash',
+            promptVersion: '1.0.0',
+            promptVariant: 'default',
+            latencyMs: 800 + n,
+            usage: { promptTokens: 120, completionTokens: 80, totalTokens: 200 },
+        },
+    }, overrides, n);
+}
+
+async function createUser(db, overrides = {}) {
+    return new UserRepository(db).create(buildUser(overrides));
+}
+
+/**
+ * Inserts an audio file for `user` (a user row or id).
+ */
+async function createAudioFile(db, user, overrides = {}) {
+    const userId = typeof user === 'object' ? user.id : user;
+    return new AudioFileRepository(db).attach(userId, buildAudioFile(overrides));
+}
+
+async function createAiContent(db, overrides = {}) {
+    return new AiContentRepository(db).save(buildAiContent(overrides));
+}
+
+/**
+ * Inserts a user with `count` tracks and returns `{ user, tracks }`.
+ */
+async function createUserWithTracks(db, count, { user = {}, track = {} } = {}) {
+    const created = await createUser(db, user);
+    const tracks = [];
+    for (let i = 0; i < count; i++) {
+        tracks.push(await createAudioFile(db, created, track));
+    }
+    return { user: created, tracks };
+}
+
+module.exports = {
+    GENRES,
+    MOODS,
+    KEYS,
+    DJ_PROMO,
+    resetSequences,
+    buildUser,
+    buildAudioFile,
+    buildAudioFiles,
+    buildAiContent,
+    createUser,
+    createAudioFile,
+    createAiContent,
+    createUserWithTracks,
+};
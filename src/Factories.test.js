@@ -0,0 +1,115 @@
+const { Client } = require('pg');
+const { createTestDatabase } = require('./TestDatabase');
+const { AudioFileRepository } = require('./Repositories');
+const {
+    DJ_PROMO,
+    resetSequences,
+    buildUser,
+    buildAudioFile,
+    buildAudioFiles,
+    buildAiContent,
+    createUser,
+    createAudioFile,
+    createAiContent,
+    createUserWithTracks,
+} = require('./Factories');
+
+describe('Factories', () => {
+    beforeEach(() => {
+        resetSequences();
+    });
+
+    describe('build', () => {
+        it('should number defaults with per-factory sequences', () => {
+            expect(buildUser()).toEqual({ email: 'user1@akustik.ch', username: 'user1' });
+            expect(buildUser()).toEqual({ email: 'user2@akustik.ch', username: 'user2' });
+            expect(buildAudioFile().filename).toBe('track1.wav');
+            expect(buildAudioFiles(2).map(track => track.filename)).toEqual(['track2.wav', 'track3.wav']);
+        });
+
+        it('should apply overrides, including functions of the sequence number', () => {
+            const track = buildAudioFile({ genre: 'Minimal', filename: n => `set_${n}.wav`, bpm: null });
+
+            expect(track).toMatchObject({ genre: 'Minimal', filename: 'set_1.wav', bpm: null, sample_rate: 44100 });
+        });
+
+        it('should vary track metadata', () => {
+            const tracks = buildAudioFiles(5);
+
+            expect(new Set(tracks.map(track => track.genre)).size).toBe(5);
+            tracks.forEach(track => expect(track.bpm).toBeGreaterThanOrEqual(120));
+        });
+
+        it('should default AI content to the Cyber Dreams promo', () => {
+            const content = buildAiContent({ userId: 7 });
+
+            expect(content).toMatchObject({
+                userId: 7,
+                contentType: 'dj_promo',
+                input: { trackTitle: 'Cyber Dreams', artist: 'Neural Wave' },
+                output: DJ_PROMO,
+            });
+            expect(content.provenance.model).toBe('gemini-2.5-flash');
+        });
+
+        it('should restart sequences', () => {
+            buildUser();
+            resetSequences();
+
+            expect(buildUser().email).toBe('user1@akustik.ch');
+        });
+    });
+
+    describe('create', () => {
+        let database;
+        let client;
+
+        beforeAll(async () => {
+            database = await createTestDatabase();
+            client = new Client({ connectionString: database.url });
+            await client.connect();
+        });
+
+        afterAll(async () => {
+            if (client) {
+                await client.end();
+            }
+            if (database) {
+                await database.drop();
+            }
+        });
+
+        beforeEach(async () => {
+            await client.query('TRUNCATE ai_generated_content, audio_files, users RESTART IDENTITY CASCADE');
+        });
+
+        it('should insert users and tracks through the repositories', async () => {
+            const user = await createUser(client, { email: 'test@akustik.ch' });
+            const track = await createAudioFile(client, user, { musical_key: 'Am' });
+
+            expect(user).toMatchObject({ id: 1, email: 'test@akustik.ch', username: 'user1' });
+            expect(track).toMatchObject({ user_id: user.id, filename: 'track1.wav', camelot_key: '8A' });
+        });
+
+        it('should create a user with N tracks', async () => {
+            const { user, tracks } = await createUserWithTracks(client, 3, {
+                user: { email: 'dj@akustik.ch' },
+                track: { genre: 'Techno' },
+            });
+
+            expect(tracks.map(track => track.filename)).toEqual(['track1.wav', 'track2.wav', 'track3.wav']);
+            expect(await new AudioFileRepository(client).countByUserId(user.id)).toBe(3);
+        });
+
+        it('should version created AI content', async () => {
+            const { user, tracks } = await createUserWithTracks(client, 1);
+            const history = { userId: user.id, audioFileId: tracks[0].id };
+
+            const first = await createAiContent(client, history);
+            const second = await createAiContent(client, history);
+
+            expect([first.version, second.version]).toEqual([1, 2]);
+            expect(second.output_data).toEqual(DJ_PROMO);
+        });
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * Gemini Cache - Redis-backed cache for AI-generated content
+ *
+ * Sits in front of the GeminiService generators. Entries are keyed by a hash
+ * of the model, prompt version and variant and prompt inputs, and expire
+ * after a configurable TTL.
+ * Concurrent identical requests share a single API call: within a process
+ * through an in-flight promise map, across processes through a short-lived
+ * Redis lock that other callers wait on.
+ */
+
+const crypto = require('crypto');
+const GeminiService = require('./GeminiService');
+
+const DEFAULT_OPTIONS = {
+  prefix: 'akustik:gemini',
+  ttlSeconds: 24 * 60 * 60,
+  lockTtlMs: 30000,
+  lockWaitMs: 10000,
+  lockPollMs: 100
+};
+
+// Outcomes of acquireLock(): only a lock held by another caller is worth
+// waiting for; when Redis fails there is nobody to coordinate with.
+const LOCK = {
+  ACQUIRED: 'acquired',
+  HELD: 'held',
+  ERROR: 'error'
+};
+
+// Deletes the lock only if it still holds our token, so an expired lock
+// that another process has since taken over is left alone.
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+  end
+  return 0
+`;
+
+const sortKeys = (value) => {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortKeys(value[key])]));
+  }
+  return value;
+};
+
+const hashInputs = (inputs, { version = null, variant = null }) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify(sortKeys({ model: GeminiService.MODEL, promptVersion: version, variant, inputs })))
+    .digest('hex');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class GeminiCache {
+  /**
+   * @param client a connected `redis` (node-redis v5) client
+   * @param overrides see DEFAULT_OPTIONS
+   */
+  constructor(client, overrides = {}) {
+    this.client = client;
+    this.options = { ...DEFAULT_OPTIONS, ...overrides };
+    this.inFlight = new Map();
+    this.resetMetrics();
+  }
+
+  /**
+   * `prompt` is the `{ version, variant }` generating the value, so outputs
+   * of one A/B variant or prompt version are never served for another.
+   */
+  key(kind, inputs, prompt = {}) {
+    return `${this.options.prefix}:${kind}:${hashInputs(inputs, prompt)}`;
+  }
+
+  /**
+   * Returns the cached value for `kind`/`inputs`/`prompt` (see key()), or
+   * calls `generate()`, caches its result and returns it. Errors thrown by
+   * `generate` are not cached.
+   */
+  async getOrGenerate(kind, inputs, generate, prompt = {}) {
+    const key = this.key(kind, inputs, prompt);
+
+    if (this.inFlight.has(key)) {
+      this.counters.coalesced++;
+      return this.inFlight.get(key);
+    }
+
+    const pending = this.resolve(key, generate).finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, pending);
+    return pending;
+  }
+
+  async resolve(key, generate) {
+    const cached = await this.read(key);
+    if (cached !== undefined) {
+      this.counters.hits++;
+      return cached;
+    }
+    this.counters.misses++;
+
+    const token = crypto.randomUUID();
+    const lock = await this.acquireLock(key, token);
+    if (lock === LOCK.HELD) {
+      this.counters.lockWaits++;
+      const shared = await this.waitForValue(key);
+      if (shared !== undefined) return shared;
+    }
+
+    try {
+      const value = await generate();
+      await this.write(key, value);
+      return value;
+    } finally {
+      if (lock === LOCK.ACQUIRED) await this.releaseLock(key, token);
+    }
+  }
+
+  async read(key) {
+    try {
+      const raw = await this.client.get(key);
+      return raw === null ? undefined : JSON.parse(raw);
+    } catch (error) {
+      // A cache outage must not take generation down with it.
+      this.counters.errors++;
+      return undefined;
+    }
+  }
+
+  async write(key, value) {
+    try {
+      await this.client.set(key, JSON.stringify(value), {
+        expiration: { type: 'EX', value: this.options.ttlSeconds }
+      });
+    } catch (error) {
+      this.counters.errors++;
+    }
+  }
+
+  async acquireLock(key, token) {
+    try {
+      const reply = await this.client.set(`${key}:lock`, token, {
+        condition: 'NX',
+        expiration: { type: 'PX', value: this.options.lockTtlMs }
+      });
+      return reply === 'OK' ? LOCK.ACQUIRED : LOCK.HELD;
+    } catch (error) {
+      this.counters.errors++;
+      // Without Redis there is nobody to coordinate with; generate directly.
+      return LOCK.ERROR;
+    }
+  }
+
+  async releaseLock(key, token) {
+    try {
+      await this.client.eval(RELEASE_LOCK_SCRIPT, { keys: [`${key}:lock`], arguments: [token] });
+    } catch (error) {
+      this.counters.errors++;
+    }
+  }
+
+  async waitForValue(key) {
+    const deadline = Date.now() + this.options.lockWaitMs;
+    while (Date.now() < deadline) {
+      await sleep(this.options.lockPollMs);
+      const value = await this.read(key);
+      if (value !== undefined) return value;
+    }
+    return undefined;
+  }
+
+  metrics() {
+    const { hits, misses } = this.counters;
+    return {
+      ...this.counters,
+      hitRate: hits + misses === 0 ? 0 : hits / (hits + misses)
+    };
+  }
+
+  resetMetrics() {
+    this.counters = { hits: 0, misses: 0, coalesced: 0, lockWaits: 0, errors: 0 };
+  }
+}
+
+/**
+ * Wraps the GeminiService generators (or a replacement with the same
+ * `selectPrompt` and `generateWithProvenance`) so their results are served
+ * from `cache`. The prompt variant is picked before the lookup, so cached
+ * results keep the provenance of the variant that produced them.
+ */
+const createCachedGenerators = (cache, service = GeminiService) => {
+  const generateWithProvenance = (kind, inputs, { variant } = {}) => {
+    const prompt = service.selectPrompt(kind, { variant });
+    return cache.getOrGenerate(kind, inputs,
+      () => service.generateWithProvenance(kind, inputs, { variant: prompt.variant }), prompt);
+  };
+  const generate = async (kind, inputs) => (await generateWithProvenance(kind, inputs)).output;
+
+  return {
+    generateWithProvenance,
+    generateDJPromo: (trackTitle, artist, vibe) => generate('djPromo', { trackTitle, artist, vibe }),
+    generateSocialUplink: (trackTitle, artist, vibe) => generate('socialUplink', { trackTitle, artist, vibe }),
+    generateGrowthContent: (topic, contentType) => generate('growthContent', { topic, contentType })
+  };
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  GeminiCache,
+  createCachedGenerators
+};
@@ -0,0 +1,214 @@
+/**
+ * Gemini Cache Tests
+ *
+ * Runs the cache against a real Redis container with the Gemini API mocked,
+ * counting how many generateContent calls actually reach the API.
+ */
+
+const { createClient } = require('redis');
+const { RedisContainer } = require('@testcontainers/redis');
+
+const mockGenerateContent = jest.fn();
+
+jest.mock('@google/genai', () => ({
+  GoogleGenAI: jest.fn().mockImplementation(() => ({
+    models: {
+      generateContent: mockGenerateContent
+    }
+  })),
+  Type: {
+    OBJECT: 'OBJECT',
+    STRING: 'STRING',
+    NUMBER: 'NUMBER',
+    ARRAY: 'ARRAY'
+  }
+}));
+
+const { GeminiCache, createCachedGenerators } = require('./GeminiCache');
+const { configureResilience, configurePrompts, selectPrompt } = require('./GeminiService');
+
+const djPromo = {
+  clubHype: "Zurich's latest underground weapon drops tonight!",
+  poolDescription: "Dark techno masterpiece with rolling basslines and industrial percussion.",
+  micShoutout: "Big shout to the crew supporting Zurich techno scene!",
+  targetBpm: "125-130 BPM",
+  mixTips: "Transition from deeper groove, let kick drive for 8 bars."
+};
+
+const delayed = (value, ms) => new Promise((resolve) => setTimeout(() => resolve(value), ms));
+
+describe('Gemini Cache', () => {
+  const originalEnv = process.env;
+  let redisContainer;
+  let redisClient;
+  let cache;
+  let generators;
+
+  beforeAll(async () => {
+    process.env = { ...originalEnv, VITE_GEMINI_API_KEY: 'test-api-key-12345' };
+
+    redisContainer = await new RedisContainer('redis:7-alpine').start();
+    redisClient = createClient({ url: redisContainer.getConnectionUrl() });
+    await redisClient.connect();
+  });
+
+  afterAll(async () => {
+    process.env = originalEnv;
+    if (redisClient) {
+      await redisClient.quit();
+    }
+    if (redisContainer) {
+      await redisContainer.stop();
+    }
+  });
+
+  beforeEach(async () => {
+    await redisClient.flushAll();
+    mockGenerateContent.mockReset();
+    mockGenerateContent.mockResolvedValue({ text: JSON.stringify(djPromo) });
+    configureResilience({ retries: 0 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    cache = new GeminiCache(redisClient, { ttlSeconds: 60, lockPollMs: 20 });
+    generators = createCachedGenerators(cache);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should serve repeated requests from the cache', async () => {
+    const first = await generators.generateDJPromo("Cyber Dreams", "Neural Wave", "Dark Industrial");
+    const second = await generators.generateDJPromo("Cyber Dreams", "Neural Wave", "Dark Industrial");
+
+    expect(first).toEqual(djPromo);
+    expect(second).toEqual(djPromo);
+    expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+    expect(cache.metrics()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+  });
+
+  it('should key entries by the prompt inputs', async () => {
+    await generators.generateDJPromo("Cyber Dreams", "Neural Wave", "Dark Industrial");
+    await generators.generateDJPromo("Cyber Dreams", "Neural Wave", "Melodic");
+    await generators.generateSocialUplink("Cyber Dreams", "Neural Wave", "Dark Industrial").catch(() => {});
+
+    expect(mockGenerateContent).toHaveBeenCalledTimes(3);
+    expect(cache.key('djPromo', { trackTitle: 'a', artist: 'b', vibe: 'c' }))
+      .toBe(cache.key('djPromo', { vibe: 'c', artist: 'b', trackTitle: 'a' }));
+    expect(cache.key('djPromo', { topic: 'x' })).not.toBe(cache.key('growthContent', { topic: 'x' }));
+  });
+
+  it('should keep the outputs of prompt variants and versions apart', async () => {
+    const registry = configurePrompts();
+    registry.register({
+      name: 'djPromo',
+      variant: 'punchy',
+      version: '1.0.0',
+      template: 'Hype up "{{trackTitle}}" by {{artist}} ({{vibe}}) as a promo writer.'
+    });
+    const punchyPromo = { ...djPromo, clubHype: "Tonight. Zurich. Cyber Dreams." };
+    mockGenerateContent.mockImplementation(async ({ contents }) => ({
+      text: JSON.stringify(contents.startsWith('Hype up') ? punchyPromo : djPromo)
+    }));
+    const inputs = { trackTitle: "Cyber Dreams", artist: "Neural Wave", vibe: "Dark Industrial" };
+
+    try {
+      const original = await generators.generateWithProvenance('djPromo', inputs, { variant: 'default' });
+      const punchy = await generators.generateWithProvenance('djPromo', inputs, { variant: 'punchy' });
+      const punchyAgain = await generators.generateWithProvenance('djPromo', inputs, { variant: 'punchy' });
+
+      expect(original.output).toEqual(djPromo);
+      expect(punchy.output).toEqual(punchyPromo);
+      expect(punchy.provenance).toMatchObject({ promptVariant: 'punchy', promptVersion: '1.0.0' });
+      expect(punchyAgain).toEqual(punchy);
+      expect(mockGenerateContent).toHaveBeenCalledTimes(2);
+
+      const keys = [
+        cache.key('djPromo', inputs, { version: original.provenance.promptVersion, variant: 'default' }),
+        cache.key('djPromo', inputs, { version: '1.0.0', variant: 'punchy' }),
+        cache.key('djPromo', inputs, { version: '1.1.0', variant: 'punchy' })
+      ];
+      expect(new Set(keys).size).toBe(3);
+      expect(await redisClient.exists(keys)).toBe(2);
+    } finally {
+      configurePrompts();
+    }
+  });
+
+  it('should expire entries after the configured TTL', async () => {
+    await generators.generateDJPromo("Cyber Dreams", "Neural Wave", "Dark Industrial");
+
+    const key = cache.key('djPromo', { trackTitle: "Cyber Dreams", artist: "Neural Wave", vibe: "Dark Industrial" },
+      selectPrompt('djPromo'));
+    const ttl = await redisClient.ttl(key);
+    expect(ttl).toBeGreaterThan(0);
+    expect(ttl).toBeLessThanOrEqual(60);
+  });
+
+  it('should not cache failures', async () => {
+    const rateLimitError = Object.assign(new Error('Rate limit exceeded'), { status: 429 });
+    mockGenerateContent.mockRejectedValueOnce(rateLimitError);
+
+    await expect(generators.generateDJPromo("Cyber Dreams", "Neural Wave", "Dark Industrial"))
+      .rejects.toMatchObject({ name: 'RateLimitError' });
+    await expect(generators.generateDJPromo("Cyber Dreams", "Neural Wave", "Dark Industrial"))
+      .resolves.toEqual(djPromo);
+
+    expect(mockGenerateContent).toHaveBeenCalledTimes(2);
+  });
+
+  it('should share one API call between concurrent identical requests', async () => {
+    mockGenerateContent.mockImplementation(() => delayed({ text: JSON.stringify(djPromo) }, 100));
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => generators.generateDJPromo("Cyber Dreams", "Neural Wave", "Dark Industrial"))
+    );
+
+    expect(results).toEqual(Array(5).fill(djPromo));
+    expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+    expect(cache.metrics()).toMatchObject({ misses: 1, coalesced: 4 });
+  });
+
+  it('should share one API call between processes through the Redis lock', async () => {
+    mockGenerateContent.mockImplementation(() => delayed({ text: JSON.stringify(djPromo) }, 200));
+    const otherClient = createClient({ url: redisContainer.getConnectionUrl() });
+    await otherClient.connect();
+
+    try {
+      const otherCache = new GeminiCache(otherClient, { ttlSeconds: 60, lockPollMs: 20 });
+      const otherGenerators = createCachedGenerators(otherCache);
+
+      const results = await Promise.all([
+        generators.generateDJPromo("Cyber Dreams", "Neural Wave", "Dark Industrial"),
+        otherGenerators.generateDJPromo("Cyber Dreams", "Neural Wave", "Dark Industrial")
+      ]);
+
+      expect(results).toEqual([djPromo, djPromo]);
+      expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+      expect(cache.metrics().lockWaits + otherCache.metrics().lockWaits).toBe(1);
+      expect(await redisClient.keys('akustik:gemini:*:lock')).toEqual([]);
+    } finally {
+      await otherClient.quit();
+    }
+  });
+
+  it('should fall back to the API when Redis is unavailable', async () => {
+    const brokenClient = {
+      get: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')),
+      set: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')),
+      eval: jest.fn().mockRejectedValue(new Error('ECONNREFUSED'))
+    };
+    const brokenCache = new GeminiCache(brokenClient);
+    const startedAt = Date.now();
+
+    const result = await createCachedGenerators(brokenCache)
+      .generateDJPromo("Cyber Dreams", "Neural Wave", "Dark Industrial");
+
+    // Generates right away instead of waiting lockWaitMs for a lock nobody holds
+    expect(result).toEqual(djPromo);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    expect(brokenClient.get).toHaveBeenCalledTimes(1);
+    expect(brokenClient.eval).not.toHaveBeenCalled();
+    expect(brokenCache.metrics()).toMatchObject({ errors: 3, lockWaits: 0 });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Gemini Contract Tests
+ *
+ * Runs the generators end-to-end with the real @google/genai SDK against
+ * the local Gemini stand-in (src/__fixtures__/geminiApi.js), so requests,
+ * headers, error bodies and streaming go over actual HTTP.
+ */
+
+const { GoogleGenAI } = require('@google/genai');
+const { startGeminiApi, startGeminiApiContainer } = require('./__fixtures__/geminiApi');
+const {
+  MODEL,
+  PROMPTS,
+  configureResilience,
+  generateWithProvenance,
+  generateDJPromo,
+  generateSocialUplink
+} = require('./GeminiService');
+const {
+  GeminiError,
+  RateLimitError,
+  TimeoutError,
+  InvalidResponseError
+} = require('./GeminiErrors');
+
+const API_KEY = 'test-api-key-12345';
+
+const djPromo = {
+  clubHype: "Zurich's latest underground weapon drops tonight!",
+  poolDescription: "Dark techno masterpiece with rolling basslines and industrial percussion.",
+  micShoutout: "Big shout to the crew supporting Zurich techno scene!",
+  targetBpm: "125-130 BPM",
+  mixTips: "Transition from deeper groove, let kick drive for 8 bars."
+};
+
+const socialUplink = {
+  facebook: { caption: "New release from Neural Wave", hashtags: ["#techno", "#zurich"] },
+  instagram: { caption: "Cyber Dreams out now", hashtags: ["#techno", "#newmusic"] },
+  tiktok: { hook: "Wait for the drop", tags: ["#techno"], audioSuggestion: "Cyber Dreams (Original Mix)" }
+};
+
+describe('Gemini Contract', () => {
+  const originalEnv = process.env;
+  let gemini;
+
+  beforeAll(async () => {
+    gemini = await startGeminiApi({ apiKey: API_KEY });
+  });
+
+  afterAll(async () => {
+    if (gemini) {
+      await gemini.stop();
+    }
+  });
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, VITE_GEMINI_API_KEY: API_KEY, GEMINI_BASE_URL: gemini.url };
+    gemini.reset();
+    configureResilience({ retries: 0 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+  });
+
+  it('should send the prompt, schema and API key over HTTP', async () => {
+    gemini.reply(djPromo);
+
+    const result = await generateDJPromo("Cyber Dreams", "Neural Wave", "Dark Industrial");
+
+    expect(result).toEqual(djPromo);
+    const [request] = gemini.requests();
+    expect(request).toMatchObject({
+      model: MODEL,
+      method: 'generateContent',
+      apiKey: API_KEY,
+      prompt: PROMPTS.djPromo("Cyber Dreams", "Neural Wave", "Dark Industrial")
+    });
+    expect(request.body.generationConfig).toMatchObject({
+      responseMimeType: 'application/json',
+      responseSchema: { type: 'OBJECT', required: expect.arrayContaining(['clubHype', 'mixTips']) }
+    });
+  });
+
+  it('should report token usage from the response metadata', async () => {
+    gemini.reply(djPromo);
+
+    const { provenance } = await generateWithProvenance('djPromo', {
+      trackTitle: "Cyber Dreams",
+      artist: "Neural Wave",
+      vibe: "Dark Industrial"
+    });
+
+    expect(provenance.usage.promptTokens).toBeGreaterThan(0);
+    expect(provenance.usage.totalTokens)
+      .toBe(provenance.usage.promptTokens + provenance.usage.completionTokens);
+  });
+
+  it('should record every prompt in order', async () => {
+    gemini.replyAlways(socialUplink);
+
+    await generateSocialUplink("Cyber Dreams", "Neural Wave", "Dark Industrial");
+    await generateSocialUplink("Night Drive", "Neural Wave", "Deep");
+
+    expect(gemini.prompts()).toEqual([
+      PROMPTS.socialUplink("Cyber Dreams", "Neural Wave", "Dark Industrial"),
+      PROMPTS.socialUplink("Night Drive", "Neural Wave", "Deep")
+    ]);
+  });
+
+  it('should map a 429 error body onto a RateLimitError with its retry delay', async () => {
+    gemini.fail('rateLimit');
+
+    const error = await generateDJPromo("Test", "Artist", "Vibe").catch((e) => e);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfterMs).toBe(1000);
+    expect(error.cause.status).toBe(429);
+  });
+
+  it('should retry server errors and succeed', async () => {
+    configureResilience({ retries: 2, baseDelayMs: 10 });
+    gemini.fail('serverError');
+    gemini.fail('unavailable');
+    gemini.reply(djPromo);
+
+    await expect(generateDJPromo("Test", "Artist", "Vibe")).resolves.toEqual(djPromo);
+    expect(gemini.requests()).toHaveLength(3);
+  });
+
+  it('should time out a request that never gets an answer', async () => {
+    configureResilience({ retries: 0, timeoutMs: 200 });
+    gemini.fail('timeout');
+
+    await expect(generateDJPromo("Test", "Artist", "Vibe")).rejects.toThrow(TimeoutError);
+  });
+
+  it('should reject truncated JSON from the model', async () => {
+    gemini.fail('malformedJson');
+
+    const error = await generateDJPromo("Test", "Artist", "Vibe").catch((e) => e);
+
+    expect(error).toBeInstanceOf(InvalidResponseError);
+    expect(error.responseText).toContain('underground');
+  });
+
+  it('should surface a non-JSON error page with its status', async () => {
+    gemini.fail('invalidBody');
+
+    const error = await generateDJPromo("Test", "Artist", "Vibe").catch((e) => e);
+
+    expect(error).toBeInstanceOf(GeminiError);
+    expect(error.cause.status).toBe(502);
+    expect(error.message).toContain('502 Bad Gateway');
+  });
+
+  it('should reject an invalid API key like the real API', async () => {
+    process.env.VITE_GEMINI_API_KEY = 'wrong-key';
+
+    const error = await generateDJPromo("Test", "Artist", "Vibe").catch((e) => e);
+
+    expect(error.cause.status).toBe(400);
+    expect(error.message).toContain('API key not valid');
+  });
+
+  it('should answer a malformed request body with 400', async () => {
+    const response = await fetch(`${gemini.url}/v1beta/models/${MODEL}:generateContent`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': API_KEY },
+      body: '{"contents": '
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toMatchObject({ code: 400, status: 'INVALID_ARGUMENT' });
+    expect(gemini.requests()).toEqual([]);
+  });
+
+  it('should stream a scripted response in chunks', async () => {
+    gemini.reply(djPromo);
+    const ai = new GoogleGenAI({ apiKey: API_KEY, httpOptions: { baseUrl: gemini.url } });
+
+    const chunks = [];
+    for await (const chunk of await ai.models.generateContentStream({ model: MODEL, contents: 'Stream it' })) {
+      chunks.push(chunk.text);
+    }
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(JSON.parse(chunks.join(''))).toEqual(djPromo);
+    expect(gemini.requests()[0]).toMatchObject({ method: 'streamGenerateContent', prompt: 'Stream it' });
+  });
+
+  describe('as a container', () => {
+    let container;
+
+    beforeAll(async () => {
+      container = await startGeminiApiContainer();
+    });
+
+    afterAll(async () => {
+      if (container) {
+        await container.stop();
+      }
+    });
+
+    it('should be scripted through the admin endpoints', async () => {
+      process.env.GEMINI_BASE_URL = container.url;
+      await container.fail('rateLimit');
+      await container.reply(djPromo);
+      configureResilience({ retries: 1 });
+
+      await expect(generateDJPromo("Cyber Dreams", "Neural Wave", "Dark Industrial")).resolves.toEqual(djPromo);
+      expect(await container.prompts()).toEqual([
+        PROMPTS.djPromo("Cyber Dreams", "Neural Wave", "Dark Industrial"),
+        PROMPTS.djPromo("Cyber Dreams", "Neural Wave", "Dark Industrial")
+      ]);
+    });
+  });
+});
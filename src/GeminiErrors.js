@@ -0,0 +1,120 @@
+/**
+ * Gemini Errors - typed failures for the AI content generators
+ *
+ * Every generator failure is reported as one of these classes so callers
+ * can decide between retrying, alerting or falling back.
+ */
+
+class GeminiError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+  }
+}
+
+/** The service is not configured, e.g. the API key is missing. */
+class ConfigError extends GeminiError {}
+
+/** The API answered with HTTP 429. `retryAfterMs` is set when the API sent a hint. */
+class RateLimitError extends GeminiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.retryAfterMs = options.retryAfterMs ?? null;
+  }
+}
+
+/** The request did not complete in time. */
+class TimeoutError extends GeminiError {}
+
+/** The connection failed or broke before the API answered, e.g. ECONNRESET. */
+class NetworkError extends GeminiError {}
+
+/** The circuit breaker is open and the call was not attempted. */
+class CircuitOpenError extends GeminiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.retryAfterMs = options.retryAfterMs ?? null;
+  }
+}
+
+/** The API answered, but not with a JSON document. */
+class InvalidResponseError extends GeminiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.responseText = options.responseText ?? null;
+  }
+}
+
+/** Input parameters or the parsed response do not match the declared schema. */
+class ValidationError extends GeminiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.errors = options.errors ?? [];
+  }
+}
+
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED', 'UND_ERR_CONNECT_TIMEOUT'];
+const NETWORK_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH',
+  'UND_ERR_SOCKET', 'UND_ERR_CLOSED'
+];
+
+// fetch() rejects with a TypeError whose `cause` carries the socket error code.
+const networkCode = (error) => error.code ?? error.cause?.code;
+
+// The SDK drops response headers and puts the JSON error body in the
+// message; the API's hint is then a google.rpc.RetryInfo detail ("1.5s").
+const retryInfoDelay = (error) => {
+  let body;
+  try {
+    body = JSON.parse(error.message);
+  } catch {
+    return null;
+  }
+  const retryInfo = (body?.error?.details || []).find((detail) => detail?.['@type']?.endsWith('google.rpc.RetryInfo'));
+  const match = /^(\d+(?:\.\d+)?)s$/.exec(retryInfo?.retryDelay || '');
+  return match ? match[1] : null;
+};
+
+const parseRetryAfter = (error) => {
+  const header = error.headers?.['retry-after'] ?? error.retryAfter ?? retryInfoDelay(error);
+  if (header === undefined || header === null) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Maps a raw SDK or network error onto the typed errors above.
+ * Errors that are already typed are returned unchanged.
+ */
+const classifyError = (error) => {
+  if (error instanceof GeminiError) return error;
+
+  if (error.status === 429 || error.code === 429) {
+    return new RateLimitError(error.message, { cause: error, retryAfterMs: parseRetryAfter(error) });
+  }
+  const code = networkCode(error);
+  if (TIMEOUT_CODES.includes(code) || error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return new TimeoutError(error.message, { cause: error });
+  }
+  if (error.status === undefined && (NETWORK_CODES.includes(code) || (error instanceof TypeError && error.message === 'fetch failed'))) {
+    return new NetworkError(error.message, { cause: error });
+  }
+  return new GeminiError(error.message, { cause: error });
+};
+
+module.exports = {
+  GeminiError,
+  ConfigError,
+  RateLimitError,
+  TimeoutError,
+  NetworkError,
+  CircuitOpenError,
+  InvalidResponseError,
+  ValidationError,
+  classifyError
+};
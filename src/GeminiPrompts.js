@@ -0,0 +1,214 @@
+/**
+ * Gemini Prompts - registry of versioned prompt templates and A/B variants
+ *
+ * Every generator renders its prompt from a named template such as
+ * `djPromo`. Templates interpolate `{{placeholders}}`, declare the inputs
+ * they require and carry a semantic version. A name can have several
+ * variants (e.g. `default` and `punchy`), picked at random by weight for
+ * each generation; the version and variant that produced a generation are
+ * stored with it, so variants can be compared afterwards.
+ */
+
+const { ValidationError } = require('./GeminiErrors');
+
+const DEFAULT_VARIANT = 'default';
+
+const SEMVER = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)$/;
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Compares two semantic versions like `Array.prototype.sort` expects.
+ */
+const compareVersions = (a, b) => {
+  const left = SEMVER.exec(a).slice(1).map(Number);
+  const right = SEMVER.exec(b).slice(1).map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+};
+
+const unknownPrompt = (name, variant, version) =>
+  new Error(`Unknown prompt: ${name}${version ? `@${version}` : ''} (${variant})`);
+
+const placeholdersOf = (template) => [...new Set([...template.matchAll(PLACEHOLDER)].map((match) => match[1]))];
+
+class PromptRegistry {
+  constructor() {
+    // name -> variant -> { weight, versions: [entry, ...] oldest first }
+    this.templates = new Map();
+  }
+
+  /**
+   * Adds a template version. `inputs` defaults to the placeholders in order
+   * of appearance; `weight` (default 1 for a new variant) sets how often
+   * the variant is picked.
+   */
+  register({ name, template, version, variant = DEFAULT_VARIANT, inputs = placeholdersOf(template), weight }) {
+    if (!SEMVER.test(version || '')) {
+      throw new Error(`Prompt ${name} needs a semantic version like 1.2.0, got ${JSON.stringify(version)}`);
+    }
+    const undeclared = placeholdersOf(template).filter((placeholder) => !inputs.includes(placeholder));
+    if (undeclared.length) {
+      throw new Error(`Prompt ${name}@${version} uses undeclared inputs: ${undeclared.join(', ')}`);
+    }
+
+    if (!this.templates.has(name)) this.templates.set(name, new Map());
+    const variants = this.templates.get(name);
+    if (!variants.has(variant)) variants.set(variant, { weight: 1, versions: [] });
+    const entry = variants.get(variant);
+    if (entry.versions.some((existing) => existing.version === version)) {
+      throw new Error(`Prompt ${name}@${version} (${variant}) is already registered`);
+    }
+
+    const registered = { name, version, variant, template, inputs: [...inputs] };
+    entry.versions = [...entry.versions, registered].sort((a, b) => compareVersions(a.version, b.version));
+    if (weight !== undefined) this.setWeights(name, { [variant]: weight });
+    return registered;
+  }
+
+  /**
+   * Sets variant weights, e.g. `{ default: 90, punchy: 10 }`. A weight of 0
+   * takes a variant out of rotation without removing it.
+   */
+  setWeights(name, weights) {
+    const variants = this.variantsOf(name);
+    Object.entries(weights).forEach(([variant, weight]) => {
+      if (!variants.has(variant)) {
+        throw unknownPrompt(name, variant);
+      }
+      if (!(Number.isFinite(weight) && weight >= 0)) {
+        throw new Error(`Weight of ${name} (${variant}) must be a non-negative number`);
+      }
+      variants.get(variant).weight = weight;
+    });
+  }
+
+  variantsOf(name) {
+    const variants = this.templates.get(name);
+    if (!variants) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+    return variants;
+  }
+
+  /**
+   * Returns a variant's template, the latest version unless `version` is given.
+   */
+  get(name, { variant = DEFAULT_VARIANT, version } = {}) {
+    const entry = this.variantsOf(name).get(variant);
+    const found = entry && (version
+      ? entry.versions.find((candidate) => candidate.version === version)
+      : entry.versions[entry.versions.length - 1]);
+    if (!found) {
+      throw unknownPrompt(name, variant, version);
+    }
+    return found;
+  }
+
+  /**
+   * Lists the variants of `name` with their weight and latest version.
+   */
+  variants(name) {
+    return [...this.variantsOf(name)].map(([variant, { weight, versions }]) => ({
+      variant,
+      weight,
+      version: versions[versions.length - 1].version
+    }));
+  }
+
+  /**
+   * Picks the latest version of one variant, weighted at random.
+   */
+  select(name, { random = Math.random } = {}) {
+    const candidates = this.variants(name).filter(({ weight }) => weight > 0);
+    if (!candidates.length) {
+      throw new Error(`Prompt ${name} has no variant with a weight above 0`);
+    }
+    let remaining = random() * candidates.reduce((sum, { weight }) => sum + weight, 0);
+    const picked = candidates.find(({ weight }) => (remaining -= weight) < 0) || candidates[candidates.length - 1];
+    return this.get(name, { variant: picked.variant });
+  }
+
+  /**
+   * Renders `name` with `inputs` and returns `{ prompt, name, version,
+   * variant }`. Without `variant` one is selected by weight. Missing or
+   * blank inputs are rejected with a ValidationError.
+   */
+  render(name, inputs = {}, { variant, version, random } = {}) {
+    const template = variant || version
+      ? this.get(name, { variant, version })
+      : this.select(name, { random });
+
+    const errors = template.inputs
+      .filter((input) => typeof inputs[input] !== 'string' || inputs[input].trim() === '')
+      .map((input) => `${input} is required`);
+    if (errors.length) {
+      throw new ValidationError(`Invalid input: ${errors.join(', ')}`, { errors });
+    }
+
+    return {
+      prompt: template.template.replace(PLACEHOLDER, (match, input) => inputs[input]),
+      name,
+      version: template.version,
+      variant: template.variant
+    };
+  }
+}
+
+// Bump when a prompt template changes so stored generations can be traced to it.
+const PROMPT_VERSIONS = {
+  djPromo: '1.0.0',
+  socialUplink: '1.0.0',
+  growthContent: '1.0.0'
+};
+
+const TEMPLATES = {
+  djPromo: {
+    inputs: ['trackTitle', 'artist', 'vibe'],
+    template:
+      `You are a promo writer for the Zurich underground techno scene.\n` +
+      `Write DJ promo metadata for the track "{{trackTitle}}" by {{artist}}.\n` +
+      `Vibe: {{vibe}}.\n` +
+      `Return a club hype line, a record pool description, a short mic shoutout, ` +
+      `a target BPM range and practical mixing tips.`
+  },
+
+  socialUplink: {
+    inputs: ['trackTitle', 'artist', 'vibe'],
+    template:
+      `You are the social media manager for Akustik Produkt.\n` +
+      `Announce the track "{{trackTitle}}" by {{artist}} (vibe: {{vibe}}).\n` +
+      `Write a professional Facebook post, an aesthetic Instagram post with emojis ` +
+      `and a TikTok hook with tags and an audio suggestion.`
+  },
+
+  growthContent: {
+    inputs: ['topic', 'contentType'],
+    template:
+      `You are a growth marketer for a music production brand.\n` +
+      `Write {{contentType}} content about "{{topic}}".\n` +
+      `Structure the content as Hook, Problem, Solution and Call to Action, ` +
+      `and estimate its viral potential as a score from 0 to 100.`
+  }
+};
+
+/**
+ * Creates a registry holding the built-in templates as the `default`
+ * variant of each generator.
+ */
+const createDefaultRegistry = () => {
+  const registry = new PromptRegistry();
+  Object.entries(TEMPLATES).forEach(([name, { inputs, template }]) => {
+    registry.register({ name, template, inputs, version: PROMPT_VERSIONS[name] });
+  });
+  return registry;
+};
+
+module.exports = {
+  DEFAULT_VARIANT,
+  PROMPT_VERSIONS,
+  PromptRegistry,
+  compareVersions,
+  createDefaultRegistry
+};
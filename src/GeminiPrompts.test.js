@@ -0,0 +1,102 @@
+/**
+ * Gemini Prompts Tests
+ *
+ * Covers template interpolation, input validation, versioning and the
+ * weighted selection of A/B variants.
+ */
+
+const {
+  DEFAULT_VARIANT,
+  PROMPT_VERSIONS,
+  PromptRegistry,
+  compareVersions,
+  createDefaultRegistry
+} = require('./GeminiPrompts');
+const { ValidationError } = require('./GeminiErrors');
+
+const track = { trackTitle: 'Cyber Dreams', artist: 'Neural Wave', vibe: 'Dark Industrial' };
+
+describe('Gemini Prompts', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = createDefaultRegistry();
+  });
+
+  it('should render the built-in templates as the default variant', () => {
+    const rendered = registry.render('djPromo', track);
+
+    expect(rendered).toMatchObject({ name: 'djPromo', version: PROMPT_VERSIONS.djPromo, variant: DEFAULT_VARIANT });
+    expect(rendered.prompt).toContain('Write DJ promo metadata for the track "Cyber Dreams" by Neural Wave.');
+    expect(rendered.prompt).toContain('Vibe: Dark Industrial.');
+    expect(rendered.prompt).not.toContain('{{');
+    expect(registry.render('growthContent', { topic: 'Sidechain', contentType: 'educational' }).prompt)
+      .toContain('Write educational content about "Sidechain".');
+  });
+
+  it('should reject missing and blank inputs', () => {
+    const render = () => registry.render('socialUplink', { trackTitle: 'Cyber Dreams', artist: '  ' });
+
+    expect(render).toThrow(ValidationError);
+    expect(render).toThrow('Invalid input: artist is required, vibe is required');
+  });
+
+  it('should require placeholders to be declared as inputs', () => {
+    expect(() => registry.register({
+      name: 'djPromo',
+      variant: 'short',
+      version: '1.0.0',
+      template: 'Hype {{trackTitle}} by {{artist}}',
+      inputs: ['trackTitle']
+    })).toThrow('Prompt djPromo@1.0.0 uses undeclared inputs: artist');
+  });
+
+  it('should render the latest version unless one is pinned', () => {
+    registry.register({ name: 'djPromo', version: '1.10.0', template: 'v1.10 {{trackTitle}}' });
+    registry.register({ name: 'djPromo', version: '1.2.0', template: 'v1.2 {{trackTitle}}' });
+
+    expect(registry.render('djPromo', track)).toMatchObject({ prompt: 'v1.10 Cyber Dreams', version: '1.10.0' });
+    expect(registry.render('djPromo', track, { version: '1.2.0' }).prompt).toBe('v1.2 Cyber Dreams');
+    expect(() => registry.get('djPromo', { version: '2.0.0' })).toThrow('Unknown prompt: djPromo@2.0.0 (default)');
+  });
+
+  it('should only accept new semantic versions', () => {
+    expect(() => registry.register({ name: 'djPromo', version: 'v2', template: 'x' }))
+      .toThrow('Prompt djPromo needs a semantic version like 1.2.0, got "v2"');
+    expect(() => registry.register({ name: 'djPromo', version: '1.0.0', template: 'x' }))
+      .toThrow('Prompt djPromo@1.0.0 (default) is already registered');
+  });
+
+  it('should pick variants by weight', () => {
+    registry.register({ name: 'socialUplink', variant: 'hype', version: '1.0.0', template: 'HYPE {{trackTitle}}' });
+    registry.setWeights('socialUplink', { default: 3, hype: 1 });
+
+    const pick = (value) => registry.render('socialUplink', track, { random: () => value }).variant;
+
+    expect([0, 0.5, 0.74, 0.75, 0.99].map(pick)).toEqual(['default', 'default', 'default', 'hype', 'hype']);
+    expect(registry.variants('socialUplink')).toEqual([
+      { variant: 'default', weight: 3, version: '1.0.0' },
+      { variant: 'hype', weight: 1, version: '1.0.0' }
+    ]);
+  });
+
+  it('should take variants with weight 0 out of rotation', () => {
+    registry.register({ name: 'socialUplink', variant: 'hype', version: '1.0.0', template: 'HYPE {{trackTitle}}', weight: 0 });
+
+    expect(registry.render('socialUplink', track, { random: () => 0.99 }).variant).toBe(DEFAULT_VARIANT);
+    expect(registry.render('socialUplink', track, { variant: 'hype' }).prompt).toBe('HYPE Cyber Dreams');
+
+    registry.setWeights('socialUplink', { default: 0 });
+    expect(() => registry.select('socialUplink')).toThrow('Prompt socialUplink has no variant with a weight above 0');
+    expect(() => registry.setWeights('socialUplink', { hype: -1 })).toThrow('must be a non-negative number');
+    expect(() => registry.setWeights('socialUplink', { calm: 1 })).toThrow('Unknown prompt: socialUplink (calm)');
+  });
+
+  it('should reject unknown prompts', () => {
+    expect(() => new PromptRegistry().render('djPromo', track)).toThrow('Unknown prompt: djPromo');
+  });
+
+  it('should compare semantic versions numerically', () => {
+    expect(['1.10.0', '1.2.0', '0.9.12', '1.2.0'].sort(compareVersions)).toEqual(['0.9.12', '1.2.0', '1.2.0', '1.10.0']);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Gemini Resilience - retries, timeouts and circuit breaking for API calls
+ *
+ * Wraps a call such as `models.generateContent` so transient failures
+ * (429, timeouts, dropped connections, 5xx) are retried with exponential backoff and jitter,
+ * and repeated failures open a circuit breaker that fails fast. Client
+ * errors (bad input, missing configuration, other 4xx) are passed through
+ * without tripping the breaker.
+ */
+
+const {
+  ConfigError,
+  RateLimitError,
+  TimeoutError,
+  NetworkError,
+  CircuitOpenError,
+  ValidationError,
+  classifyError
+} = require('./GeminiErrors');
+
+const DEFAULT_OPTIONS = {
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  maxRetryAfterMs: 60000,
+  timeoutMs: 30000,
+  failureThreshold: 5,
+  resetTimeoutMs: 30000,
+  random: () => Math.random(),
+  now: () => Date.now()
+};
+
+const STATE = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+/**
+ * Counts consecutive failures and opens after `failureThreshold` of them.
+ * Once `resetTimeoutMs` has passed a single trial call is let through
+ * (half-open); its outcome closes or re-opens the breaker.
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold, resetTimeoutMs, now } = DEFAULT_OPTIONS) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.now = now;
+    this.state = STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  canRequest() {
+    if (this.state === STATE.OPEN && this.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = STATE.HALF_OPEN;
+      return true;
+    }
+    return this.state === STATE.CLOSED;
+  }
+
+  remainingOpenMs() {
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - this.now());
+  }
+
+  recordSuccess() {
+    this.state = STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /** A call failed for reasons of its own; a half-open trial is handed back. */
+  recordIgnored() {
+    if (this.state === STATE.HALF_OPEN) {
+      this.state = STATE.OPEN;
+    }
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    if (this.state === STATE.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = STATE.OPEN;
+      this.openedAt = this.now();
+    }
+  }
+}
+
+const isRetryable = (error) => {
+  if (error instanceof RateLimitError || error instanceof TimeoutError || error instanceof NetworkError) return true;
+  const status = error.cause?.status;
+  return typeof status === 'number' && status >= 500;
+};
+
+// Failures that say nothing about the health of the API.
+const isClientError = (error) => {
+  if (error instanceof ValidationError || error instanceof ConfigError) return true;
+  const status = error.cause?.status;
+  return typeof status === 'number' && status >= 400 && status < 500 && status !== 429;
+};
+
+/** Exponential backoff with "equal jitter": half fixed, half random. */
+const backoffDelay = (attempt, { baseDelayMs, maxDelayMs, random }) => {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+};
+
+const retryDelay = (error, attempt, options) => {
+  if (error instanceof RateLimitError && error.retryAfterMs !== null) {
+    return Math.min(error.retryAfterMs, options.maxRetryAfterMs);
+  }
+  return backoffDelay(attempt, options);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Calls `fn` with an AbortSignal appended to `args` that is aborted when
+// the call times out, so the request itself is cancelled, not just ignored.
+const withTimeout = (fn, args, timeoutMs) => {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new TimeoutError(`Gemini call timed out after ${timeoutMs}ms`);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+  const promise = Promise.resolve().then(() => fn(...args, controller.signal));
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Returns an async function with the same arguments as `fn` that applies
+ * the timeout, retry and circuit breaker policy. `fn` receives an extra
+ * last argument, an AbortSignal that fires on timeout. The breaker is
+ * exposed as `.breaker` and the options in effect as `.options`.
+ */
+const createResilientCall = (fn, overrides = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const breaker = new CircuitBreaker(options);
+
+  const call = async (...args) => {
+    for (let attempt = 0; ; attempt++) {
+      if (!breaker.canRequest()) {
+        throw new CircuitOpenError('Gemini circuit breaker is open', {
+          retryAfterMs: breaker.remainingOpenMs()
+        });
+      }
+
+      try {
+        const result = await withTimeout(fn, args, options.timeoutMs);
+        breaker.recordSuccess();
+        return result;
+      } catch (rawError) {
+        const error = classifyError(rawError);
+        if (isClientError(error)) {
+          breaker.recordIgnored();
+        } else {
+          breaker.recordFailure();
+        }
+        if (attempt >= options.retries || !isRetryable(error)) {
+          throw error;
+        }
+        await sleep(retryDelay(error, attempt, options));
+      }
+    }
+  };
+
+  call.breaker = breaker;
+  call.options = options;
+  return call;
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  STATE,
+  CircuitBreaker,
+  backoffDelay,
+  createResilientCall
+};
@@ -0,0 +1,240 @@
+/**
+ * Gemini Resilience Tests
+ *
+ * Exercises the retry, timeout and circuit breaker policy with fake timers
+ * against a mocked `models.generateContent`.
+ */
+
+const {
+  STATE,
+  backoffDelay,
+  createResilientCall
+} = require('./GeminiResilience');
+const {
+  CircuitOpenError,
+  ConfigError,
+  NetworkError,
+  RateLimitError,
+  TimeoutError,
+  ValidationError,
+  classifyError
+} = require('./GeminiErrors');
+
+const rateLimited = () => Object.assign(new Error('Rate limit exceeded'), { status: 429 });
+const timedOut = () => Object.assign(new Error('Network timeout'), { code: 'ETIMEDOUT' });
+
+describe('Gemini Resilience', () => {
+  let generateContent;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    generateContent = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('backoffDelay', () => {
+    it('should grow exponentially and stay within the jitter window', () => {
+      const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+      expect(backoffDelay(0, { ...options, random: () => 0 })).toBe(50);
+      expect(backoffDelay(0, { ...options, random: () => 1 })).toBe(100);
+      expect(backoffDelay(2, { ...options, random: () => 0 })).toBe(200);
+      expect(backoffDelay(2, { ...options, random: () => 1 })).toBe(400);
+      expect(backoffDelay(10, { ...options, random: () => 1 })).toBe(1000);
+    });
+  });
+
+  describe('retries', () => {
+    it('should retry transient errors with backoff until success', async () => {
+      // Arrange
+      generateContent
+        .mockRejectedValueOnce(timedOut())
+        .mockRejectedValueOnce(rateLimited())
+        .mockResolvedValueOnce({ text: '{}' });
+      const call = createResilientCall(generateContent, { baseDelayMs: 100, random: () => 1 });
+
+      // Act
+      const result = call({ contents: 'prompt' });
+      await jest.advanceTimersByTimeAsync(100);
+      expect(generateContent).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(200);
+
+      // Assert
+      await expect(result).resolves.toEqual({ text: '{}' });
+      expect(generateContent).toHaveBeenCalledTimes(3);
+      expect(generateContent).toHaveBeenCalledWith({ contents: 'prompt' }, expect.any(AbortSignal));
+      expect(call.breaker.state).toBe(STATE.CLOSED);
+    });
+
+    it('should stop after the configured number of retries', async () => {
+      // Arrange
+      generateContent.mockRejectedValue(rateLimited());
+      const call = createResilientCall(generateContent, { retries: 2, baseDelayMs: 100, random: () => 0 });
+
+      // Act
+      const result = call();
+      const assertion = expect(result).rejects.toThrow(RateLimitError);
+      await jest.runAllTimersAsync();
+
+      // Assert
+      await assertion;
+      expect(generateContent).toHaveBeenCalledTimes(3);
+    });
+
+    it('should cap the retry-after hint', async () => {
+      // Arrange
+      const error = Object.assign(rateLimited(), { headers: { 'retry-after': '3600' } });
+      generateContent.mockRejectedValueOnce(error).mockResolvedValueOnce('ok');
+      const call = createResilientCall(generateContent, { maxRetryAfterMs: 5000 });
+
+      // Act
+      const result = call();
+      await jest.advanceTimersByTimeAsync(5000);
+
+      // Assert
+      await expect(result).resolves.toBe('ok');
+      expect(generateContent).toHaveBeenCalledTimes(2);
+    });
+
+    it.each([
+      ['ECONNRESET', () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), NetworkError],
+      ['ETIMEDOUT', timedOut, TimeoutError],
+      ['a fetch TypeError', () => new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } }), NetworkError],
+      ['a code on the cause', () => new Error('request failed', { cause: { code: 'UND_ERR_SOCKET' } }), NetworkError]
+    ])('should retry a network failure without a status: %s', async (_, failure, type) => {
+      // Arrange
+      generateContent.mockRejectedValueOnce(failure()).mockResolvedValueOnce('ok');
+      const call = createResilientCall(generateContent, { baseDelayMs: 100, random: () => 1 });
+
+      // Act
+      const result = call();
+      await jest.advanceTimersByTimeAsync(100);
+
+      // Assert
+      await expect(result).resolves.toBe('ok');
+      expect(generateContent).toHaveBeenCalledTimes(2);
+      expect(classifyError(failure())).toBeInstanceOf(type);
+    });
+
+    it('should not retry non-transient errors', async () => {
+      // Arrange
+      generateContent.mockRejectedValue(new ValidationError('bad request'));
+      const call = createResilientCall(generateContent);
+
+      // Act & Assert
+      await expect(call()).rejects.toThrow(ValidationError);
+      expect(generateContent).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('timeouts', () => {
+    it('should abort the request when it takes too long', async () => {
+      // Arrange
+      let signal;
+      generateContent.mockImplementation((request, abortSignal) => {
+        signal = abortSignal;
+        return new Promise(() => {});
+      });
+      const call = createResilientCall(generateContent, { retries: 0, timeoutMs: 1000 });
+
+      // Act
+      const result = call({ contents: 'prompt' });
+      const assertion = expect(result).rejects.toThrow(TimeoutError);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      // Assert
+      await assertion;
+      expect(signal.aborted).toBe(true);
+      expect(signal.reason).toBeInstanceOf(TimeoutError);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('should open after repeated failures and fail fast', async () => {
+      // Arrange
+      generateContent.mockRejectedValue(timedOut());
+      const call = createResilientCall(generateContent, {
+        retries: 0,
+        failureThreshold: 3,
+        resetTimeoutMs: 5000
+      });
+
+      // Act
+      for (let i = 0; i < 3; i++) {
+        await expect(call()).rejects.toThrow('Network timeout');
+      }
+
+      // Assert
+      expect(call.breaker.state).toBe(STATE.OPEN);
+      await expect(call()).rejects.toBeInstanceOf(CircuitOpenError);
+      await expect(call()).rejects.toMatchObject({ retryAfterMs: 5000 });
+      expect(generateContent).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not count client errors as failures', async () => {
+      // Arrange
+      const badRequest = Object.assign(new Error('Invalid argument'), { status: 400 });
+      generateContent
+        .mockRejectedValueOnce(new ValidationError('bad input'))
+        .mockRejectedValueOnce(new ConfigError('no key'))
+        .mockRejectedValueOnce(badRequest)
+        .mockResolvedValueOnce('ok');
+      const call = createResilientCall(generateContent, { retries: 0, failureThreshold: 1 });
+
+      // Act
+      await expect(call()).rejects.toThrow(ValidationError);
+      await expect(call()).rejects.toThrow(ConfigError);
+      await expect(call()).rejects.toThrow('Invalid argument');
+
+      // Assert
+      expect(call.breaker.state).toBe(STATE.CLOSED);
+      await expect(call()).resolves.toBe('ok');
+    });
+
+    it('should hand back the half-open trial after a client error', async () => {
+      // Arrange
+      generateContent
+        .mockRejectedValueOnce(timedOut())
+        .mockRejectedValueOnce(new ValidationError('bad input'))
+        .mockResolvedValueOnce('ok');
+      const call = createResilientCall(generateContent, {
+        retries: 0,
+        failureThreshold: 1,
+        resetTimeoutMs: 5000
+      });
+      await expect(call()).rejects.toThrow('Network timeout');
+      jest.advanceTimersByTime(5000);
+
+      // Act
+      await expect(call()).rejects.toThrow(ValidationError);
+
+      // Assert
+      expect(call.breaker.state).toBe(STATE.OPEN);
+      await expect(call()).resolves.toBe('ok');
+      expect(call.breaker.state).toBe(STATE.CLOSED);
+    });
+
+    it('should re-open when the half-open trial call fails', async () => {
+      // Arrange
+      generateContent.mockRejectedValue(timedOut());
+      const call = createResilientCall(generateContent, {
+        retries: 0,
+        failureThreshold: 1,
+        resetTimeoutMs: 5000
+      });
+      await expect(call()).rejects.toThrow('Network timeout');
+
+      // Act
+      jest.advanceTimersByTime(5000);
+      await expect(call()).rejects.toThrow('Network timeout');
+
+      // Assert
+      expect(call.breaker.state).toBe(STATE.OPEN);
+      await expect(call()).rejects.toBeInstanceOf(CircuitOpenError);
+      expect(generateContent).toHaveBeenCalledTimes(2);
+    });
+  });
+});
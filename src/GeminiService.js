@@ -0,0 +1,268 @@
+/**
+ * Gemini Service - Akustik Produkt AI Integration
+ *
+ * Content generators for DJ promos, social media posts and growth content,
+ * backed by the Google GenAI structured-output API. Responses are validated
+ * against SCHEMAS and failures are thrown as the typed errors in GeminiErrors.
+ * API calls go through the retry and circuit breaker policy in GeminiResilience.
+ */
+
+const { GoogleGenAI, Type } = require('@google/genai');
+const {
+  ConfigError,
+  InvalidResponseError,
+  ValidationError,
+  classifyError
+} = require('./GeminiErrors');
+const { createResilientCall } = require('./GeminiResilience');
+const { DEFAULT_VARIANT, PROMPT_VERSIONS, createDefaultRegistry } = require('./GeminiPrompts');
+
+const MODEL = 'gemini-2.5-flash';
+
+const SCHEMAS = {
+  djPromo: {
+    type: Type.OBJECT,
+    properties: {
+      clubHype: { type: Type.STRING },
+      poolDescription: { type: Type.STRING },
+      micShoutout: { type: Type.STRING },
+      targetBpm: { type: Type.STRING },
+      mixTips: { type: Type.STRING }
+    },
+    required: ['clubHype', 'poolDescription', 'micShoutout', 'targetBpm', 'mixTips']
+  },
+
+  socialUplink: {
+    type: Type.OBJECT,
+    properties: {
+      facebook: {
+        type: Type.OBJECT,
+        properties: {
+          caption: { type: Type.STRING },
+          hashtags: { type: Type.ARRAY, items: { type: Type.STRING } }
+        },
+        required: ['caption', 'hashtags']
+      },
+      instagram: {
+        type: Type.OBJECT,
+        properties: {
+          caption: { type: Type.STRING },
+          hashtags: { type: Type.ARRAY, items: { type: Type.STRING } }
+        },
+        required: ['caption', 'hashtags']
+      },
+      tiktok: {
+        type: Type.OBJECT,
+        properties: {
+          hook: { type: Type.STRING },
+          tags: { type: Type.ARRAY, items: { type: Type.STRING } },
+          audioSuggestion: { type: Type.STRING }
+        },
+        required: ['hook', 'tags', 'audioSuggestion']
+      }
+    },
+    required: ['facebook', 'instagram', 'tiktok']
+  },
+
+  growthContent: {
+    type: Type.OBJECT,
+    properties: {
+      title: { type: Type.STRING },
+      content: { type: Type.STRING },
+      viralScore: { type: Type.NUMBER }
+    },
+    required: ['title', 'content', 'viralScore']
+  }
+};
+
+const isType = {
+  [Type.OBJECT]: (value) => typeof value === 'object' && value !== null && !Array.isArray(value),
+  [Type.ARRAY]: (value) => Array.isArray(value),
+  [Type.STRING]: (value) => typeof value === 'string',
+  [Type.NUMBER]: (value) => typeof value === 'number' && Number.isFinite(value)
+};
+
+/**
+ * Checks a parsed response against one of the SCHEMAS and returns
+ * a list of human readable problems (empty when the value is valid).
+ */
+const validateSchema = (value, schema, path = 'response') => {
+  if (!isType[schema.type](value)) {
+    return [`${path} must be of type ${schema.type}`];
+  }
+
+  if (schema.type === Type.ARRAY) {
+    return value.flatMap((item, index) => validateSchema(item, schema.items, `${path}[${index}]`));
+  }
+
+  if (schema.type === Type.OBJECT) {
+    const missing = (schema.required || [])
+      .filter((key) => value[key] === undefined || value[key] === null)
+      .map((key) => `${path}.${key} is required`);
+    const invalid = Object.entries(schema.properties)
+      .filter(([key]) => value[key] !== undefined && value[key] !== null)
+      .flatMap(([key, property]) => validateSchema(value[key], property, `${path}.${key}`));
+    return [...missing, ...invalid];
+  }
+
+  return [];
+};
+
+const generateContent = (ai, request, abortSignal) =>
+  ai.models.generateContent({ ...request, config: { ...request.config, abortSignal } });
+
+let callGemini = createResilientCall(generateContent);
+
+/**
+ * Replaces the retry/timeout/circuit breaker policy used for every
+ * generator (see GeminiResilience for the options) and resets the breaker.
+ */
+const configureResilience = (options = {}) => {
+  callGemini = createResilientCall(generateContent, options);
+  return callGemini.breaker;
+};
+
+let promptRegistry = createDefaultRegistry();
+
+/**
+ * Replaces the prompt registry (see GeminiPrompts) used for every
+ * generator, e.g. one with additional A/B variants, and returns it.
+ * Without an argument the built-in templates are restored.
+ */
+const configurePrompts = (registry = createDefaultRegistry()) => {
+  promptRegistry = registry;
+  return promptRegistry;
+};
+
+/**
+ * Picks the prompt a generation of `kind` uses: the latest version of
+ * `variant`, or of a variant selected by weight. Returns `{ version, variant }`.
+ */
+const selectPrompt = (kind, { variant } = {}) => {
+  const template = variant ? promptRegistry.get(kind, { variant }) : promptRegistry.select(kind);
+  return { version: template.version, variant: template.variant };
+};
+
+const getClient = () => {
+  const apiKey = process.env.VITE_GEMINI_API_KEY;
+  if (!apiKey) {
+    throw new ConfigError('VITE_GEMINI_API_KEY is not set');
+  }
+  // GEMINI_BASE_URL points the SDK at another endpoint, e.g. a local stand-in.
+  const baseUrl = process.env.GEMINI_BASE_URL;
+  return new GoogleGenAI(baseUrl ? { apiKey, httpOptions: { baseUrl } } : { apiKey });
+};
+
+const parseResponse = (response, schema) => {
+  const jsonStr = response?.text?.trim();
+  if (!jsonStr) {
+    throw new InvalidResponseError('Empty response from Gemini');
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonStr);
+  } catch (error) {
+    throw new InvalidResponseError('Gemini response is not valid JSON', { cause: error, responseText: jsonStr });
+  }
+
+  const errors = validateSchema(parsed, schema);
+  if (errors.length) {
+    throw new ValidationError(`Gemini response does not match schema: ${errors.join(', ')}`, { errors });
+  }
+  return parsed;
+};
+
+const GENERATORS = {
+  djPromo: { label: 'DJ Promo', inputs: ['trackTitle', 'artist', 'vibe'] },
+  socialUplink: { label: 'Social', inputs: ['trackTitle', 'artist', 'vibe'] },
+  growthContent: { label: 'Growth', inputs: ['topic', 'contentType'] }
+};
+
+const usageOf = (response) => {
+  const usage = response?.usageMetadata || {};
+  return {
+    promptTokens: usage.promptTokenCount ?? null,
+    completionTokens: usage.candidatesTokenCount ?? null,
+    totalTokens: usage.totalTokenCount ?? null
+  };
+};
+
+/**
+ * Runs one of the GENERATORS with named `inputs` and returns the validated
+ * `output` together with its `provenance`: model, prompt version and
+ * variant, latency (including retries) and token usage as reported by the
+ * API. The prompt variant is picked by weight unless `options.variant` is given.
+ */
+const generateWithProvenance = async (kind, inputs = {}, { variant } = {}) => {
+  const generator = GENERATORS[kind];
+  if (!generator) {
+    throw new ValidationError(`Unknown generator: ${kind}`, { errors: [`${kind} is not a generator`] });
+  }
+  const prompt = promptRegistry.render(kind, inputs, { variant });
+
+  const ai = getClient();
+  const startedAt = Date.now();
+
+  let response;
+  try {
+    response = await callGemini(ai, {
+      model: MODEL,
+      contents: prompt.prompt,
+      config: {
+        responseMimeType: 'application/json',
+        responseSchema: SCHEMAS[kind]
+      }
+    });
+  } catch (error) {
+    const typed = classifyError(error);
+    console.error(`${generator.label} Generation Error:`, typed);
+    throw typed;
+  }
+
+  return {
+    output: parseResponse(response, SCHEMAS[kind]),
+    provenance: {
+      model: MODEL,
+      promptVersion: prompt.version,
+      promptVariant: prompt.variant,
+      latencyMs: Date.now() - startedAt,
+      usage: usageOf(response)
+    }
+  };
+};
+
+// Renders the default variant with positional inputs, as the generators take them.
+const PROMPTS = Object.fromEntries(Object.entries(GENERATORS).map(([kind, { inputs }]) => [
+  kind,
+  (...args) => promptRegistry.render(
+    kind,
+    Object.fromEntries(inputs.map((name, index) => [name, args[index]])),
+    { variant: DEFAULT_VARIANT }
+  ).prompt
+]));
+
+const generateDJPromo = async (trackTitle, artist, vibe) =>
+  (await generateWithProvenance('djPromo', { trackTitle, artist, vibe })).output;
+
+const generateSocialUplink = async (trackTitle, artist, vibe) =>
+  (await generateWithProvenance('socialUplink', { trackTitle, artist, vibe })).output;
+
+const generateGrowthContent = async (topic, contentType) =>
+  (await generateWithProvenance('growthContent', { topic, contentType })).output;
+
+module.exports = {
+  MODEL,
+  PROMPT_VERSIONS,
+  PROMPTS,
+  SCHEMAS,
+  GENERATORS,
+  validateSchema,
+  configureResilience,
+  configurePrompts,
+  selectPrompt,
+  generateWithProvenance,
+  generateDJPromo,
+  generateSocialUplink,
+  generateGrowthContent
+};
@@ -0,0 +1,125 @@
+/**
+ * Harmonic Mixing - musical keys on the Camelot wheel
+ *
+ * Normalizes free-text keys ("Am", "A minor", "C#m", "8A") to Camelot
+ * notation and suggests tracks that mix harmonically: same key, one step
+ * around the wheel, or the relative major/minor.
+ */
+
+const PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const ACCIDENTALS = { '#': 1, '♯': 1, 'b': -1, '♭': -1, '': 0 };
+
+const CAMELOT_PATTERN = /^(1[0-2]|0?[1-9])\s*([AB])$/i;
+const KEY_PATTERN = /^([A-G])\s*([#♯b♭]?)\s*(m|min|minor|maj|major)?$/i;
+
+const DEFAULT_BPM_TOLERANCE = 4;
+
+class InvalidKeyError extends Error {
+    constructor(key) {
+        super(`Unrecognized musical key: ${key}`);
+        this.name = 'InvalidKeyError';
+        this.key = key;
+    }
+}
+
+/** Camelot number of a major key: C is 8B, each fifth up adds one. */
+const majorNumber = (pitchClass) => ((pitchClass * 7 + 7) % 12) + 1;
+
+/**
+ * Converts a key in any supported notation to Camelot notation ("8A").
+ * Returns null when the input can't be parsed.
+ */
+function toCamelot(key) {
+    if (typeof key !== 'string') return null;
+    const value = key.trim();
+
+    const camelot = CAMELOT_PATTERN.exec(value);
+    if (camelot) {
+        return `${Number(camelot[1])}${camelot[2].toUpperCase()}`;
+    }
+
+    const match = KEY_PATTERN.exec(value);
+    if (!match) return null;
+
+    const [, note, accidental, quality = ''] = match;
+    const pitchClass = (PITCH_CLASSES[note.toUpperCase()] + ACCIDENTALS[accidental.toLowerCase()] + 12) % 12;
+    // A bare "m" means minor; "M" is the usual shorthand for major.
+    const isMinor = quality === 'm' || /^min/i.test(quality);
+
+    return isMinor
+        ? `${majorNumber((pitchClass + 3) % 12)}A`
+        : `${majorNumber(pitchClass)}B`;
+}
+
+/**
+ * Like toCamelot, but throws an InvalidKeyError for unparseable keys.
+ */
+function normalizeKey(key) {
+    const camelot = toCamelot(key);
+    if (!camelot) {
+        throw new InvalidKeyError(key);
+    }
+    return camelot;
+}
+
+/**
+ * The Camelot keys that mix harmonically with `key`, with the kind of
+ * transition each one represents.
+ */
+function compatibleKeys(key) {
+    const camelot = normalizeKey(key);
+    const number = Number(camelot.slice(0, -1));
+    const letter = camelot.slice(-1);
+    const step = (offset) => ((number - 1 + offset + 12) % 12) + 1;
+
+    return [
+        { key: camelot, transition: 'same key' },
+        { key: `${step(1)}${letter}`, transition: 'energy up' },
+        { key: `${step(-1)}${letter}`, transition: 'energy down' },
+        { key: `${number}${letter === 'A' ? 'B' : 'A'}`, transition: letter === 'A' ? 'relative major' : 'relative minor' },
+    ];
+}
+
+/**
+ * Returns the other tracks of the same user that can follow `trackId` in a
+ * set: their key is compatible on the Camelot wheel and their BPM is within
+ * `bpmTolerance` of the source track. Results are ordered deterministically
+ * by transition type, BPM distance and id.
+ */
+async function findCompatibleTracks(db, trackId, { bpmTolerance = DEFAULT_BPM_TOLERANCE } = {}) {
+    const source = await db.query('SELECT id, user_id, bpm, camelot_key FROM audio_files WHERE id = $1', [trackId]);
+    const track = source.rows[0];
+    if (!track || !track.camelot_key || track.bpm === null) {
+        return [];
+    }
+
+    const candidates = compatibleKeys(track.camelot_key);
+    const result = await db.query(`
+        SELECT af.*, u.username
+        FROM audio_files af
+        JOIN users u ON af.user_id = u.id
+        WHERE af.user_id = $1
+          AND af.id <> $2
+          AND af.camelot_key = ANY($3)
+          AND af.bpm BETWEEN $4 AND $5
+        ORDER BY array_position($3, af.camelot_key), ABS(af.bpm - $6), af.id
+    `, [
+        track.user_id,
+        track.id,
+        candidates.map(candidate => candidate.key),
+        track.bpm - bpmTolerance,
+        track.bpm + bpmTolerance,
+        track.bpm,
+    ]);
+
+    const transitions = new Map(candidates.map(candidate => [candidate.key, candidate.transition]));
+    return result.rows.map(row => ({ ...row, transition: transitions.get(row.camelot_key) }));
+}
+
+module.exports = {
+    InvalidKeyError,
+    toCamelot,
+    normalizeKey,
+    compatibleKeys,
+    findCompatibleTracks,
+};
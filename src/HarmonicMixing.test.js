@@ -0,0 +1,68 @@
+const {
+    InvalidKeyError,
+    toCamelot,
+    normalizeKey,
+    compatibleKeys,
+} = require('./HarmonicMixing');
+
+describe('Harmonic Mixing', () => {
+    describe('toCamelot', () => {
+        it.each([
+            ['Am', '8A'],
+            ['A minor', '8A'],
+            ['a min', '8A'],
+            ['8A', '8A'],
+            ['08a', '8A'],
+            ['C', '8B'],
+            ['C major', '8B'],
+            ['CM', '8B'],
+            ['G', '9B'],
+            ['B', '1B'],
+            ['F#', '2B'],
+            ['Gb', '2B'],
+            ['Db major', '3B'],
+            ['E', '12B'],
+            ['Abm', '1A'],
+            ['G#m', '1A'],
+            ['Ebm', '2A'],
+            ['Bbm', '3A'],
+            ['B♭ minor', '3A'],
+            ['Fm', '4A'],
+            ['Cm', '5A'],
+            ['Dm', '7A'],
+            ['Em', '9A'],
+            ['F#m', '11A'],
+            ['C#m', '12A'],
+            ['12B', '12B'],
+        ])('should convert %s to %s', (key, camelot) => {
+            expect(toCamelot(key)).toBe(camelot);
+        });
+
+        it.each(['', 'H', '13A', '0B', 'Am7', 'dark', null, undefined])('should not convert %p', (key) => {
+            expect(toCamelot(key)).toBeNull();
+        });
+    });
+
+    describe('normalizeKey', () => {
+        it('should throw for unrecognized keys', () => {
+            expect(() => normalizeKey('dark')).toThrow(InvalidKeyError);
+            expect(normalizeKey(' A minor ')).toBe('8A');
+        });
+    });
+
+    describe('compatibleKeys', () => {
+        it('should list the harmonic neighbours of a minor key', () => {
+            expect(compatibleKeys('Am')).toEqual([
+                { key: '8A', transition: 'same key' },
+                { key: '9A', transition: 'energy up' },
+                { key: '7A', transition: 'energy down' },
+                { key: '8B', transition: 'relative major' },
+            ]);
+        });
+
+        it('should wrap around the wheel', () => {
+            expect(compatibleKeys('12B').map(candidate => candidate.key)).toEqual(['12B', '1B', '11B', '12A']);
+            expect(compatibleKeys('1A').map(candidate => candidate.key)).toEqual(['1A', '2A', '12A', '1B']);
+        });
+    });
+});
@@ -0,0 +1,213 @@
+/**
+ * Health - liveness and readiness endpoints backed by real dependency probes
+ *
+ * `/healthz` answers as long as the process is alive. `/readyz` pings
+ * PostgreSQL (`SELECT 1`) and Redis (`PING`) with a timeout, checks that a
+ * Gemini API key is configured, and reports status and latency per
+ * dependency. PostgreSQL is required: without it the service is "down" and
+ * not ready. Redis only caches and Gemini only serves generation, so losing
+ * either leaves the service "degraded" but ready.
+ *
+ * scheduleHealthChecks() runs the same probes periodically, stores every
+ * result in `health_checks` and deletes rows older than the retention.
+ */
+
+const http = require('http');
+const { version } = require('../package.json');
+
+const DEFAULT_OPTIONS = {
+    timeoutMs: 2000,
+    intervalMs: 60 * 1000,
+    retentionMs: 7 * 24 * 60 * 60 * 1000,
+};
+
+const STATUS = {
+    UP: 'up',
+    DOWN: 'down',
+    OK: 'ok',
+    DEGRADED: 'degraded',
+};
+
+// Dependencies the service cannot work without.
+const CRITICAL = ['database'];
+
+function withTimeout(promise, timeoutMs, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function probe(what, fn, timeoutMs) {
+    const startedAt = Date.now();
+    try {
+        await withTimeout(Promise.resolve().then(fn), timeoutMs, what);
+        return { status: STATUS.UP, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+        return { status: STATUS.DOWN, latencyMs: Date.now() - startedAt, error: error.message };
+    }
+}
+
+/**
+ * Runs `SELECT 1` on `db` (a pg Client or Pool).
+ */
+function checkPostgres(db, timeoutMs = DEFAULT_OPTIONS.timeoutMs) {
+    if (!db) {
+        return { status: STATUS.DOWN, latencyMs: 0, error: 'not configured' };
+    }
+    return probe('SELECT 1', () => db.query('SELECT 1'), timeoutMs);
+}
+
+/**
+ * Sends PING to `redis` (a node-redis client).
+ */
+function checkRedis(redis, timeoutMs = DEFAULT_OPTIONS.timeoutMs) {
+    if (!redis) {
+        return { status: STATUS.DOWN, latencyMs: 0, error: 'not configured' };
+    }
+    return probe('PING', async () => {
+        const reply = await redis.ping();
+        if (reply !== 'PONG') {
+            throw new Error(`unexpected PING reply ${JSON.stringify(reply)}`);
+        }
+    }, timeoutMs);
+}
+
+/**
+ * Checks that a Gemini API key is configured. The key is not used, so
+ * the check costs no quota.
+ */
+function checkGemini(env = process.env) {
+    return env.VITE_GEMINI_API_KEY
+        ? { status: STATUS.UP, latencyMs: 0 }
+        : { status: STATUS.DOWN, latencyMs: 0, error: 'VITE_GEMINI_API_KEY is not set' };
+}
+
+/**
+ * Probes all dependencies concurrently and returns
+ * `{ status, version, checkedAt, dependencies }`.
+ */
+async function runHealthChecks({ db, redis, env = process.env, timeoutMs = DEFAULT_OPTIONS.timeoutMs } = {}) {
+    const [database, cache] = await Promise.all([checkPostgres(db, timeoutMs), checkRedis(redis, timeoutMs)]);
+    const dependencies = { database, redis: cache, gemini: checkGemini(env) };
+
+    const down = Object.keys(dependencies).filter(name => dependencies[name].status === STATUS.DOWN);
+    let status = STATUS.OK;
+    if (down.some(name => CRITICAL.includes(name))) {
+        status = STATUS.DOWN;
+    } else if (down.length > 0) {
+        status = STATUS.DEGRADED;
+    }
+
+    return { status, version, checkedAt: new Date().toISOString(), dependencies };
+}
+
+const sendJson = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Creates (but does not start) an HTTP server with `/healthz` and `/readyz`.
+ * `/readyz` answers 503 when a critical dependency is down.
+ */
+function createHealthServer(dependencies = {}) {
+    const startedAt = Date.now();
+
+    return http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+        } else if (pathname === '/healthz') {
+            sendJson(res, 200, { status: STATUS.OK, version, uptimeMs: Date.now() - startedAt });
+        } else if (pathname === '/readyz') {
+            const report = await runHealthChecks(dependencies);
+            sendJson(res, report.status === STATUS.DOWN ? 503 : 200, report);
+        } else {
+            sendJson(res, 404, { error: 'Not found' });
+        }
+    });
+}
+
+/**
+ * Stores a runHealthChecks() report in `health_checks`.
+ */
+async function recordHealthCheck(db, report) {
+    const result = await db.query(
+        'INSERT INTO health_checks (service_status) VALUES ($1) RETURNING *',
+        [JSON.stringify(report)]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Deletes health checks older than `retentionMs` and returns how many.
+ */
+async function pruneHealthChecks(db, retentionMs = DEFAULT_OPTIONS.retentionMs) {
+    const result = await db.query(
+        `DELETE FROM health_checks WHERE checked_at < CURRENT_TIMESTAMP - ($1::bigint * INTERVAL '1 millisecond')`,
+        [retentionMs]
+    );
+    return result.rowCount;
+}
+
+/**
+ * Runs the probes every `intervalMs`, records each report in `store`
+ * (defaults to `db`) and prunes old rows. A run that cannot be recorded,
+ * e.g. because PostgreSQL itself is down, is passed to `onError` and the
+ * schedule carries on. Returns `{ runOnce, stop }`.
+ */
+function scheduleHealthChecks({
+    db,
+    redis,
+    store = db,
+    env = process.env,
+    intervalMs = DEFAULT_OPTIONS.intervalMs,
+    retentionMs = DEFAULT_OPTIONS.retentionMs,
+    timeoutMs = DEFAULT_OPTIONS.timeoutMs,
+    onError = () => {},
+} = {}) {
+    let running = null;
+
+    const runOnce = () => {
+        // Overlapping runs would only pile up behind a hanging dependency.
+        if (running) {
+            return running;
+        }
+        running = (async () => {
+            const report = await runHealthChecks({ db, redis, env, timeoutMs });
+            try {
+                await withTimeout(recordHealthCheck(store, report), timeoutMs, 'recording the health check');
+                await withTimeout(pruneHealthChecks(store, retentionMs), timeoutMs, 'pruning health checks');
+            } catch (error) {
+                onError(error, report);
+            }
+            return report;
+        })().finally(() => {
+            running = null;
+        });
+        return running;
+    };
+
+    const timer = setInterval(runOnce, intervalMs);
+    timer.unref();
+
+    return {
+        runOnce,
+        stop: () => clearInterval(timer),
+    };
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    STATUS,
+    checkPostgres,
+    checkRedis,
+    checkGemini,
+    runHealthChecks,
+    createHealthServer,
+    recordHealthCheck,
+    pruneHealthChecks,
+    scheduleHealthChecks,
+};
@@ -0,0 +1,201 @@
+/**
+ * Health Tests
+ *
+ * Probes a real PostgreSQL database and a real Redis container, then takes
+ * them away (an ended connection, a stopped container) to check that the
+ * report degrades instead of claiming everything is connected.
+ */
+
+const http = require('http');
+const { Client } = require('pg');
+const { createClient } = require('redis');
+const { RedisContainer } = require('@testcontainers/redis');
+const { createTestDatabase } = require('./TestDatabase');
+const {
+    STATUS,
+    checkPostgres,
+    runHealthChecks,
+    createHealthServer,
+    scheduleHealthChecks,
+} = require('./Health');
+const { version } = require('../package.json');
+
+const env = { VITE_GEMINI_API_KEY: 'test-api-key-12345' };
+
+const get = (server, path) => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path }, (res) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+});
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+describe('Health', () => {
+    let database;
+    let postgresClient;
+    let redisContainer;
+    let redisClient;
+    let server;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        postgresClient = new Client({ connectionString: database.url });
+        await postgresClient.connect();
+
+        redisContainer = await new RedisContainer('redis:7-alpine').start();
+        redisClient = createClient({
+            url: redisContainer.getConnectionUrl(),
+            socket: { reconnectStrategy: false },
+        });
+        // Reported through PING once the container is gone.
+        redisClient.on('error', () => {});
+        await redisClient.connect();
+
+        server = await listen(createHealthServer({ db: postgresClient, redis: redisClient, env, timeoutMs: 1000 }));
+    });
+
+    afterAll(async () => {
+        if (server) {
+            await close(server);
+        }
+        if (redisClient) {
+            redisClient.destroy();
+        }
+        if (redisContainer) {
+            await redisContainer.stop();
+        }
+        if (postgresClient) {
+            await postgresClient.end();
+        }
+        if (database) {
+            await database.drop();
+        }
+    });
+
+    beforeEach(async () => {
+        await postgresClient.query('TRUNCATE health_checks');
+    });
+
+    it('should answer liveness without probing dependencies', async () => {
+        const unreachable = createHealthServer({ db: { query: () => new Promise(() => {}) } });
+        await listen(unreachable);
+        try {
+            const response = await get(unreachable, '/healthz');
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ status: STATUS.OK, version });
+        } finally {
+            await close(unreachable);
+        }
+    });
+
+    it('should report every dependency as up when ready', async () => {
+        const response = await get(server, '/readyz');
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe(STATUS.OK);
+        expect(response.body.version).toBe(version);
+        ['database', 'redis', 'gemini'].forEach(name => {
+            expect(response.body.dependencies[name].status).toBe(STATUS.UP);
+            expect(typeof response.body.dependencies[name].latencyMs).toBe('number');
+        });
+    });
+
+    it('should answer unknown paths with 404', async () => {
+        expect((await get(server, '/nope')).status).toBe(404);
+    });
+
+    it('should report a missing Gemini API key as degraded', async () => {
+        const report = await runHealthChecks({ db: postgresClient, redis: redisClient, env: {} });
+
+        expect(report.status).toBe(STATUS.DEGRADED);
+        expect(report.dependencies.gemini).toMatchObject({ status: STATUS.DOWN, error: 'VITE_GEMINI_API_KEY is not set' });
+        expect(report.dependencies.database.status).toBe(STATUS.UP);
+    });
+
+    it('should time out a hanging database', async () => {
+        const result = await checkPostgres({ query: () => new Promise(() => {}) }, 50);
+
+        expect(result.status).toBe(STATUS.DOWN);
+        expect(result.error).toBe('SELECT 1 timed out after 50ms');
+    });
+
+    it('should not be ready when the database connection is lost', async () => {
+        const lost = new Client({ connectionString: database.url });
+        await lost.connect();
+        await lost.end();
+
+        const lostServer = await listen(createHealthServer({ db: lost, redis: redisClient, env, timeoutMs: 1000 }));
+        try {
+            const response = await get(lostServer, '/readyz');
+            expect(response.status).toBe(503);
+            expect(response.body.status).toBe(STATUS.DOWN);
+            expect(response.body.dependencies.database.status).toBe(STATUS.DOWN);
+            expect(response.body.dependencies.redis.status).toBe(STATUS.UP);
+        } finally {
+            await close(lostServer);
+        }
+    });
+
+    it('should record scheduled checks and prune old ones', async () => {
+        await postgresClient.query(
+            `INSERT INTO health_checks (service_status, checked_at) VALUES ('{}', CURRENT_TIMESTAMP - INTERVAL '8 days')`
+        );
+        const schedule = scheduleHealthChecks({ db: postgresClient, redis: redisClient, env, intervalMs: 60000 });
+        try {
+            const report = await schedule.runOnce();
+            expect(report.status).toBe(STATUS.OK);
+        } finally {
+            schedule.stop();
+        }
+
+        const result = await postgresClient.query('SELECT service_status FROM health_checks');
+        expect(result.rows).toHaveLength(1);
+        expect(result.rows[0].service_status).toMatchObject({
+            status: STATUS.OK,
+            version,
+            dependencies: { database: { status: STATUS.UP }, redis: { status: STATUS.UP } },
+        });
+    });
+
+    it('should keep the schedule running when a check cannot be recorded', async () => {
+        const onError = jest.fn();
+        const closed = new Client({ connectionString: database.url });
+        await closed.connect();
+        await closed.end();
+
+        const schedule = scheduleHealthChecks({ db: postgresClient, redis: redisClient, store: closed, env, onError });
+        try {
+            const report = await schedule.runOnce();
+            expect(report.status).toBe(STATUS.OK);
+            expect(onError).toHaveBeenCalledWith(expect.any(Error), report);
+        } finally {
+            schedule.stop();
+        }
+    });
+
+    // Runs last: it stops the Redis container.
+    it('should report degraded when the Redis container stops', async () => {
+        await redisContainer.stop();
+        redisContainer = null;
+
+        const response = await get(server, '/readyz');
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe(STATUS.DEGRADED);
+        expect(response.body.dependencies.redis.status).toBe(STATUS.DOWN);
+        expect(response.body.dependencies.redis.error).toBeDefined();
+        expect(response.body.dependencies.database.status).toBe(STATUS.UP);
+
+        const schedule = scheduleHealthChecks({ db: postgresClient, redis: redisClient, env, timeoutMs: 1000 });
+        try {
+            await schedule.runOnce();
+        } finally {
+            schedule.stop();
+        }
+        const result = await postgresClient.query('SELECT service_status FROM health_checks');
+        expect(result.rows[0].service_status.dependencies.redis.status).toBe(STATUS.DOWN);
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * Migrator - versioned SQL migrations for the Akustik schema
+ *
+ * Migrations live in `migrations/` as pairs of files named
+ * `<version>_<name>.up.sql` and `<version>_<name>.down.sql` and are applied
+ * in version order. Applied versions are tracked in `schema_migrations`
+ * together with a checksum of their up file, so edits to an already-applied
+ * migration are detected instead of silently ignored.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary constant key for pg_advisory_lock, shared by all migrator instances.
+const LOCK_KEY = 7401;
+
+class MigrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MigrationError';
+    }
+}
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+/**
+ * Reads the migration files from `directory`, sorted by version.
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(directory)) {
+        const match = FILE_PATTERN.exec(file);
+        if (!match) continue;
+
+        const [, version, name, direction] = match;
+        const migration = migrations.get(version) || { version, name };
+        if (migration.name !== name) {
+            throw new MigrationError(`Migration ${version} has conflicting names: ${migration.name}, ${name}`);
+        }
+        migration[direction] = fs.readFileSync(path.join(directory, file), 'utf8');
+        migrations.set(version, migration);
+    }
+
+    return [...migrations.values()]
+        .map(migration => {
+            if (!migration.up) {
+                throw new MigrationError(`Migration ${migration.version}_${migration.name} has no up file`);
+            }
+            return { ...migration, checksum: checksum(migration.up) };
+        })
+        .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(32) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function appliedMigrations(client) {
+    const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+    return new Map(result.rows.map(row => [row.version, row]));
+}
+
+function verifyChecksums(migrations, applied) {
+    for (const migration of migrations) {
+        const row = applied.get(migration.version);
+        if (row && row.checksum !== migration.checksum) {
+            throw new MigrationError(
+                `Checksum mismatch for applied migration ${migration.version}_${migration.name}; ` +
+                'add a new migration instead of editing an applied one'
+            );
+        }
+    }
+}
+
+async function inTransaction(client, fn) {
+    await client.query('BEGIN');
+    try {
+        await fn();
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+async function withLock(client, fn) {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+        await ensureMigrationsTable(client);
+        return await fn();
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+}
+
+/**
+ * Applies all pending migrations (or those up to and including `to`),
+ * each in its own transaction. `client` must be a single connected
+ * pg `Client`, not a `Pool`. Returns the applied migrations.
+ */
+async function migrateUp(client, { directory, to } = {}) {
+    const migrations = loadMigrations(directory);
+
+    return withLock(client, async () => {
+        const applied = await appliedMigrations(client);
+        verifyChecksums(migrations, applied);
+
+        const pending = migrations.filter(migration =>
+            !applied.has(migration.version) && (to === undefined || Number(migration.version) <= Number(to))
+        );
+        for (const migration of pending) {
+            await inTransaction(client, async () => {
+                await client.query(migration.up);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                    [migration.version, migration.name, migration.checksum]
+                );
+            });
+        }
+        return pending;
+    });
+}
+
+/**
+ * Reverts the last `steps` applied migrations, newest first.
+ * Returns the reverted migrations.
+ */
+async function migrateDown(client, { directory, steps = 1 } = {}) {
+    const migrations = loadMigrations(directory);
+
+    return withLock(client, async () => {
+        const applied = await appliedMigrations(client);
+        verifyChecksums(migrations, applied);
+
+        const toRevert = migrations
+            .filter(migration => applied.has(migration.version))
+            .reverse()
+            .slice(0, steps);
+        for (const migration of toRevert) {
+            if (!migration.down) {
+                throw new MigrationError(`Migration ${migration.version}_${migration.name} has no down file`);
+            }
+            await inTransaction(client, async () => {
+                await client.query(migration.down);
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            });
+        }
+        return toRevert;
+    });
+}
+
+/**
+ * Lists every known migration with its applied state and whether the
+ * file on disk still matches the checksum recorded when it was applied.
+ */
+async function getStatus(client, { directory } = {}) {
+    const migrations = loadMigrations(directory);
+
+    return withLock(client, async () => {
+        const applied = await appliedMigrations(client);
+        return migrations.map(migration => {
+            const row = applied.get(migration.version);
+            return {
+                version: migration.version,
+                name: migration.name,
+                applied: Boolean(row),
+                appliedAt: row ? row.applied_at : null,
+                checksumMatches: row ? row.checksum === migration.checksum : null,
+            };
+        });
+    });
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    MigrationError,
+    loadMigrations,
+    migrateUp,
+    migrateDown,
+    getStatus,
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('pg');
+const { createTestDatabase } = require('./TestDatabase');
+const {
+    MigrationError,
+    loadMigrations,
+    migrateUp,
+    migrateDown,
+    getStatus,
+} = require('./Migrator');
+
+const tableExists = async (client, table) => {
+    const result = await client.query('SELECT to_regclass($1) AS name', [table]);
+    return result.rows[0].name !== null;
+};
+
+describe('Migrator', () => {
+    let database;
+    let postgresClient;
+    let directory;
+
+    const writeMigration = (file, sql) => fs.writeFileSync(path.join(directory, file), sql);
+
+    beforeAll(async () => {
+        // An empty database: these tests manage the schema themselves.
+        database = await createTestDatabase({ migrated: false });
+        postgresClient = new Client({
+            connectionString: database.url,
+        });
+        await postgresClient.connect();
+    });
+
+    afterAll(async () => {
+        if (postgresClient) {
+            await postgresClient.end();
+        }
+        if (database) {
+            await database.drop();
+        }
+    });
+
+    beforeEach(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+        await postgresClient.query('DROP SCHEMA public CASCADE');
+        await postgresClient.query('CREATE SCHEMA public');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should load migrations in version order', () => {
+        writeMigration('0010_later.up.sql', 'SELECT 1');
+        writeMigration('0002_earlier.up.sql', 'SELECT 1');
+        writeMigration('0002_earlier.down.sql', 'SELECT 1');
+        writeMigration('README.md', 'not a migration');
+
+        const migrations = loadMigrations(directory);
+
+        expect(migrations.map(migration => migration.version)).toEqual(['0002', '0010']);
+        expect(migrations[0].down).toBe('SELECT 1');
+        expect(migrations[1].down).toBeUndefined();
+        expect(migrations[0].checksum).toHaveLength(64);
+    });
+
+    it('should apply and revert the Akustik schema', async () => {
+        const applied = await migrateUp(postgresClient);
+
+        expect(applied.length).toBeGreaterThan(0);
+        for (const table of ['users', 'audio_files', 'ai_generated_content', 'health_checks']) {
+            expect(await tableExists(postgresClient, table)).toBe(true);
+        }
+
+        // Applying again is a no-op
+        expect(await migrateUp(postgresClient)).toHaveLength(0);
+
+        await migrateDown(postgresClient, { steps: applied.length });
+
+        expect(await tableExists(postgresClient, 'users')).toBe(false);
+        const status = await getStatus(postgresClient);
+        expect(status.every(migration => !migration.applied)).toBe(true);
+    });
+
+    it('should apply up to a target version and report status', async () => {
+        writeMigration('0001_create_a.up.sql', 'CREATE TABLE a (id INT)');
+        writeMigration('0002_create_b.up.sql', 'CREATE TABLE b (id INT)');
+
+        await migrateUp(postgresClient, { directory, to: '0001' });
+
+        expect(await getStatus(postgresClient, { directory })).toMatchObject([
+            { version: '0001', name: 'create_a', applied: true, checksumMatches: true },
+            { version: '0002', name: 'create_b', applied: false, checksumMatches: null },
+        ]);
+    });
+
+    it('should roll back a failing migration', async () => {
+        writeMigration('0001_create_a.up.sql', 'CREATE TABLE a (id INT)');
+        writeMigration('0002_broken.up.sql', 'CREATE TABLE b (id INT); SELECT * FROM missing_table');
+
+        await expect(migrateUp(postgresClient, { directory })).rejects.toThrow('missing_table');
+
+        expect(await tableExists(postgresClient, 'a')).toBe(true);
+        expect(await tableExists(postgresClient, 'b')).toBe(false);
+        const status = await getStatus(postgresClient, { directory });
+        expect(status.map(migration => migration.applied)).toEqual([true, false]);
+    });
+
+    it('should refuse to run when an applied migration was edited', async () => {
+        writeMigration('0001_create_a.up.sql', 'CREATE TABLE a (id INT)');
+        await migrateUp(postgresClient, { directory });
+
+        writeMigration('0001_create_a.up.sql', 'CREATE TABLE a (id BIGINT)');
+        writeMigration('0002_create_b.up.sql', 'CREATE TABLE b (id INT)');
+
+        await expect(migrateUp(postgresClient, { directory })).rejects.toThrow(MigrationError);
+        expect(await tableExists(postgresClient, 'b')).toBe(false);
+        expect((await getStatus(postgresClient, { directory }))[0].checksumMatches).toBe(false);
+    });
+
+    it('should refuse to revert a migration without a down file', async () => {
+        writeMigration('0001_create_a.up.sql', 'CREATE TABLE a (id INT)');
+        await migrateUp(postgresClient, { directory });
+
+        await expect(migrateDown(postgresClient, { directory })).rejects.toThrow('has no down file');
+        expect(await tableExists(postgresClient, 'a')).toBe(true);
+    });
+});
@@ -1,189 +1,274 @@
-const { Client } = require('pg');
-const { PostgreSqlContainer } = require('@testcontainers/postgresql');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client, Pool } = require('pg');
+const { UserRepository, AudioFileRepository } = require('./Repositories');
+const { createTestDatabase } = require('./TestDatabase');
+const { withTransaction } = require('./Transaction');
+const { ingestWavFile } = require('./AudioIngestion');
+const { InvalidKeyError, findCompatibleTracks } = require('./HarmonicMixing');
+const { AiContentRepository } = require('./AiContentRepository');
+const { runHealthChecks, recordHealthCheck } = require('./Health');
+const { encodeWav, clickTrack } = require('./__fixtures__/wav');
 
 describe('Akustik Produkt Services', () => {
-    let postgresContainer;
+    let database;
     let postgresClient;
+    let postgresPool;
 
     beforeAll(async () => {
-        // Start PostgreSQL container for database tests
-        postgresContainer = await new PostgreSqlContainer("postgres:14-alpine")
-            .withDatabase('akustik_test')
-            .withUsername('test_user')
-            .withPassword('test_password')
-            .start();
+        // Own database on the shared container, cloned from the migrated template
+        database = await createTestDatabase();
 
         // Connect to PostgreSQL
         postgresClient = new Client({
-            connectionString: postgresContainer.getConnectionUri(),
+            connectionString: database.url,
         });
         await postgresClient.connect();
+        postgresPool = new Pool({
+            connectionString: database.url,
+        });
     });
 
     afterAll(async () => {
+        if (postgresPool) {
+            await postgresPool.end();
+        }
         if (postgresClient) {
             await postgresClient.end();
         }
-        if (postgresContainer) {
-            await postgresContainer.stop();
+        if (database) {
+            await database.drop();
         }
     });
 
     describe('Database Integration Tests', () => {
+        let users;
+        let audioFiles;
+
+        beforeAll(() => {
+            users = new UserRepository(postgresClient);
+            audioFiles = new AudioFileRepository(postgresClient);
+        });
+
         beforeEach(async () => {
             // Clean up test data
-            await postgresClient.query('DROP TABLE IF EXISTS users CASCADE');
-            await postgresClient.query('DROP TABLE IF EXISTS audio_files CASCADE');
+            await postgresClient.query('TRUNCATE audio_files, users RESTART IDENTITY CASCADE');
         });
 
         it('should create and manage user profiles', async () => {
-            // Create users table
-            await postgresClient.query(`
-                CREATE TABLE users (
-                    id SERIAL PRIMARY KEY,
-                    email VARCHAR(255) UNIQUE NOT NULL,
-                    username VARCHAR(100) NOT NULL,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-
             // Insert test user
-            const insertResult = await postgresClient.query(`
-                INSERT INTO users (email, username) VALUES ($1, $2) RETURNING id, email, username
-            `, ['test@akustik.ch', 'testuser']);
+            const user = await users.create({ email: 'test@akustik.ch', username: 'testuser' });
 
-            expect(insertResult.rows).toHaveLength(1);
-            expect(insertResult.rows[0].email).toBe('test@akustik.ch');
-            expect(insertResult.rows[0].username).toBe('testuser');
-            expect(insertResult.rows[0].id).toBeDefined();
+            expect(user.email).toBe('test@akustik.ch');
+            expect(user.username).toBe('testuser');
+            expect(user.id).toBeDefined();
+            expect(user.created_at).toBeInstanceOf(Date);
 
             // Verify user can be retrieved
-            const selectResult = await postgresClient.query(
-                'SELECT * FROM users WHERE email = $1',
-                ['test@akustik.ch']
-            );
+            const found = await users.findByEmail('test@akustik.ch');
+
+            expect(found).not.toBeNull();
+            expect(found.email).toBe('test@akustik.ch');
 
-            expect(selectResult.rows).toHaveLength(1);
-            expect(selectResult.rows[0].email).toBe('test@akustik.ch');
+            // Update and delete by email
+            const updated = await users.updateByEmail('test@akustik.ch', { username: 'renamed' });
+            expect(updated.username).toBe('renamed');
+            expect(updated.email).toBe('test@akustik.ch');
+
+            expect(await users.deleteByEmail('test@akustik.ch')).toBe(true);
+            expect(await users.findByEmail('test@akustik.ch')).toBeNull();
+            expect(await users.deleteByEmail('test@akustik.ch')).toBe(false);
         });
 
-        it('should handle audio file metadata', async () => {
-            // Create users table first
-            await postgresClient.query(`
-                CREATE TABLE users (
-                    id SERIAL PRIMARY KEY,
-                    email VARCHAR(255) UNIQUE NOT NULL,
-                    username VARCHAR(100) NOT NULL,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-
-            // Create audio_files table
-            await postgresClient.query(`
-                CREATE TABLE audio_files (
-                    id SERIAL PRIMARY KEY,
-                    user_id INTEGER REFERENCES users(id),
-                    filename VARCHAR(255) NOT NULL,
-                    bpm INTEGER,
-                    musical_key VARCHAR(10),
-                    genre VARCHAR(50),
-                    mood VARCHAR(100),
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+        it('should reject duplicate emails', async () => {
+            await users.create({ email: 'test@akustik.ch', username: 'testuser' });
 
-            // Create user first
-            const userResult = await postgresClient.query(`
-                INSERT INTO users (email, username) VALUES ($1, $2) RETURNING id
-            `, ['dj@akustik.ch', 'testdj']);
+            await expect(users.create({ email: 'test@akustik.ch', username: 'other' }))
+                .rejects.toMatchObject({ code: '23505' });
+        });
 
-            const userId = userResult.rows[0].id;
+        it('should handle audio file metadata', async () => {
+            // Create user first
+            const user = await users.create({ email: 'dj@akustik.ch', username: 'testdj' });
 
             // Insert audio file with analysis data
-            await postgresClient.query(`
-                INSERT INTO audio_files (user_id, filename, bpm, musical_key, genre, mood)
-                VALUES ($1, $2, $3, $4, $5, $6)
-            `, [
-                userId,
-                'techno_track_001.wav',
-                128,
-                'Am',
-                'Techno',
-                'Dark Industrial'
-            ]);
+            await audioFiles.attach(user.id, {
+                filename: 'techno_track_001.wav',
+                bpm: 128,
+                musical_key: 'Am',
+                genre: 'Techno',
+                mood: 'Dark Industrial'
+            });
 
             // Query audio files with user join
-            const result = await postgresClient.query(`
-                SELECT af.*, u.username 
-                FROM audio_files af 
-                JOIN users u ON af.user_id = u.id 
-                WHERE u.email = $1
-            `, ['dj@akustik.ch']);
+            const tracks = await audioFiles.listByUserEmail('dj@akustik.ch');
 
-            expect(result.rows).toHaveLength(1);
-            expect(result.rows[0].filename).toBe('techno_track_001.wav');
-            expect(result.rows[0].bpm).toBe(128);
-            expect(result.rows[0].musical_key).toBe('Am');
-            expect(result.rows[0].username).toBe('testdj');
+            expect(tracks).toHaveLength(1);
+            expect(tracks[0].filename).toBe('techno_track_001.wav');
+            expect(tracks[0].bpm).toBe(128);
+            expect(tracks[0].musical_key).toBe('Am');
+            expect(tracks[0].username).toBe('testdj');
+
+            // Deleting the user removes their tracks
+            await users.deleteByEmail('dj@akustik.ch');
+            expect(await audioFiles.listByUserId(user.id)).toHaveLength(0);
         });
 
-        it('should handle transactions for complex operations', async () => {
-            // Create both tables
-            await postgresClient.query(`
-                CREATE TABLE users (
-                    id SERIAL PRIMARY KEY,
-                    email VARCHAR(255) UNIQUE NOT NULL,
-                    username VARCHAR(100) NOT NULL
-                )
-            `);
-
-            await postgresClient.query(`
-                CREATE TABLE audio_files (
-                    id SERIAL PRIMARY KEY,
-                    user_id INTEGER REFERENCES users(id),
-                    filename VARCHAR(255) NOT NULL,
-                    bpm INTEGER
-                )
-            `);
-
-            await postgresClient.query('BEGIN');
+        it('should store the Camelot key and reject unknown keys', async () => {
+            const user = await users.create({ email: 'dj@akustik.ch', username: 'testdj' });
+
+            const track = await audioFiles.attach(user.id, { filename: 'a.wav', bpm: 128, musical_key: 'A minor' });
+            expect(track.musical_key).toBe('A minor');
+            expect(track.camelot_key).toBe('8A');
+
+            await expect(audioFiles.attach(user.id, { filename: 'b.wav', musical_key: 'dark' }))
+                .rejects.toThrow(InvalidKeyError);
+            expect(await audioFiles.countByUserId(user.id)).toBe(1);
+
+            // The column constraint guards against writes that bypass the repository
+            await expect(postgresClient.query(
+                "INSERT INTO audio_files (user_id, filename, camelot_key) VALUES ($1, 'c.wav', '13A')",
+                [user.id]
+            )).rejects.toMatchObject({ code: '23514' });
+        });
+
+        it('should suggest compatible next tracks', async () => {
+            const dj = await users.create({ email: 'dj@akustik.ch', username: 'testdj' });
+            const other = await users.create({ email: 'other@akustik.ch', username: 'other' });
+
+            const source = await audioFiles.attach(dj.id, { filename: 'source.wav', bpm: 128, musical_key: 'Am' });
+            await audioFiles.attach(dj.id, { filename: 'same_key_far.wav', bpm: 131, musical_key: '8A' });
+            await audioFiles.attach(dj.id, { filename: 'same_key_near.wav', bpm: 127, musical_key: 'A min' });
+            await audioFiles.attach(dj.id, { filename: 'relative_major.wav', bpm: 128, musical_key: 'C' });
+            await audioFiles.attach(dj.id, { filename: 'energy_up.wav', bpm: 126, musical_key: 'Em' });
+            await audioFiles.attach(dj.id, { filename: 'too_fast.wav', bpm: 140, musical_key: 'Am' });
+            await audioFiles.attach(dj.id, { filename: 'clashing_key.wav', bpm: 128, musical_key: 'F#' });
+            await audioFiles.attach(other.id, { filename: 'other_user.wav', bpm: 128, musical_key: 'Am' });
+
+            const suggestions = await findCompatibleTracks(postgresClient, source.id);
+
+            expect(suggestions.map(track => [track.filename, track.transition])).toEqual([
+                ['same_key_near.wav', 'same key'],
+                ['same_key_far.wav', 'same key'],
+                ['energy_up.wav', 'energy up'],
+                ['relative_major.wav', 'relative major'],
+            ]);
+            expect(suggestions[0].username).toBe('testdj');
+
+            const narrow = await findCompatibleTracks(postgresClient, source.id, { bpmTolerance: 1 });
+            expect(narrow.map(track => track.filename)).toEqual(['same_key_near.wav', 'relative_major.wav']);
+        });
+
+        it('should ingest a WAV file as a complete audio_files row', async () => {
+            const user = await users.create({ email: 'dj@akustik.ch', username: 'testdj' });
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wav-'));
+            const filePath = path.join(directory, 'techno_track_001.wav');
+            fs.writeFileSync(filePath, encodeWav(clickTrack({ bpm: 128, seconds: 8 }), { channels: 2 }));
 
             try {
-                // Insert user
-                const userResult = await postgresClient.query(`
-                    INSERT INTO users (email, username) VALUES ($1, $2) RETURNING id
-                `, ['transaction@test.ch', 'txuser']);
+                await ingestWavFile(postgresClient, user.id, filePath, { musical_key: 'Am', genre: 'Techno' });
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
 
-                const userId = userResult.rows[0].id;
+            const [track] = await audioFiles.listByUserEmail('dj@akustik.ch');
+            expect(track).toMatchObject({
+                filename: 'techno_track_001.wav',
+                bpm: 128,
+                musical_key: 'Am',
+                genre: 'Techno',
+                mood: null,
+                duration_seconds: 8,
+                sample_rate: 22050,
+                channels: 2,
+                bit_depth: 16,
+            });
+        });
+
+        it('should handle transactions for complex operations', async () => {
+            const userId = await withTransaction(postgresPool, async (tx) => {
+                // Insert user
+                const user = await new UserRepository(tx).create({ email: 'transaction@test.ch', username: 'txuser' });
 
                 // Insert multiple audio files
-                await postgresClient.query(`
-                    INSERT INTO audio_files (user_id, filename, bpm) VALUES 
-                    ($1, $2, $3),
-                    ($4, $5, $6),
-                    ($7, $8, $9)
-                `, [
-                    userId, 'track1.wav', 120,
-                    userId, 'track2.wav', 125,
-                    userId, 'track3.wav', 130
-                ]);
-
-                await postgresClient.query('COMMIT');
-
-                // Verify all data was committed
-                const audioCount = await postgresClient.query(
-                    'SELECT COUNT(*) FROM audio_files WHERE user_id = $1',
-                    [userId]
-                );
-
-                expect(audioCount.rows[0].count).toBe('3');
-
-            } catch (error) {
-                await postgresClient.query('ROLLBACK');
-                throw error;
-            }
+                const txAudioFiles = new AudioFileRepository(tx);
+                await txAudioFiles.attach(user.id, { filename: 'track1.wav', bpm: 120 });
+                await txAudioFiles.attach(user.id, { filename: 'track2.wav', bpm: 125 });
+                await txAudioFiles.attach(user.id, { filename: 'track3.wav', bpm: 130 });
+
+                return user.id;
+            });
+
+            // Verify all data was committed
+            expect(await audioFiles.countByUserId(userId)).toBe(3);
+        });
+
+        it('should roll back a partial bulk insert of audio files', async () => {
+            const user = await users.create({ email: 'rollback@test.ch', username: 'rbuser' });
+
+            const bulkInsert = withTransaction(postgresPool, async (tx) => {
+                const txAudioFiles = new AudioFileRepository(tx);
+                await txAudioFiles.attach(user.id, { filename: 'track1.wav', bpm: 120 });
+                await txAudioFiles.attach(user.id, { filename: 'track2.wav', bpm: 125 });
+                // filename is NOT NULL, so the third insert fails
+                await txAudioFiles.attach(user.id, { filename: null, bpm: 130 });
+            });
+
+            await expect(bulkInsert).rejects.toMatchObject({ code: '23502' });
+            expect(await audioFiles.countByUserId(user.id)).toBe(0);
+
+            // The pooled connection is usable again after the rollback
+            const result = await withTransaction(postgresPool, tx => tx.query('SELECT 1 AS ok'));
+            expect(result.rows[0].ok).toBe(1);
+        });
+
+        it('should keep outer work when a savepoint rolls back', async () => {
+            const user = await users.create({ email: 'savepoint@test.ch', username: 'spuser' });
+
+            await withTransaction(postgresPool, async (tx) => {
+                const txAudioFiles = new AudioFileRepository(tx);
+                await txAudioFiles.attach(user.id, { filename: 'kept.wav', bpm: 120 });
+
+                await expect(tx.savepoint(async () => {
+                    await txAudioFiles.attach(user.id, { filename: 'discarded.wav', bpm: 125 });
+                    await tx.savepoint(() => txAudioFiles.attach(user.id, { filename: 'nested.wav', bpm: 126 }));
+                    await txAudioFiles.attach(user.id, { filename: null });
+                })).rejects.toMatchObject({ code: '23502' });
+
+                await txAudioFiles.attach(user.id, { filename: 'after.wav', bpm: 130 });
+            });
+
+            const tracks = await audioFiles.listByUserId(user.id);
+            expect(tracks.map(track => track.filename)).toEqual(['kept.wav', 'after.wav']);
+        });
+
+        it('should retry serialization failures', async () => {
+            let attempts = 0;
+
+            const count = await withTransaction(postgresPool, async (tx) => {
+                attempts++;
+                await tx.query("INSERT INTO users (email, username) VALUES ('retry@test.ch', 'retry')");
+                if (attempts < 3) {
+                    throw Object.assign(new Error('could not serialize access'), { code: '40001' });
+                }
+                const result = await tx.query('SELECT COUNT(*)::int AS count FROM users');
+                return result.rows[0].count;
+            }, { isolationLevel: 'SERIALIZABLE', retryDelayMs: 1 });
+
+            expect(attempts).toBe(3);
+            expect(count).toBe(1);
+        });
+
+        it('should not retry other failures', async () => {
+            let attempts = 0;
+
+            await expect(withTransaction(postgresPool, async () => {
+                attempts++;
+                throw new Error('boom');
+            })).rejects.toThrow('boom');
+
+            expect(attempts).toBe(1);
         });
     });
 
@@ -202,16 +287,6 @@ describe('Akustik Produkt Services', () => {
             };
 
             // Store in database as if it was generated by AI
-            await postgresClient.query(`
-                CREATE TABLE ai_generated_content (
-                    id SERIAL PRIMARY KEY,
-                    content_type VARCHAR(50),
-                    input_data JSONB,
-                    output_data JSONB,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-
             const insertResult = await postgresClient.query(`
                 INSERT INTO ai_generated_content (content_type, input_data, output_data)
                 VALUES ($1, $2, $3) RETURNING id
@@ -241,27 +316,92 @@ describe('Akustik Produkt Services', () => {
             expect(outputData.targetBpm).toContain('125-130');
         });
 
-        it('should test service health checks', async () => {
-            // Simulate health check endpoint data
-            const healthCheck = {
-                database: 'connected',
-                redis: 'connected',
-                timestamp: new Date().toISOString(),
-                version: '1.0.0'
-            };
+        it('should version AI generations with provenance', async () => {
+            const user = await new UserRepository(postgresClient).create({ email: 'promo@akustik.ch', username: 'promo' });
+            const track = await new AudioFileRepository(postgresClient).attach(user.id, { filename: 'cyber_dreams.wav' });
+            const aiContent = new AiContentRepository(postgresClient);
+            const history = { userId: user.id, audioFileId: track.id, contentType: 'dj_promo' };
+            const input = { trackTitle: "Cyber Dreams", artist: "Neural Wave", vibe: "Dark Industrial" };
+
+            const first = await aiContent.save({
+                ...history,
+                input,
+                output: { clubHype: "First take" },
+                provenance: {
+                    model: 'gemini-2.5-flash',
+                    promptVersion: '1.0.0',
+                    latencyMs: 840,
+                    usage: { promptTokens: 120, completionTokens: 80, totalTokens: 200 },
+                },
+            });
+            const second = await aiContent.save({ ...history, input, output: { clubHype: "Second take" } });
+
+            expect(first).toMatchObject({
+                version: 1,
+                model: 'gemini-2.5-flash',
+                prompt_version: '1.0.0',
+                latency_ms: 840,
+                prompt_tokens: 120,
+                completion_tokens: 80,
+                total_tokens: 200,
+            });
+            expect(second.version).toBe(2);
+            expect((await aiContent.findLatest(history)).output_data.clubHype).toBe("Second take");
+
+            // Roll back to the first version: it becomes the latest, history is kept
+            const restored = await aiContent.rollback(history, 1);
+            expect(restored).toMatchObject({ version: 3, rolled_back_from: 1, model: 'gemini-2.5-flash' });
+            expect(restored.output_data.clubHype).toBe("First take");
+
+            const versions = await aiContent.listHistory(history);
+            expect(versions.map(row => row.version)).toEqual([3, 2, 1]);
+            expect(await aiContent.rollback(history, 99)).toBeNull();
+
+            // Other content types of the same track have their own history
+            const social = await aiContent.save({ ...history, contentType: 'social_uplink', output: {} });
+            expect(social.version).toBe(1);
+            expect(await aiContent.listForTrack(track.id)).toHaveLength(4);
+        });
 
-            // Store health check data
-            await postgresClient.query(`
-                CREATE TABLE IF NOT EXISTS health_checks (
-                    id SERIAL PRIMARY KEY,
-                    service_status JSONB,
-                    checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+        it('should compare prompt variants on viral score and engagement', async () => {
+            const user = await new UserRepository(postgresClient).create({ email: 'growth@akustik.ch', username: 'growth' });
+            const aiContent = new AiContentRepository(postgresClient);
+            const generate = (promptVariant, viralScore) => aiContent.save({
+                userId: user.id,
+                contentType: 'growth_content',
+                output: { title: "Sidechain in 60s", content: "Hook: ...", viralScore },
+                provenance: { model: 'gemini-2.5-flash', promptVersion: '1.0.0', promptVariant },
+            });
+
+            const first = await generate('default', 70);
+            await generate('default', 80);
+            const punchy = await generate('punchy', 92);
+            await aiContent.recordEngagement(first.id, { likes: 100, shares: 4 });
+            await aiContent.recordEngagement(punchy.id, { likes: 250 });
+            const engaged = await aiContent.recordEngagement(punchy.id, { shares: 30 });
+            expect(engaged.engagement).toEqual({ likes: 250, shares: 30 });
+            expect(await aiContent.recordEngagement(0, { likes: 1 })).toBeNull();
+
+            // Rollbacks keep the variant but are not counted twice
+            const restored = await aiContent.rollback({ userId: user.id, contentType: 'growth_content' }, 3);
+            expect(restored.prompt_variant).toBe('punchy');
+
+            expect(await aiContent.comparePromptVariants('growth_content')).toEqual([
+                {
+                    promptVersion: '1.0.0', promptVariant: 'default', generations: 2,
+                    avgViralScore: 75, avgLikes: 100, avgComments: null, avgShares: 4, avgViews: null,
+                },
+                {
+                    promptVersion: '1.0.0', promptVariant: 'punchy', generations: 1,
+                    avgViralScore: 92, avgLikes: 250, avgComments: null, avgShares: 30, avgViews: null,
+                },
+            ]);
+        });
 
-            await postgresClient.query(`
-                INSERT INTO health_checks (service_status) VALUES ($1)
-            `, [JSON.stringify(healthCheck)]);
+        it('should test service health checks', async () => {
+            // Probe the real database; no Redis client is configured here
+            const report = await runHealthChecks({ db: postgresClient, env: {} });
+            await recordHealthCheck(postgresClient, report);
 
             // Verify health check was logged
             const result = await postgresClient.query(
@@ -272,7 +412,9 @@ describe('Akustik Produkt Services', () => {
             const status = typeof result.rows[0].service_status === 'string' 
                 ? JSON.parse(result.rows[0].service_status) 
                 : result.rows[0].service_status;
-            expect(status.database).toBe('connected');
+            expect(status.dependencies.database.status).toBe('up');
+            expect(status.dependencies.redis).toMatchObject({ status: 'down', error: 'not configured' });
+            expect(status.status).toBe('degraded');
         });
     });
 });
\ No newline at end of file
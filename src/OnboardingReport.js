@@ -0,0 +1,195 @@
+/**
+ * Onboarding Report - machine-readable result of the runtime verification
+ *
+ * Collects what the onboarding test suite found out (detected runtime,
+ * engine labels, Node and Testcontainers versions) and the outcome and
+ * timings of every check, and writes it as JSON and JUnit XML so CI and the
+ * onboarding website can consume the result instead of scraping the banner.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const REPORT_NAME = 'onboarding-report';
+const DEFAULT_REPORT_DIR = path.join(process.cwd(), 'reports');
+const SUITE_NAME = 'Testcontainers Cloud onboarding';
+
+const STATUS = {
+    PASSED: 'passed',
+    FAILED: 'failed',
+};
+
+const testcontainersVersion = () => require('testcontainers/package.json').version;
+
+const seconds = (ms) => (ms / 1000).toFixed(3);
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+class OnboardingReport {
+    constructor({ now = () => Date.now() } = {}) {
+        this.now = now;
+        this.startedAt = new Date(now()).toISOString();
+        this.runtime = null;
+        this.checks = [];
+        this.current = null;
+    }
+
+    /**
+     * Records the classified runtime (see RuntimeDetection.classifyRuntime).
+     */
+    setRuntime(runtime) {
+        this.runtime = runtime;
+    }
+
+    /**
+     * Runs `fn` as the check `name`, recording its duration and outcome.
+     * `fn` may return `{ reasons }` to explain a pass; a thrown error fails
+     * the check with its message as the reason and is rethrown.
+     */
+    async check(name, fn) {
+        const check = { name, status: STATUS.PASSED, durationMs: 0, reasons: [], timings: [] };
+        const startedAt = this.now();
+        this.checks.push(check);
+        this.current = check;
+
+        try {
+            const result = await fn();
+            check.reasons = (result && result.reasons) || [];
+            return result;
+        } catch (error) {
+            check.status = STATUS.FAILED;
+            check.reasons = [error.message];
+            throw error;
+        } finally {
+            check.durationMs = this.now() - startedAt;
+            this.current = null;
+        }
+    }
+
+    /**
+     * Times one step of the running check, e.g. a container start.
+     */
+    async time(label, fn) {
+        const startedAt = this.now();
+        try {
+            return await fn();
+        } finally {
+            this.recordTiming(label, this.now() - startedAt);
+        }
+    }
+
+    /**
+     * Records a step of the running check that was timed elsewhere, e.g.
+     * the shared container start in Jest's globalSetup.
+     */
+    recordTiming(label, durationMs) {
+        if (this.current) {
+            this.current.timings.push({ label, durationMs });
+        }
+    }
+
+    toJSON() {
+        const runtime = this.runtime;
+        return {
+            name: SUITE_NAME,
+            startedAt: this.startedAt,
+            ok: this.checks.length > 0 && this.checks.every(check => check.status === STATUS.PASSED),
+            runtime: runtime && {
+                kind: runtime.kind,
+                name: runtime.name,
+                supported: runtime.supported,
+                serverVersion: runtime.serverVersion,
+                operatingSystem: runtime.operatingSystem,
+                architecture: runtime.architecture,
+                host: runtime.host,
+                reasons: runtime.reasons,
+            },
+            labels: runtime ? runtime.labels : [],
+            versions: {
+                node: process.version,
+                testcontainers: testcontainersVersion(),
+            },
+            checks: this.checks,
+        };
+    }
+
+    toJUnitXml() {
+        const report = this.toJSON();
+        const failures = report.checks.filter(check => check.status === STATUS.FAILED).length;
+        const totalMs = report.checks.reduce((sum, check) => sum + check.durationMs, 0);
+        const property = (name, value) => `      <property name="${escapeXml(name)}" value="${escapeXml(value ?? '')}"/>`;
+
+        const properties = [
+            property('runtime.kind', report.runtime && report.runtime.kind),
+            property('runtime.name', report.runtime && report.runtime.name),
+            property('runtime.serverVersion', report.runtime && report.runtime.serverVersion),
+            ...report.labels.map(label => property('runtime.label', label)),
+            property('node.version', report.versions.node),
+            property('testcontainers.version', report.versions.testcontainers),
+        ];
+
+        const testcases = report.checks.map(check => {
+            const lines = [`    <testcase classname="onboarding" name="${escapeXml(check.name)}" time="${seconds(check.durationMs)}">`];
+            if (check.timings.length > 0) {
+                lines.push('      <properties>');
+                check.timings.forEach(timing => {
+                    lines.push(`        <property name="timing.${escapeXml(timing.label)}" value="${seconds(timing.durationMs)}"/>`);
+                });
+                lines.push('      </properties>');
+            }
+            if (check.status === STATUS.FAILED) {
+                lines.push(`      <failure message="${escapeXml(check.reasons[0] || 'failed')}">` +
+                    `${escapeXml(check.reasons.join('\n'))}</failure>`);
+            } else if (check.reasons.length > 0) {
+                lines.push(`      <system-out>${escapeXml(check.reasons.join('\n'))}</system-out>`);
+            }
+            lines.push('    </testcase>');
+            return lines.join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="${SUITE_NAME}" tests="${report.checks.length}" failures="${failures}" time="${seconds(totalMs)}">`,
+            `  <testsuite name="${SUITE_NAME}" tests="${report.checks.length}" failures="${failures}" errors="0" ` +
+                `skipped="0" time="${seconds(totalMs)}" timestamp="${report.startedAt}" hostname="${escapeXml(os.hostname())}">`,
+            '    <properties>',
+            ...properties,
+            '    </properties>',
+            ...testcases,
+            '  </testsuite>',
+            '</testsuites>',
+            '',
+        ].join('\n');
+    }
+
+    /**
+     * Writes `onboarding-report.json` and `onboarding-report.xml` to
+     * `directory` (TCC_REPORT_DIR, or `reports/`) and returns their paths.
+     */
+    write(directory = process.env.TCC_REPORT_DIR || DEFAULT_REPORT_DIR) {
+        fs.mkdirSync(directory, { recursive: true });
+        const json = path.join(directory, `${REPORT_NAME}.json`);
+        const xml = path.join(directory, `${REPORT_NAME}.xml`);
+        fs.writeFileSync(json, `${JSON.stringify(this.toJSON(), null, 2)}\n`);
+        fs.writeFileSync(xml, this.toJUnitXml());
+        return { json, xml };
+    }
+}
+
+/**
+ * True when banners should be printed as plain text, i.e. when TCC_BANNER
+ * is "plain" (for CI and other non-TTY logs).
+ */
+const usePlainBanner = (env = process.env) => (env.TCC_BANNER || '').toLowerCase() === 'plain';
+
+module.exports = {
+    STATUS,
+    OnboardingReport,
+    usePlainBanner,
+};
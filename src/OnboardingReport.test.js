@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STATUS, OnboardingReport, usePlainBanner } = require('./OnboardingReport');
+
+const runtime = {
+    kind: 'cloud',
+    name: 'Testcontainers Cloud',
+    supported: true,
+    serverVersion: '24.0.7-testcontainerscloud',
+    operatingSystem: 'Ubuntu 22.04.4 LTS',
+    architecture: 'x86_64',
+    host: '127.0.0.1',
+    labels: ['cloud.docker.run.version=1.12.0'],
+    reasons: ['server version "24.0.7-testcontainerscloud" identifies a Testcontainers Cloud engine'],
+};
+
+// A clock that advances by `step` ms on every reading.
+const steppingClock = (step) => {
+    let time = Date.parse('2024-05-01T10:00:00Z');
+    return () => (time += step) - step;
+};
+
+describe('Onboarding Report', () => {
+    let report;
+
+    beforeEach(() => {
+        report = new OnboardingReport({ now: steppingClock(250) });
+    });
+
+    it('should record passing checks with reasons and timings', async () => {
+        report.setRuntime(runtime);
+        await report.check('tcc cloud engine', async () => ({ reasons: runtime.reasons }));
+        await report.check('create postgresql container', async () => {
+            report.recordTiming('postgresql container start', 4200);
+            await report.time('postgresql database create', async () => 'database');
+        });
+
+        const json = report.toJSON();
+        expect(json).toMatchObject({
+            ok: true,
+            startedAt: '2024-05-01T10:00:00.000Z',
+            runtime: { kind: 'cloud', name: 'Testcontainers Cloud', serverVersion: '24.0.7-testcontainerscloud' },
+            labels: ['cloud.docker.run.version=1.12.0'],
+            versions: { node: process.version, testcontainers: require('testcontainers/package.json').version },
+        });
+        expect(json.checks).toEqual([
+            { name: 'tcc cloud engine', status: STATUS.PASSED, durationMs: 250, reasons: runtime.reasons, timings: [] },
+            {
+                name: 'create postgresql container',
+                status: STATUS.PASSED,
+                durationMs: 750,
+                reasons: [],
+                timings: [
+                    { label: 'postgresql container start', durationMs: 4200 },
+                    { label: 'postgresql database create', durationMs: 250 },
+                ],
+            },
+        ]);
+    });
+
+    it('should record a failing check and rethrow its error', async () => {
+        await expect(report.check('tcc cloud engine', async () => {
+            throw new Error('Detected runtime "local-docker" (26.1.4): no marker');
+        })).rejects.toThrow('no marker');
+
+        const json = report.toJSON();
+        expect(json.ok).toBe(false);
+        expect(json.runtime).toBeNull();
+        expect(json.checks[0]).toMatchObject({
+            status: STATUS.FAILED,
+            reasons: ['Detected runtime "local-docker" (26.1.4): no marker'],
+        });
+    });
+
+    it('should render JUnit XML', async () => {
+        report.setRuntime(runtime);
+        await report.check('tcc cloud engine', async () => ({ reasons: runtime.reasons }));
+        await report.check('create postgresql container', async () => {
+            await report.time('postgresql container start', async () => {});
+            throw new Error('expected "6" <got "5">');
+        }).catch(() => {});
+
+        const xml = report.toJUnitXml();
+
+        expect(xml).toContain('<testsuites name="Testcontainers Cloud onboarding" tests="2" failures="1" time="1.000">');
+        expect(xml).toContain('<property name="runtime.kind" value="cloud"/>');
+        expect(xml).toContain('<property name="runtime.label" value="cloud.docker.run.version=1.12.0"/>');
+        expect(xml).toContain('<testcase classname="onboarding" name="tcc cloud engine" time="0.250">');
+        expect(xml).toContain('<system-out>server version &quot;24.0.7-testcontainerscloud&quot; identifies');
+        expect(xml).toContain('<property name="timing.postgresql container start" value="0.250"/>');
+        expect(xml).toContain('<failure message="expected &quot;6&quot; &lt;got &quot;5&quot;&gt;">');
+    });
+
+    it('should write JSON and XML files', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'onboarding-report-'));
+        try {
+            report.setRuntime(runtime);
+            await report.check('tcc cloud engine', async () => {});
+
+            const { json, xml } = report.write(directory);
+
+            expect(JSON.parse(fs.readFileSync(json, 'utf8')).runtime.kind).toBe('cloud');
+            expect(fs.readFileSync(xml, 'utf8')).toMatch(/^<\?xml/);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('should switch to plain banners through TCC_BANNER', () => {
+        expect(usePlainBanner({ TCC_BANNER: 'plain' })).toBe(true);
+        expect(usePlainBanner({ TCC_BANNER: 'PLAIN' })).toBe(true);
+        expect(usePlainBanner({})).toBe(false);
+    });
+});
@@ -0,0 +1,278 @@
+/**
+ * Publish Queue - scheduled publishing of generated content
+ *
+ * Generated content (`ai_generated_content` rows) is scheduled per platform
+ * with a target time in `publish_jobs`. Workers claim due jobs with
+ * `FOR UPDATE SKIP LOCKED`, so any number of them can poll the same table
+ * without handing out a job twice, and publish them through the publisher
+ * registered for the platform (see Publishers). Failures are rescheduled
+ * with exponential backoff; after `max_attempts` the job is dead-lettered
+ * and stays there until it is requeued.
+ */
+
+const os = require('os');
+const { backoffDelay } = require('./GeminiResilience');
+const { CONTENT_TYPES } = require('./AiContentRepository');
+const { PLATFORM_RULES, formatPost } = require('./SocialFormatter');
+const { PublishError } = require('./Publishers');
+
+const JOB_STATUS = {
+    SCHEDULED: 'scheduled',
+    RUNNING: 'running',
+    PUBLISHED: 'published',
+    DEAD: 'dead',
+};
+
+const DEFAULT_OPTIONS = {
+    maxAttempts: 5,
+    baseDelayMs: 30 * 1000,
+    maxDelayMs: 60 * 60 * 1000,
+    random: () => Math.random(),
+};
+
+class PublishQueue {
+    constructor(db, overrides = {}) {
+        this.db = db;
+        this.options = { ...DEFAULT_OPTIONS, ...overrides };
+    }
+
+    /**
+     * Schedules content `contentId` for `platform` at `runAt` and returns the
+     * job. Scheduling the same content and platform again moves the time of
+     * a job that has not run yet; jobs already running, published or dead
+     * are left alone and null is returned.
+     */
+    async schedule({ contentId, platform, runAt = new Date(), maxAttempts = this.options.maxAttempts }) {
+        const result = await this.db.query(`
+            INSERT INTO publish_jobs (content_id, platform, run_at, max_attempts)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (content_id, platform) DO UPDATE
+                SET run_at = EXCLUDED.run_at, max_attempts = EXCLUDED.max_attempts
+                WHERE publish_jobs.status = '${JOB_STATUS.SCHEDULED}'
+            RETURNING *
+        `, [contentId, platform, runAt, maxAttempts]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Schedules a generation on every platform it has content for: each
+     * platform of a social uplink, or the given `platforms` otherwise.
+     */
+    async scheduleContent(content, { runAt, platforms } = {}) {
+        const targets = platforms || (content.content_type === CONTENT_TYPES.socialUplink
+            ? Object.keys(PLATFORM_RULES).filter(platform => content.output_data && content.output_data[platform])
+            : []);
+        if (targets.length === 0) {
+            throw new Error(`No platforms to schedule ${content.content_type} content ${content.id} on`);
+        }
+
+        const jobs = [];
+        for (const platform of targets) {
+            jobs.push(await this.schedule({ contentId: content.id, platform, runAt }));
+        }
+        return jobs;
+    }
+
+    /**
+     * Claims up to `limit` jobs that are due (at `asOf`, default: now on the
+     * database server), marks them running and returns them together with
+     * the content's `content_type` and `output_data`. Rows locked by another
+     * worker's claim are skipped rather than waited for.
+     */
+    async claim({ workerId, limit = 1, asOf = null, platforms = null } = {}) {
+        const result = await this.db.query(`
+            UPDATE publish_jobs j
+            SET status = '${JOB_STATUS.RUNNING}', attempts = j.attempts + 1, locked_by = $1, locked_at = NOW()
+            FROM ai_generated_content c
+            WHERE c.id = j.content_id AND j.id IN (
+                SELECT id FROM publish_jobs
+                WHERE status = '${JOB_STATUS.SCHEDULED}'
+                    AND attempts < max_attempts
+                    AND run_at <= COALESCE($2::timestamptz, NOW())
+                    AND ($4::varchar[] IS NULL OR platform = ANY($4::varchar[]))
+                ORDER BY run_at, id
+                LIMIT $3
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING j.*, c.content_type, c.output_data
+        `, [workerId, asOf, limit, platforms]);
+        return result.rows.sort((a, b) => a.run_at - b.run_at || a.id - b.id);
+    }
+
+    /**
+     * Marks a claimed job published. Returns null when the claim was lost,
+     * i.e. the job was released as stale and maybe claimed again since.
+     */
+    async complete(job, { externalId = null } = {}) {
+        const result = await this.db.query(`
+            UPDATE publish_jobs
+            SET status = '${JOB_STATUS.PUBLISHED}', external_id = $2, published_at = NOW(),
+                last_error = NULL, locked_by = NULL, locked_at = NULL
+            WHERE id = $1 AND status = '${JOB_STATUS.RUNNING}' AND locked_by = $3
+            RETURNING *
+        `, [job.id, externalId, job.locked_by]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Records a failed attempt. The job is rescheduled after a backoff
+     * delay, or dead-lettered when it has used all attempts or the error is
+     * not retryable. Returns null when the claim was lost, like complete().
+     */
+    async fail(job, error) {
+        const dead = error.retryable === false || job.attempts >= job.max_attempts;
+        const delayMs = dead ? 0 : backoffDelay(job.attempts - 1, this.options);
+        const result = await this.db.query(`
+            UPDATE publish_jobs
+            SET status = $2::varchar, last_error = $3, locked_by = NULL, locked_at = NULL,
+                run_at = CASE WHEN $2::varchar = '${JOB_STATUS.SCHEDULED}'
+                    THEN NOW() + ($4::bigint * INTERVAL '1 millisecond') ELSE run_at END
+            WHERE id = $1 AND status = '${JOB_STATUS.RUNNING}' AND locked_by = $5
+            RETURNING *
+        `, [job.id, dead ? JOB_STATUS.DEAD : JOB_STATUS.SCHEDULED, error.message, delayMs, job.locked_by]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Puts jobs back that have been running for longer than `timeoutMs`,
+     * e.g. because their worker crashed. Their attempt still counts, so a job
+     * that keeps crashing its worker is dead-lettered after `max_attempts`.
+     */
+    async releaseStale(timeoutMs) {
+        const result = await this.db.query(`
+            UPDATE publish_jobs
+            SET status = CASE WHEN attempts >= max_attempts
+                    THEN '${JOB_STATUS.DEAD}' ELSE '${JOB_STATUS.SCHEDULED}' END,
+                locked_by = NULL, locked_at = NULL,
+                last_error = 'Worker did not finish the job'
+            WHERE status = '${JOB_STATUS.RUNNING}'
+                AND locked_at < NOW() - ($1::bigint * INTERVAL '1 millisecond')
+            RETURNING *
+        `, [timeoutMs]);
+        return result.rows;
+    }
+
+    async listDead() {
+        const result = await this.db.query(`
+            SELECT * FROM publish_jobs WHERE status = '${JOB_STATUS.DEAD}' ORDER BY id
+        `);
+        return result.rows;
+    }
+
+    /**
+     * Moves a dead job back to the queue with a fresh set of attempts.
+     * Returns null when the job is not dead.
+     */
+    async requeue(jobId, { runAt = new Date() } = {}) {
+        const result = await this.db.query(`
+            UPDATE publish_jobs
+            SET status = '${JOB_STATUS.SCHEDULED}', attempts = 0, run_at = $2
+            WHERE id = $1 AND status = '${JOB_STATUS.DEAD}'
+            RETURNING *
+        `, [jobId, runAt]);
+        return result.rows[0] || null;
+    }
+}
+
+/**
+ * Builds what gets published for a claimed job: the platform payload of a
+ * social uplink (with the platform rules applied), or the generation
+ * output as is.
+ */
+function payloadFor(job) {
+    if (job.content_type !== CONTENT_TYPES.socialUplink) {
+        return job.output_data;
+    }
+    const post = job.output_data && job.output_data[job.platform];
+    if (!post) {
+        throw new PublishError(`Content ${job.content_id} has no ${job.platform} post`, { retryable: false });
+    }
+    const { payload, violations } = formatPost(job.platform, post);
+    const unfixable = violations.filter(violation => !violation.fixed);
+    if (unfixable.length > 0) {
+        throw new PublishError(unfixable.map(violation => violation.message).join('; '), { retryable: false });
+    }
+    return payload;
+}
+
+/**
+ * Claims due jobs and publishes them with the publisher registered for
+ * their platform. Only platforms with a publisher are claimed.
+ */
+class PublishWorker {
+    constructor(queue, publishers, { workerId = `${os.hostname()}-${process.pid}`, batchSize = 10, pollIntervalMs = 5000 } = {}) {
+        this.queue = queue;
+        this.publishers = new Map(publishers.map(publisher => [publisher.platform, publisher]));
+        this.workerId = workerId;
+        this.batchSize = batchSize;
+        this.pollIntervalMs = pollIntervalMs;
+        this.timer = null;
+    }
+
+    /**
+     * Runs one claim/publish round and returns the jobs it touched, grouped
+     * as `{ published, retried, dead, lost }`. `lost` holds the claimed jobs
+     * whose lease ran out before they finished; their outcome is not recorded.
+     */
+    async runOnce({ asOf = null } = {}) {
+        const jobs = await this.queue.claim({
+            workerId: this.workerId,
+            limit: this.batchSize,
+            asOf,
+            platforms: [...this.publishers.keys()],
+        });
+        const outcome = { published: [], retried: [], dead: [], lost: [] };
+
+        for (const job of jobs) {
+            let finished;
+            try {
+                const { externalId = null } = await this.publishers.get(job.platform).publish(payloadFor(job), job) || {};
+                finished = await this.queue.complete(job, { externalId });
+            } catch (error) {
+                finished = await this.queue.fail(job, error);
+            }
+
+            if (!finished) {
+                outcome.lost.push(job);
+            } else if (finished.status === JOB_STATUS.PUBLISHED) {
+                outcome.published.push(finished);
+            } else {
+                (finished.status === JOB_STATUS.DEAD ? outcome.dead : outcome.retried).push(finished);
+            }
+        }
+        return outcome;
+    }
+
+    /**
+     * Polls every `pollIntervalMs` until stop(). Errors of a round (e.g. a
+     * lost database connection) go to `onError` and the next round runs.
+     */
+    start({ onError = () => {} } = {}) {
+        let running = false;
+        this.timer = setInterval(async () => {
+            if (running) return;
+            running = true;
+            try {
+                await this.runOnce();
+            } catch (error) {
+                onError(error);
+            } finally {
+                running = false;
+            }
+        }, this.pollIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    JOB_STATUS,
+    DEFAULT_OPTIONS,
+    PublishQueue,
+    PublishWorker,
+    payloadFor,
+};
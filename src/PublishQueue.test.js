@@ -0,0 +1,288 @@
+const { Client } = require('pg');
+const { createTestDatabase } = require('./TestDatabase');
+const { createUser, createAiContent } = require('./Factories');
+const { CONTENT_TYPES } = require('./AiContentRepository');
+const { JOB_STATUS, PublishQueue, PublishWorker, payloadFor } = require('./PublishQueue');
+const { FakePublisher } = require('./__fixtures__/publishers');
+
+const socialUplink = {
+    facebook: { caption: "New release from Neural Wave", hashtags: ["#techno", "techno"] },
+    instagram: { caption: "Cyber Dreams out now 🖤", hashtags: ["#AkustikProdukt", "#techno"] },
+    tiktok: { hook: "Wait for the drop", tags: ["techno"], audioSuggestion: "Cyber Dreams (Original Mix)" },
+};
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+describe('Publish Queue', () => {
+    let database;
+    let client;
+    let queue;
+    let user;
+    let publishers;
+    let worker;
+
+    const createUplink = () => createAiContent(client, {
+        userId: user.id,
+        contentType: CONTENT_TYPES.socialUplink,
+        output: socialUplink,
+    });
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        client = new Client({ connectionString: database.url });
+        await client.connect();
+        user = await createUser(client);
+    });
+
+    afterAll(async () => {
+        if (client) {
+            await client.end();
+        }
+        if (database) {
+            await database.drop();
+        }
+    });
+
+    beforeEach(async () => {
+        await client.query('TRUNCATE publish_jobs');
+        queue = new PublishQueue(client, { maxAttempts: 3, baseDelayMs: 60000, random: () => 0 });
+        publishers = ['facebook', 'instagram', 'tiktok'].map(platform => new FakePublisher(platform));
+        worker = new PublishWorker(queue, publishers, { workerId: 'test-worker' });
+    });
+
+    const publisher = (platform) => publishers.find(candidate => candidate.platform === platform);
+
+    it('should schedule a social uplink on each of its platforms', async () => {
+        const content = await createUplink();
+        const runAt = inOneHour();
+
+        const jobs = await queue.scheduleContent(content, { runAt });
+
+        expect(jobs.map(job => job.platform)).toEqual(['facebook', 'instagram', 'tiktok']);
+        jobs.forEach(job => {
+            expect(job).toMatchObject({ content_id: content.id, status: JOB_STATUS.SCHEDULED, attempts: 0, max_attempts: 3 });
+            expect(job.run_at).toEqual(runAt);
+        });
+    });
+
+    it('should move the time of a job that has not run yet', async () => {
+        const content = await createUplink();
+        const [job] = await queue.scheduleContent(content, { runAt: inOneHour(), platforms: ['facebook'] });
+        const earlier = minutesAgo(1);
+
+        const moved = await queue.schedule({ contentId: content.id, platform: 'facebook', runAt: earlier });
+
+        expect(moved.id).toBe(job.id);
+        expect(moved.run_at).toEqual(earlier);
+    });
+
+    it('should require platforms for content other than social uplinks', async () => {
+        const promo = await createAiContent(client, { userId: user.id });
+
+        await expect(queue.scheduleContent(promo)).rejects.toThrow('No platforms to schedule dj_promo content');
+        await expect(queue.scheduleContent(promo, { platforms: ['mixcloud'] })).resolves.toHaveLength(1);
+    });
+
+    it('should only claim jobs that are due', async () => {
+        const content = await createUplink();
+        await queue.schedule({ contentId: content.id, platform: 'facebook', runAt: minutesAgo(5) });
+        await queue.schedule({ contentId: content.id, platform: 'instagram', runAt: inOneHour() });
+
+        const claimed = await queue.claim({ workerId: 'w1', limit: 10 });
+
+        expect(claimed).toHaveLength(1);
+        expect(claimed[0]).toMatchObject({
+            platform: 'facebook',
+            status: JOB_STATUS.RUNNING,
+            attempts: 1,
+            locked_by: 'w1',
+            content_type: CONTENT_TYPES.socialUplink,
+        });
+        expect(await queue.claim({ workerId: 'w2', limit: 10 })).toHaveLength(0);
+    });
+
+    it('should skip jobs locked by another worker instead of waiting', async () => {
+        const content = await createUplink();
+        await queue.scheduleContent(content, { runAt: minutesAgo(1) });
+
+        const other = new Client({ connectionString: database.url });
+        await other.connect();
+        try {
+            // The first worker's claim is still uncommitted and holds its row lock.
+            await other.query('BEGIN');
+            const first = await new PublishQueue(other).claim({ workerId: 'w1', limit: 1 });
+            const second = await queue.claim({ workerId: 'w2', limit: 10 });
+            await other.query('COMMIT');
+
+            expect(first).toHaveLength(1);
+            expect(second).toHaveLength(2);
+            expect(second.map(job => job.id)).not.toContain(first[0].id);
+        } finally {
+            await other.end();
+        }
+    });
+
+    it('should publish due jobs through the platform publishers', async () => {
+        const content = await createUplink();
+        await queue.scheduleContent(content, { runAt: minutesAgo(1) });
+
+        const outcome = await worker.runOnce();
+
+        expect(outcome.published).toHaveLength(3);
+        outcome.published.forEach(job => {
+            expect(job.status).toBe(JOB_STATUS.PUBLISHED);
+            expect(job.external_id).toBe(`${job.platform}-1`);
+            expect(job.published_at).toBeInstanceOf(Date);
+        });
+        // Platform rules are applied on the way out
+        expect(publisher('facebook').published[0].payload).toEqual({
+            message: 'New release from Neural Wave\n\n#AkustikProdukt #techno',
+        });
+        expect(publisher('tiktok').published[0].payload.post_info.title).toBe('Wait for the drop\n\n#AkustikProdukt #techno');
+    });
+
+    it('should leave platforms without a publisher in the queue', async () => {
+        const content = await createUplink();
+        await queue.scheduleContent(content, { runAt: minutesAgo(1) });
+
+        const outcome = await new PublishWorker(queue, [publisher('instagram')]).runOnce();
+
+        expect(outcome.published.map(job => job.platform)).toEqual(['instagram']);
+        const pending = await client.query(`SELECT platform FROM publish_jobs WHERE status = $1 ORDER BY platform`, [JOB_STATUS.SCHEDULED]);
+        expect(pending.rows.map(row => row.platform)).toEqual(['facebook', 'tiktok']);
+    });
+
+    it('should retry failed jobs with backoff', async () => {
+        const content = await createUplink();
+        await queue.scheduleContent(content, { runAt: minutesAgo(1), platforms: ['instagram'] });
+        publisher('instagram').failNext({ times: 2 });
+
+        const first = await worker.runOnce();
+        expect(first.retried).toHaveLength(1);
+        const [retried] = first.retried;
+        expect(retried).toMatchObject({ status: JOB_STATUS.SCHEDULED, attempts: 1, last_error: 'instagram is unavailable' });
+        // Equal jitter with random() = 0: half of 60s on the first retry, then half of 120s
+        expect(retried.run_at.getTime() - Date.now()).toBeGreaterThan(25000);
+        expect(retried.run_at.getTime() - Date.now()).toBeLessThanOrEqual(30000);
+
+        // Not due yet
+        expect((await worker.runOnce()).retried).toHaveLength(0);
+
+        const second = await worker.runOnce({ asOf: new Date(Date.now() + 31000) });
+        expect(second.retried[0].attempts).toBe(2);
+        expect(second.retried[0].run_at.getTime() - Date.now()).toBeGreaterThan(55000);
+
+        const third = await worker.runOnce({ asOf: new Date(Date.now() + 61000) });
+        expect(third.published).toHaveLength(1);
+        expect(third.published[0]).toMatchObject({ attempts: 3, last_error: null, external_id: 'instagram-1' });
+    });
+
+    it('should dead-letter a job after its last attempt and requeue it', async () => {
+        const content = await createUplink();
+        const [job] = await queue.scheduleContent(content, { runAt: minutesAgo(1), platforms: ['facebook'] });
+        publisher('facebook').failNext({ times: 3, message: 'Graph API error' });
+
+        const farFuture = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        await worker.runOnce();
+        await worker.runOnce({ asOf: farFuture });
+        const last = await worker.runOnce({ asOf: farFuture });
+
+        expect(last.dead).toHaveLength(1);
+        expect(await queue.listDead()).toEqual([
+            expect.objectContaining({ id: job.id, status: JOB_STATUS.DEAD, attempts: 3, last_error: 'Graph API error' }),
+        ]);
+        expect((await worker.runOnce({ asOf: farFuture })).dead).toHaveLength(0);
+
+        const requeued = await queue.requeue(job.id);
+        expect(requeued).toMatchObject({ status: JOB_STATUS.SCHEDULED, attempts: 0 });
+        expect((await worker.runOnce()).published).toHaveLength(1);
+        expect(await queue.requeue(job.id)).toBeNull();
+    });
+
+    it('should dead-letter at once when a publisher rejects the post', async () => {
+        const content = await createUplink();
+        await queue.scheduleContent(content, { runAt: minutesAgo(1), platforms: ['tiktok'] });
+        publisher('tiktok').failNext({ message: 'Caption rejected', retryable: false });
+
+        const outcome = await worker.runOnce();
+
+        expect(outcome.dead).toEqual([expect.objectContaining({ attempts: 1, last_error: 'Caption rejected' })]);
+    });
+
+    it('should dead-letter posts that break a platform rule it cannot fix', async () => {
+        const content = await createAiContent(client, {
+            userId: user.id,
+            contentType: CONTENT_TYPES.socialUplink,
+            output: { ...socialUplink, facebook: { caption: '', hashtags: [] } },
+        });
+        await queue.scheduleContent(content, { runAt: minutesAgo(1), platforms: ['facebook'] });
+
+        const outcome = await worker.runOnce();
+
+        expect(outcome.dead).toEqual([expect.objectContaining({ last_error: 'The caption is empty' })]);
+        expect(publisher('facebook').published).toHaveLength(0);
+    });
+
+    it('should release jobs of workers that stopped responding', async () => {
+        const content = await createUplink();
+        await queue.scheduleContent(content, { runAt: minutesAgo(1), platforms: ['facebook'] });
+        const [claimed] = await queue.claim({ workerId: 'crashed' });
+        await client.query(`UPDATE publish_jobs SET locked_at = NOW() - INTERVAL '10 minutes' WHERE id = $1`, [claimed.id]);
+
+        const released = await queue.releaseStale(5 * 60 * 1000);
+
+        expect(released).toEqual([expect.objectContaining({ id: claimed.id, status: JOB_STATUS.SCHEDULED, attempts: 1 })]);
+        expect((await worker.runOnce()).published).toHaveLength(1);
+    });
+
+    it('should dead-letter a job whose worker stopped responding on every attempt', async () => {
+        const content = await createUplink();
+        const [job] = await queue.scheduleContent(content, { runAt: minutesAgo(1), platforms: ['facebook'] });
+
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            const [claimed] = await queue.claim({ workerId: 'crashed' });
+            expect(claimed).toMatchObject({ id: job.id, attempts: attempt });
+            await client.query(`UPDATE publish_jobs SET locked_at = NOW() - INTERVAL '10 minutes' WHERE id = $1`, [job.id]);
+            await queue.releaseStale(5 * 60 * 1000);
+        }
+
+        expect(await queue.listDead()).toEqual([
+            expect.objectContaining({ id: job.id, status: JOB_STATUS.DEAD, attempts: 3, last_error: 'Worker did not finish the job' }),
+        ]);
+        expect(await queue.claim({ workerId: 'test-worker' })).toEqual([]);
+    });
+
+    it('should not finish a job whose lease was lost to another worker', async () => {
+        const content = await createUplink();
+        const [job] = await queue.scheduleContent(content, { runAt: minutesAgo(1), platforms: ['instagram', 'tiktok'] });
+        const takeOver = async (claimed) => {
+            await client.query(`UPDATE publish_jobs SET locked_at = NOW() - INTERVAL '10 minutes' WHERE id = $1`, [claimed.id]);
+            await queue.releaseStale(5 * 60 * 1000);
+            await queue.claim({ workerId: 'other-worker', platforms: [claimed.platform] });
+        };
+        jest.spyOn(publisher('instagram'), 'publish').mockImplementationOnce(async (payload, claimed) => {
+            await takeOver(claimed);
+            return { externalId: 'too-late' };
+        });
+        jest.spyOn(publisher('tiktok'), 'publish').mockImplementationOnce(async (payload, claimed) => {
+            await takeOver(claimed);
+            throw new Error('tiktok is unavailable');
+        });
+
+        const outcome = await worker.runOnce();
+
+        expect(outcome).toMatchObject({ published: [], retried: [], dead: [] });
+        expect(outcome.lost.map(lost => lost.platform)).toEqual(['instagram', 'tiktok']);
+        const rows = await client.query('SELECT * FROM publish_jobs ORDER BY platform');
+        rows.rows.forEach(row => {
+            expect(row).toMatchObject({ status: JOB_STATUS.RUNNING, locked_by: 'other-worker', attempts: 2, external_id: null });
+        });
+        expect(await queue.complete({ ...job, locked_by: 'test-worker' })).toBeNull();
+    });
+
+    it('should publish other content types as generated', () => {
+        expect(payloadFor({ content_type: CONTENT_TYPES.djPromo, platform: 'mixcloud', output_data: { clubHype: 'Tonight' } }))
+            .toEqual({ clubHype: 'Tonight' });
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Publishers - adapters that put scheduled content on a platform
+ *
+ * A publisher is any object with a `platform` name and an async
+ * `publish(payload, job)` that resolves to `{ externalId }`. The payload is
+ * the ready-to-publish object from SocialFormatter (or the raw generation
+ * output for other content types); `job` is the claimed publish_jobs row.
+ *
+ * Throwing a PublishError with `retryable: false` moves the job straight to
+ * the dead-letter state; any other error is retried with backoff.
+ */
+
+const http = require('http');
+const https = require('https');
+
+class PublishError extends Error {
+    constructor(message, { retryable = true, status = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'PublishError';
+        this.retryable = retryable;
+        this.status = status;
+    }
+}
+
+// Client errors other than these will fail the same way on every retry.
+const RETRYABLE_STATUSES = [408, 409, 425, 429];
+
+const isRetryableStatus = (status) => status >= 500 || RETRYABLE_STATUSES.includes(status);
+
+/**
+ * Publishes by POSTing the payload as JSON to `url`, e.g. an automation
+ * webhook that forwards to the platform. The response's `id` is used as
+ * the external id.
+ */
+class WebhookPublisher {
+    constructor({ platform, url, headers = {}, timeoutMs = 10000 }) {
+        this.platform = platform;
+        this.url = url;
+        this.headers = headers;
+        this.timeoutMs = timeoutMs;
+    }
+
+    publish(payload, job) {
+        const body = JSON.stringify({ platform: this.platform, jobId: job.id, contentId: job.content_id, payload });
+        const transport = this.url.startsWith('https:') ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(this.url, {
+                method: 'POST',
+                timeout: this.timeoutMs,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                    // Lets the receiver drop duplicates after a retry.
+                    'Idempotency-Key': `publish-job-${job.id}`,
+                    ...this.headers,
+                },
+            }, (res) => {
+                let text = '';
+                res.on('data', (chunk) => { text += chunk; });
+                res.on('end', () => {
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        let id = null;
+                        try {
+                            id = JSON.parse(text).id ?? null;
+                        } catch (error) {
+                            // A non-JSON success response simply has no id.
+                        }
+                        resolve({ externalId: id === null ? null : String(id) });
+                    } else {
+                        reject(new PublishError(`${this.platform} webhook answered ${res.statusCode}: ${text}`, {
+                            status: res.statusCode,
+                            retryable: isRetryableStatus(res.statusCode),
+                        }));
+                    }
+                });
+            });
+            req.on('timeout', () => req.destroy(new PublishError(`${this.platform} webhook timed out after ${this.timeoutMs}ms`)));
+            req.on('error', (error) => reject(error instanceof PublishError
+                ? error
+                : new PublishError(`${this.platform} webhook failed: ${error.message}`, { cause: error })));
+            req.end(body);
+        });
+    }
+}
+
+module.exports = {
+    PublishError,
+    WebhookPublisher,
+};
@@ -0,0 +1,90 @@
+const http = require('http');
+const { PublishError, WebhookPublisher } = require('./Publishers');
+
+describe('Publishers', () => {
+    describe('WebhookPublisher', () => {
+        let server;
+        let url;
+        let received;
+        let respond;
+
+        beforeAll(async () => {
+            server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', (chunk) => { body += chunk; });
+                req.on('end', () => {
+                    received.push({ headers: req.headers, body: JSON.parse(body) });
+                    respond(res);
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            url = `http://127.0.0.1:${server.address().port}/hooks/instagram`;
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        beforeEach(() => {
+            received = [];
+            respond = (res) => {
+                res.writeHead(201, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ id: 1789 }));
+            };
+        });
+
+        const job = { id: 42, content_id: 7 };
+
+        it('should post the payload with an idempotency key', async () => {
+            const publisher = new WebhookPublisher({ platform: 'instagram', url, headers: { Authorization: 'Bearer token' } });
+
+            const result = await publisher.publish({ caption: 'Out now\n\n#AkustikProdukt' }, job);
+
+            expect(result).toEqual({ externalId: '1789' });
+            expect(received[0].body).toEqual({
+                platform: 'instagram',
+                jobId: 42,
+                contentId: 7,
+                payload: { caption: 'Out now\n\n#AkustikProdukt' },
+            });
+            expect(received[0].headers).toMatchObject({
+                'idempotency-key': 'publish-job-42',
+                authorization: 'Bearer token',
+            });
+        });
+
+        it.each([
+            [503, true],
+            [429, true],
+            [400, false],
+            [401, false],
+        ])('should report HTTP %i as retryable: %p', async (status, retryable) => {
+            respond = (res) => {
+                res.writeHead(status);
+                res.end('nope');
+            };
+
+            const error = await new WebhookPublisher({ platform: 'instagram', url }).publish({}, job).catch(e => e);
+
+            expect(error).toBeInstanceOf(PublishError);
+            expect(error).toMatchObject({ status, retryable, message: `instagram webhook answered ${status}: nope` });
+        });
+
+        it('should time out slow webhooks', async () => {
+            respond = (res) => setTimeout(() => res.end('{}'), 500);
+
+            const error = await new WebhookPublisher({ platform: 'instagram', url, timeoutMs: 50 }).publish({}, job).catch(e => e);
+
+            expect(error).toBeInstanceOf(PublishError);
+            expect(error.retryable).toBe(true);
+            expect(error.message).toBe('instagram webhook timed out after 50ms');
+        });
+
+        it('should report unreachable webhooks as retryable', async () => {
+            const error = await new WebhookPublisher({ platform: 'instagram', url: 'http://127.0.0.1:1/hook' }).publish({}, job).catch(e => e);
+
+            expect(error).toBeInstanceOf(PublishError);
+            expect(error.retryable).toBe(true);
+        });
+    });
+});
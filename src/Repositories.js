@@ -0,0 +1,149 @@
+/**
+ * Repositories - Akustik Produkt persistence layer
+ *
+ * Thin data access objects for the `users` and `audio_files` tables.
+ * Each repository takes anything with a pg-style `query(text, values)`
+ * method, so a `Client`, a `Pool` or a pooled client all work.
+ * The tables themselves are created by the migrations in `migrations/`.
+ */
+
+const { normalizeKey } = require('./HarmonicMixing');
+
+const AUDIO_FILE_COLUMNS = [
+    'filename', 'bpm', 'musical_key', 'genre', 'mood',
+    'duration_seconds', 'sample_rate', 'channels', 'bit_depth', 'camelot_key',
+];
+
+class UserRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create({ email, username }) {
+        const result = await this.db.query(
+            'INSERT INTO users (email, username) VALUES ($1, $2) RETURNING *',
+            [email, username]
+        );
+        return result.rows[0];
+    }
+
+    async findByEmail(email) {
+        const result = await this.db.query('SELECT * FROM users WHERE email = $1', [email]);
+        return result.rows[0] || null;
+    }
+
+    async findById(id) {
+        const result = await this.db.query('SELECT * FROM users WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Lists users in the order they signed up.
+     */
+    async list({ limit = 50, offset = 0 } = {}) {
+        const result = await this.db.query(
+            'SELECT * FROM users ORDER BY id LIMIT $1 OFFSET $2',
+            [limit, offset]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Updates the username and/or email of the user with the given email.
+     * Returns the updated row, or null when no such user exists.
+     */
+    async updateByEmail(email, { email: newEmail, username }) {
+        const result = await this.db.query(`
+            UPDATE users
+            SET email = COALESCE($2, email),
+                username = COALESCE($3, username),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE email = $1
+            RETURNING *
+        `, [email, newEmail ?? null, username ?? null]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Deletes the user and, through the foreign key, all of their audio files.
+     * Returns true when a user was deleted.
+     */
+    async deleteByEmail(email) {
+        const result = await this.db.query('DELETE FROM users WHERE email = $1', [email]);
+        return result.rowCount > 0;
+    }
+}
+
+class AudioFileRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Attaches an audio file with its analysis metadata (`bpm`, `musical_key`,
+     * `genre`, `mood`) and format (`duration_seconds`, `sample_rate`,
+     * `channels`, `bit_depth`) to a user. Missing fields are stored as NULL.
+     * `musical_key` is kept as given; its Camelot notation is derived into
+     * `camelot_key`, and an unrecognized key throws an InvalidKeyError.
+     */
+    async attach(userId, audioFile) {
+        const row = {
+            ...audioFile,
+            camelot_key: audioFile.musical_key ? normalizeKey(audioFile.musical_key) : null,
+        };
+        const values = AUDIO_FILE_COLUMNS.map(column => row[column] ?? null);
+        const placeholders = values.map((value, index) => `$${index + 2}`);
+        const result = await this.db.query(`
+            INSERT INTO audio_files (user_id, ${AUDIO_FILE_COLUMNS.join(', ')})
+            VALUES ($1, ${placeholders.join(', ')})
+            RETURNING *
+        `, [userId, ...values]);
+        return result.rows[0];
+    }
+
+    async findById(id) {
+        const result = await this.db.query('SELECT * FROM audio_files WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Lists all tracks of the user with the given email, joined with their username.
+     */
+    async listByUserEmail(email) {
+        const result = await this.db.query(`
+            SELECT af.*, u.username
+            FROM audio_files af
+            JOIN users u ON af.user_id = u.id
+            WHERE u.email = $1
+            ORDER BY af.id
+        `, [email]);
+        return result.rows;
+    }
+
+    /**
+     * Lists all tracks of the given user, joined with their username.
+     */
+    async listByUserId(userId) {
+        const result = await this.db.query(`
+            SELECT af.*, u.username
+            FROM audio_files af
+            JOIN users u ON af.user_id = u.id
+            WHERE u.id = $1
+            ORDER BY af.id
+        `, [userId]);
+        return result.rows;
+    }
+
+    async countByUserId(userId) {
+        const result = await this.db.query(
+            'SELECT COUNT(*)::int AS count FROM audio_files WHERE user_id = $1',
+            [userId]
+        );
+        return result.rows[0].count;
+    }
+}
+
+module.exports = {
+    UserRepository,
+    AudioFileRepository,
+};
@@ -0,0 +1,119 @@
+/**
+ * Runtime Detection - which container runtime are the tests talking to?
+ *
+ * Classifies the `info` reported by Testcontainers' container runtime client
+ * as Testcontainers Cloud, Testcontainers Desktop (with Cloud or with its
+ * embedded runtime), plain local Docker, rootless Docker or Podman, and
+ * records the reason behind every decision so onboarding failures can be
+ * explained instead of just failed.
+ */
+
+const { getContainerRuntimeClient } = require('testcontainers/build/container-runtime');
+
+const CLOUD_DOCKER_LABEL = "cloud.docker.run.version";
+
+const RUNTIME_KINDS = {
+    CLOUD: 'cloud',
+    DESKTOP_CLOUD: 'desktop-cloud',
+    DESKTOP_EMBEDDED: 'desktop-embedded',
+    LOCAL_DOCKER: 'local-docker',
+    ROOTLESS_DOCKER: 'rootless-docker',
+    PODMAN: 'podman',
+};
+
+// Runtimes that complete the Testcontainers Cloud onboarding.
+const ONBOARDING_KINDS = [RUNTIME_KINDS.CLOUD, RUNTIME_KINDS.DESKTOP_CLOUD, RUNTIME_KINDS.DESKTOP_EMBEDDED];
+
+// Runtimes whose containers run on another machine, so bind mounts of
+// local paths do not reach them.
+const REMOTE_KINDS = [RUNTIME_KINDS.CLOUD, RUNTIME_KINDS.DESKTOP_CLOUD];
+
+const ROOTLESS_SOCKET = /\/run\/user\/\d+\/docker\.sock$/;
+
+/**
+ * Classifies a Testcontainers `Info` payload (`{ node, containerRuntime }`).
+ * `dockerHost` is the DOCKER_HOST the client was configured with, if any;
+ * it is only used to tell rootless Docker and Podman apart from Docker.
+ */
+function classifyRuntime(info, { dockerHost = process.env.DOCKER_HOST } = {}) {
+    const runtime = info.containerRuntime || {};
+    const serverVersion = String(runtime.serverVersion ?? '');
+    const labels = runtime.labels || [];
+    const securityOptions = runtime.securityOptions || [];
+    const reasons = [];
+
+    const cloudLabel = labels.find(label => label.includes(CLOUD_DOCKER_LABEL));
+    const isDesktop = serverVersion.includes('Testcontainers Desktop');
+    const isCloudVersion = serverVersion.includes('testcontainerscloud');
+
+    if (cloudLabel) {
+        reasons.push(`engine label "${cloudLabel}" identifies a Testcontainers Cloud engine`);
+    }
+    if (isCloudVersion) {
+        reasons.push(`server version "${serverVersion}" identifies a Testcontainers Cloud engine`);
+    }
+    if (isDesktop) {
+        reasons.push(`server version "${serverVersion}" is reported by Testcontainers Desktop`);
+    }
+
+    let kind;
+    if (isDesktop) {
+        kind = cloudLabel || isCloudVersion ? RUNTIME_KINDS.DESKTOP_CLOUD : RUNTIME_KINDS.DESKTOP_EMBEDDED;
+        if (kind === RUNTIME_KINDS.DESKTOP_EMBEDDED) {
+            reasons.push('no Testcontainers Cloud label or version, so Desktop runs its embedded runtime');
+        }
+    } else if (cloudLabel || isCloudVersion) {
+        kind = RUNTIME_KINDS.CLOUD;
+    } else if (/podman/i.test(dockerHost || '') || /podman/i.test(runtime.operatingSystem || '')) {
+        kind = RUNTIME_KINDS.PODMAN;
+        reasons.push(dockerHost && /podman/i.test(dockerHost)
+            ? `DOCKER_HOST "${dockerHost}" points at a Podman socket`
+            : `operating system "${runtime.operatingSystem}" is reported by Podman`);
+    } else if (securityOptions.includes('name=rootless') || ROOTLESS_SOCKET.test(dockerHost || '')) {
+        kind = RUNTIME_KINDS.ROOTLESS_DOCKER;
+        reasons.push(securityOptions.includes('name=rootless')
+            ? 'engine security options include "name=rootless"'
+            : `DOCKER_HOST "${dockerHost}" is a per-user rootless Docker socket`);
+    } else {
+        kind = RUNTIME_KINDS.LOCAL_DOCKER;
+        reasons.push(`server version "${serverVersion}" has no Testcontainers Cloud or Desktop marker ` +
+            `and no "${CLOUD_DOCKER_LABEL}" label`);
+    }
+
+    let name = REMOTE_KINDS.includes(kind)
+        ? "Testcontainers Cloud"
+        : runtime.operatingSystem;
+    if (isDesktop) {
+        name += " via Testcontainers Desktop";
+    }
+
+    return {
+        kind,
+        name,
+        supported: ONBOARDING_KINDS.includes(kind),
+        remote: REMOTE_KINDS.includes(kind),
+        serverVersion,
+        operatingSystem: runtime.operatingSystem,
+        operatingSystemType: runtime.operatingSystemType,
+        architecture: runtime.architecture,
+        host: runtime.host,
+        labels,
+        node: info.node,
+        reasons,
+    };
+}
+
+/**
+ * Connects to the configured container runtime and classifies it.
+ */
+async function detectRuntime(options = {}) {
+    const containerRuntime = await getContainerRuntimeClient();
+    return classifyRuntime(containerRuntime.info, options);
+}
+
+module.exports = {
+    CLOUD_DOCKER_LABEL,
+    RUNTIME_KINDS,
+    classifyRuntime,
+    detectRuntime,
+};
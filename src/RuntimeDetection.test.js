@@ -0,0 +1,112 @@
+const { RUNTIME_KINDS, classifyRuntime } = require('./RuntimeDetection');
+
+const info = (containerRuntime) => ({
+    node: { version: 'v20.11.0', architecture: 'arm64', platform: 'darwin' },
+    containerRuntime: {
+        host: 'localhost',
+        operatingSystem: 'Ubuntu 22.04.4 LTS',
+        operatingSystemType: 'linux',
+        architecture: 'x86_64',
+        labels: [],
+        ...containerRuntime,
+    },
+});
+
+describe('Runtime Detection', () => {
+    it('should detect Testcontainers Cloud by server version', () => {
+        const runtime = classifyRuntime(info({ serverVersion: '24.0.7-testcontainerscloud' }), { dockerHost: '' });
+
+        expect(runtime).toMatchObject({
+            kind: RUNTIME_KINDS.CLOUD,
+            name: 'Testcontainers Cloud',
+            supported: true,
+            remote: true,
+            serverVersion: '24.0.7-testcontainerscloud',
+            operatingSystem: 'Ubuntu 22.04.4 LTS',
+            architecture: 'x86_64',
+        });
+        expect(runtime.reasons).toEqual([
+            'server version "24.0.7-testcontainerscloud" identifies a Testcontainers Cloud engine',
+        ]);
+    });
+
+    it('should detect Testcontainers Cloud by engine label', () => {
+        const runtime = classifyRuntime(info({
+            serverVersion: '27.1.1',
+            labels: ['cloud.docker.run.version=1.12.0', 'cloud.docker.run.plugin.version=0.2.2'],
+        }), { dockerHost: '' });
+
+        expect(runtime.kind).toBe(RUNTIME_KINDS.CLOUD);
+        expect(runtime.labels).toHaveLength(2);
+        expect(runtime.reasons[0]).toContain('cloud.docker.run.version=1.12.0');
+    });
+
+    it('should detect Testcontainers Desktop connected to Cloud', () => {
+        const runtime = classifyRuntime(info({
+            serverVersion: '24.0.7 (via Testcontainers Desktop 1.7.0)',
+            labels: ['cloud.docker.run.version=1.12.0'],
+        }), { dockerHost: '' });
+
+        expect(runtime.kind).toBe(RUNTIME_KINDS.DESKTOP_CLOUD);
+        expect(runtime.name).toBe('Testcontainers Cloud via Testcontainers Desktop');
+        expect(runtime.supported).toBe(true);
+        expect(runtime.remote).toBe(true);
+        expect(runtime.reasons).toHaveLength(2);
+    });
+
+    it('should detect the Testcontainers Desktop embedded runtime', () => {
+        const runtime = classifyRuntime(info({
+            serverVersion: '25.0.3 (via Testcontainers Desktop 1.7.0)',
+            operatingSystem: 'Alpine Linux v3.19',
+        }), { dockerHost: '' });
+
+        expect(runtime.kind).toBe(RUNTIME_KINDS.DESKTOP_EMBEDDED);
+        expect(runtime.name).toBe('Alpine Linux v3.19 via Testcontainers Desktop');
+        expect(runtime.supported).toBe(true);
+        expect(runtime.remote).toBe(false);
+        expect(runtime.reasons[1]).toContain('embedded runtime');
+    });
+
+    it('should report plain local Docker as unsupported with a reason', () => {
+        const runtime = classifyRuntime(info({ serverVersion: '26.1.4', operatingSystem: 'Docker Desktop' }), {
+            dockerHost: '',
+        });
+
+        expect(runtime.kind).toBe(RUNTIME_KINDS.LOCAL_DOCKER);
+        expect(runtime.name).toBe('Docker Desktop');
+        expect(runtime.supported).toBe(false);
+        expect(runtime.remote).toBe(false);
+        expect(runtime.reasons[0]).toContain('no Testcontainers Cloud or Desktop marker');
+    });
+
+    it('should detect rootless Docker', () => {
+        const bySocket = classifyRuntime(info({ serverVersion: '26.1.4' }), {
+            dockerHost: 'unix:///run/user/1000/docker.sock',
+        });
+        const bySecurityOptions = classifyRuntime(info({
+            serverVersion: '26.1.4',
+            securityOptions: ['name=seccomp,profile=builtin', 'name=rootless'],
+        }), { dockerHost: '' });
+
+        expect(bySocket.kind).toBe(RUNTIME_KINDS.ROOTLESS_DOCKER);
+        expect(bySecurityOptions.kind).toBe(RUNTIME_KINDS.ROOTLESS_DOCKER);
+        expect(bySocket.supported).toBe(false);
+    });
+
+    it('should detect Podman', () => {
+        const runtime = classifyRuntime(info({ serverVersion: '4.9.3', operatingSystem: 'fedora' }), {
+            dockerHost: 'unix:///run/user/1000/podman/podman.sock',
+        });
+
+        expect(runtime.kind).toBe(RUNTIME_KINDS.PODMAN);
+        expect(runtime.reasons[0]).toContain('Podman socket');
+    });
+
+    it('should cope with numeric or missing server versions', () => {
+        const runtime = classifyRuntime({ containerRuntime: { serverVersion: 24 } }, { dockerHost: undefined });
+
+        expect(runtime.kind).toBe(RUNTIME_KINDS.LOCAL_DOCKER);
+        expect(runtime.serverVersion).toBe('24');
+        expect(runtime.labels).toEqual([]);
+    });
+});
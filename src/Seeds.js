@@ -0,0 +1,127 @@
+/**
+ * Seeds - named data scenarios shared by tests and local demos
+ *
+ * Scenarios live in `seeds/` as YAML or JSON files and describe users,
+ * their tracks and AI content. Fields left out are filled in by the
+ * factories, so a scenario only spells out what matters to it:
+ *
+ *   users:
+ *     - email: label@akustik.ch
+ *       tracks:
+ *         count: 50                     # or a list of explicit tracks
+ *         filename: "cat_{n}.wav"       # {n} is the 1-based track number
+ *         vary:                         # values cycle over the tracks
+ *           genre: [Techno, House]
+ *       content:
+ *         - track: 1                    # 1-based index into the user's tracks
+ *           contentType: dj_promo
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { createUser, createAudioFile, createAiContent } = require('./Factories');
+
+const SEEDS_DIR = path.join(__dirname, '..', 'seeds');
+const FILE_PATTERN = /^([\w-]+)\.(ya?ml|json)$/;
+
+class ScenarioError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScenarioError';
+    }
+}
+
+/**
+ * Lists the scenario names available in `directory`.
+ */
+function listScenarios(directory = SEEDS_DIR) {
+    return fs.readdirSync(directory)
+        .map(file => FILE_PATTERN.exec(file))
+        .filter(Boolean)
+        .map(match => match[1])
+        .sort();
+}
+
+/**
+ * Reads and validates scenario `name` from `directory`.
+ */
+function loadScenario(name, directory = SEEDS_DIR) {
+    const file = fs.readdirSync(directory).find(candidate => {
+        const match = FILE_PATTERN.exec(candidate);
+        return match && match[1] === name;
+    });
+    if (!file) {
+        throw new ScenarioError(`Unknown seed scenario "${name}". Available: ${listScenarios(directory).join(', ')}`);
+    }
+
+    const text = fs.readFileSync(path.join(directory, file), 'utf8');
+    const scenario = file.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+    if (!scenario || !Array.isArray(scenario.users)) {
+        throw new ScenarioError(`Seed scenario "${name}" must define a list of users`);
+    }
+    return { name, ...scenario };
+}
+
+/**
+ * Expands a user's `tracks` entry into a list of track overrides.
+ */
+function expandTracks(spec = []) {
+    if (Array.isArray(spec)) {
+        return spec;
+    }
+    const { count = 0, vary = {}, ...fields } = spec;
+    return Array.from({ length: count }, (unused, index) => {
+        const n = index + 1;
+        const track = {};
+        Object.entries(fields).forEach(([field, value]) => {
+            track[field] = typeof value === 'string' ? value.replace(/\{n\}/g, n) : value;
+        });
+        Object.entries(vary).forEach(([field, values]) => {
+            track[field] = values[index % values.length];
+        });
+        return track;
+    });
+}
+
+/**
+ * Inserts scenario `name` (or an already loaded scenario object) into `db`
+ * and returns what was created: `{ users: [{ user, tracks, content }] }`.
+ * Run it inside a transaction to get all or nothing.
+ */
+async function seedScenario(db, scenario, { directory = SEEDS_DIR } = {}) {
+    const definition = typeof scenario === 'string' ? loadScenario(scenario, directory) : scenario;
+    const seeded = [];
+
+    for (const { tracks: trackSpec, content = [], ...userFields } of definition.users) {
+        const user = await createUser(db, userFields);
+        const tracks = [];
+        for (const track of expandTracks(trackSpec)) {
+            tracks.push(await createAudioFile(db, user, track));
+        }
+
+        const generations = [];
+        for (const { track, ...fields } of content) {
+            if (track !== undefined && !tracks[track - 1]) {
+                throw new ScenarioError(`Content refers to track ${track}, but ${user.email} has ${tracks.length} track(s)`);
+            }
+            generations.push(await createAiContent(db, {
+                ...fields,
+                userId: user.id,
+                audioFileId: track === undefined ? null : tracks[track - 1].id,
+            }));
+        }
+        seeded.push({ user, tracks, content: generations });
+    }
+
+    return { name: definition.name, users: seeded };
+}
+
+module.exports = {
+    SEEDS_DIR,
+    ScenarioError,
+    listScenarios,
+    loadScenario,
+    expandTracks,
+    seedScenario,
+};
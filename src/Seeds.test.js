@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('pg');
+const { createTestDatabase } = require('./TestDatabase');
+const { resetSequences } = require('./Factories');
+const { ScenarioError, listScenarios, loadScenario, expandTracks, seedScenario } = require('./Seeds');
+
+describe('Seeds', () => {
+    it('should list the bundled scenarios', () => {
+        expect(listScenarios()).toEqual(expect.arrayContaining(['dj-promo-demo', 'label-with-50-tracks']));
+    });
+
+    it('should load YAML and JSON scenarios', () => {
+        expect(loadScenario('label-with-50-tracks').users[0].tracks.count).toBe(50);
+        expect(loadScenario('dj-promo-demo').users[0].email).toBe('dj@akustik.ch');
+        expect(() => loadScenario('missing')).toThrow(ScenarioError);
+    });
+
+    it('should reject scenarios without users', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'seeds-'));
+        try {
+            fs.writeFileSync(path.join(directory, 'empty.yml'), 'description: nothing here\n');
+
+            expect(() => loadScenario('empty', directory)).toThrow('must define a list of users');
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('should expand track counts, numbered fields and cycling values', () => {
+        const tracks = expandTracks({ count: 3, filename: 'cat_{n}.wav', vary: { genre: ['Techno', 'House'] } });
+
+        expect(tracks).toEqual([
+            { filename: 'cat_1.wav', genre: 'Techno' },
+            { filename: 'cat_2.wav', genre: 'House' },
+            { filename: 'cat_3.wav', genre: 'Techno' },
+        ]);
+        expect(expandTracks([{ filename: 'a.wav' }])).toEqual([{ filename: 'a.wav' }]);
+        expect(expandTracks(undefined)).toEqual([]);
+    });
+
+    describe('seeding', () => {
+        let database;
+        let client;
+
+        beforeAll(async () => {
+            database = await createTestDatabase();
+            client = new Client({ connectionString: database.url });
+            await client.connect();
+        });
+
+        afterAll(async () => {
+            if (client) {
+                await client.end();
+            }
+            if (database) {
+                await database.drop();
+            }
+        });
+
+        beforeEach(async () => {
+            resetSequences();
+            await client.query('TRUNCATE ai_generated_content, audio_files, users RESTART IDENTITY CASCADE');
+        });
+
+        it('should seed a label with 50 tracks across genres', async () => {
+            const seeded = await seedScenario(client, 'label-with-50-tracks');
+
+            const [{ user, tracks, content }] = seeded.users;
+            expect(user.email).toBe('label@akustik.ch');
+            expect(tracks).toHaveLength(50);
+            expect(tracks[49].filename).toBe('akustik_cat_50.wav');
+            expect(content).toHaveLength(1);
+
+            const genres = await client.query(
+                'SELECT genre, COUNT(*)::int AS count FROM audio_files GROUP BY genre ORDER BY genre'
+            );
+            expect(genres.rows).toHaveLength(5);
+            genres.rows.forEach(row => expect(row.count).toBe(10));
+        });
+
+        it('should seed the DJ promo demo with its content', async () => {
+            const seeded = await seedScenario(client, 'dj-promo-demo');
+
+            const [{ tracks, content }] = seeded.users;
+            expect(tracks.map(track => track.filename)).toEqual(['track1.wav', 'track2.wav', 'track3.wav']);
+            expect(content.map(row => [row.content_type, row.audio_file_id, row.version])).toEqual([
+                ['dj_promo', tracks[0].id, 1],
+                ['social_uplink', tracks[0].id, 1],
+            ]);
+            expect(content[0].output_data.clubHype).toContain('Zurich');
+        });
+
+        it('should reject content for tracks that do not exist', async () => {
+            await expect(seedScenario(client, {
+                users: [{ email: 'x@akustik.ch', username: 'x', tracks: [], content: [{ track: 2 }] }],
+            })).rejects.toThrow('refers to track 2');
+        });
+    });
+});
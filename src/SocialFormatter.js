@@ -0,0 +1,254 @@
+/**
+ * Social Formatter - platform rules for generated social posts
+ *
+ * generateSocialUplink() returns whatever the model wrote. This module
+ * enforces each platform's rules on it: banned words, emoji policy, hashtag
+ * normalization ("techno" -> "#techno"), dedupe, the #AkustikProdukt brand
+ * tag, hashtag count and caption length. Everything it can fix is fixed and
+ * reported as a violation, so the social team sees what was changed; the
+ * fixed posts are also rendered as ready-to-publish payloads.
+ */
+
+const BRAND_TAG = '#AkustikProdukt';
+
+const DEFAULT_BANNED_WORDS = ['guaranteed', 'free download', 'click here', 'follow for follow'];
+
+// Per-platform limits. Captions are measured including the hashtags, since
+// that is how they are published.
+const PLATFORM_RULES = {
+    facebook: {
+        captionField: 'caption',
+        tagsField: 'hashtags',
+        maxCaptionLength: 63206,
+        maxHashtags: 3,
+        maxEmojis: 2,
+    },
+    instagram: {
+        captionField: 'caption',
+        tagsField: 'hashtags',
+        maxCaptionLength: 2200,
+        maxHashtags: 30,
+        maxEmojis: 10,
+    },
+    tiktok: {
+        captionField: 'hook',
+        tagsField: 'tags',
+        maxCaptionLength: 2200,
+        maxHashtags: 5,
+        maxEmojis: 5,
+    },
+};
+
+const RULES = {
+    MISSING_CAPTION: 'missingCaption',
+    BANNED_WORD: 'bannedWord',
+    EMOJI: 'emoji',
+    HASHTAG_FORMAT: 'hashtagFormat',
+    DUPLICATE_HASHTAG: 'duplicateHashtag',
+    BRAND_TAG: 'brandTag',
+    HASHTAG_COUNT: 'hashtagCount',
+    CAPTION_LENGTH: 'captionLength',
+};
+
+// One emoji including modifiers and ZWJ sequences, e.g. a flag or 👩‍🎤.
+const EMOJI_PATTERN = /\p{Regional_Indicator}{2}|\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic})*/gu;
+const HASHTAG_CHARS = /[^\p{L}\p{N}_]/gu;
+const ELLIPSIS = '…';
+
+// Shorter than this a truncated caption says nothing; hashtags go first.
+const MIN_CAPTION_LENGTH = 20;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const wordPattern = (word) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'giu');
+
+// Hashtags run words together ("#free_download", "#FreeDownload"), so they
+// are compared without case, spaces and underscores.
+const compact = (text) => text.toLowerCase().replace(/[\s_]+/g, '');
+
+const tidy = (text) => text.replace(/[ \t]{2,}/g, ' ').replace(/ +([,.!?])/g, '$1').trim();
+
+/**
+ * Returns `tag` as "#word" with everything but letters, digits and
+ * underscores removed, or null when nothing is left.
+ */
+function normalizeHashtag(tag) {
+    if (typeof tag !== 'string') return null;
+    const word = tag.trim().replace(/^#+/, '').replace(HASHTAG_CHARS, '');
+    return word ? `#${word}` : null;
+}
+
+const countEmojis = (text) => (text.match(EMOJI_PATTERN) || []).length;
+
+/**
+ * Shortens `text` to `maxLength` characters at a word boundary, with an ellipsis.
+ */
+function truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    if (maxLength <= ELLIPSIS.length) return ELLIPSIS.slice(0, Math.max(0, maxLength));
+    const cut = text.slice(0, maxLength - ELLIPSIS.length);
+    const boundary = cut.lastIndexOf(' ');
+    return `${(boundary > 0 ? cut.slice(0, boundary) : cut).replace(/[\s,.;:!?-]+$/, '')}${ELLIPSIS}`;
+}
+
+const publishedText = (caption, hashtags) => (hashtags.length ? `${caption}\n\n${hashtags.join(' ')}` : caption);
+
+function fixHashtags(tags, { brandTag, maxHashtags, bannedWords }, report) {
+    const seen = new Map();
+    (Array.isArray(tags) ? tags : []).forEach(original => {
+        const tag = normalizeHashtag(original);
+        if (tag !== original) {
+            report(RULES.HASHTAG_FORMAT, tag
+                ? `Hashtag "${original}" was normalized to "${tag}"`
+                : `Hashtag ${JSON.stringify(original)} was dropped: nothing usable left`);
+        }
+        if (!tag) return;
+        const banned = bannedWords.find(word => compact(tag.slice(1)).includes(compact(word)));
+        if (banned) {
+            report(RULES.BANNED_WORD, `Hashtag "${tag}" was dropped: contains banned word "${banned}"`);
+            return;
+        }
+        const key = tag.toLowerCase();
+        if (seen.has(key)) {
+            report(RULES.DUPLICATE_HASHTAG, `Duplicate hashtag "${tag}" was dropped`);
+            return;
+        }
+        seen.set(key, tag);
+    });
+
+    let hashtags = [...seen.values()];
+    if (brandTag && !seen.has(brandTag.toLowerCase())) {
+        report(RULES.BRAND_TAG, `Brand tag ${brandTag} was added`);
+        hashtags = [brandTag, ...hashtags];
+    } else if (brandTag) {
+        if (seen.get(brandTag.toLowerCase()) !== brandTag) {
+            report(RULES.BRAND_TAG, `Brand tag "${seen.get(brandTag.toLowerCase())}" was replaced by ${brandTag}`);
+        }
+        // Keep the brand tag when the list is cut down to maxHashtags.
+        hashtags = [brandTag, ...hashtags.filter(tag => tag.toLowerCase() !== brandTag.toLowerCase())];
+    }
+    if (hashtags.length > maxHashtags) {
+        report(RULES.HASHTAG_COUNT, `${hashtags.length} hashtags exceed the limit of ${maxHashtags}; ` +
+            `dropped ${hashtags.slice(maxHashtags).join(' ')}`);
+        hashtags = hashtags.slice(0, maxHashtags);
+    }
+    return hashtags;
+}
+
+function fixCaption(caption, { maxEmojis, bannedWords }, report) {
+    let text = caption;
+    bannedWords.forEach(word => {
+        const pattern = wordPattern(word);
+        if (pattern.test(text)) {
+            report(RULES.BANNED_WORD, `Banned word "${word}" was removed from the caption`);
+            text = text.replace(wordPattern(word), '');
+        }
+    });
+
+    const emojis = countEmojis(text);
+    if (emojis > maxEmojis) {
+        report(RULES.EMOJI, `${emojis} emojis exceed the limit of ${maxEmojis}; the last ${emojis - maxEmojis} were removed`);
+        let kept = 0;
+        text = text.replace(EMOJI_PATTERN, emoji => (kept++ < maxEmojis ? emoji : ''));
+    }
+    return tidy(text);
+}
+
+/**
+ * Applies the rules of `platform` to one post (`{ caption, hashtags }`, or
+ * `{ hook, tags, audioSuggestion }` for TikTok). Returns the fixed `post`
+ * in the same shape, its publish `payload` and the `violations` found.
+ * Options override the platform rules, plus `bannedWords` and `brandTag`.
+ */
+function formatPost(platform, post, options = {}) {
+    if (!PLATFORM_RULES[platform]) {
+        throw new Error(`Unknown platform: ${platform}`);
+    }
+    const rules = {
+        ...PLATFORM_RULES[platform],
+        brandTag: BRAND_TAG,
+        bannedWords: DEFAULT_BANNED_WORDS,
+        ...options,
+    };
+    const violations = [];
+    const report = (rule, message, fixed = true) => violations.push({ platform, rule, message, fixed });
+
+    const original = post || {};
+    let caption = typeof original[rules.captionField] === 'string' ? original[rules.captionField] : '';
+    if (!caption.trim()) {
+        report(RULES.MISSING_CAPTION, `The ${rules.captionField} is empty`, false);
+    }
+
+    caption = fixCaption(caption, rules, report);
+    let hashtags = fixHashtags(original[rules.tagsField], rules, report);
+
+    const published = publishedText(caption, hashtags);
+    if (published.length > rules.maxCaptionLength) {
+        const roomFor = (tags) => rules.maxCaptionLength - (publishedText(caption, tags).length - caption.length);
+        const dropped = [];
+        // Drop hashtags from the end rather than cut the caption to nothing.
+        while (hashtags.length && roomFor(hashtags) < Math.min(caption.length, MIN_CAPTION_LENGTH)) {
+            dropped.unshift(hashtags[hashtags.length - 1]);
+            hashtags = hashtags.slice(0, -1);
+        }
+        const room = roomFor(hashtags);
+        const changes = [
+            dropped.length && `dropped ${dropped.join(' ')}`,
+            caption.length > room && 'the caption was shortened',
+        ].filter(Boolean);
+        report(RULES.CAPTION_LENGTH, `${published.length} characters exceed the limit of ${rules.maxCaptionLength}; ` +
+            changes.join(' and '));
+        caption = truncate(caption, room);
+    }
+
+    const fixed = { ...original, [rules.captionField]: caption, [rules.tagsField]: hashtags };
+    return { post: fixed, payload: PAYLOADS[platform](fixed), violations };
+}
+
+// Fields as the platforms' publishing APIs expect them.
+const PAYLOADS = {
+    facebook: (post) => ({ message: publishedText(post.caption, post.hashtags) }),
+    instagram: (post) => ({ caption: publishedText(post.caption, post.hashtags) }),
+    tiktok: (post) => ({
+        post_info: { title: publishedText(post.hook, post.tags) },
+        audioSuggestion: post.audioSuggestion ?? null,
+    }),
+};
+
+/**
+ * Formats every platform of a generateSocialUplink() result and returns
+ * `{ ok, posts, payloads, violations }`. `ok` is false only for violations
+ * that could not be fixed. Options apply to all platforms; rules for a
+ * single one go under its name, e.g. `{ instagram: { maxHashtags: 10 } }`.
+ */
+function formatSocialUplink(uplink, options = {}) {
+    const posts = {};
+    const payloads = {};
+    const violations = [];
+
+    const platforms = Object.keys(PLATFORM_RULES);
+    const shared = Object.fromEntries(Object.entries(options).filter(([key]) => !platforms.includes(key)));
+
+    platforms
+        .filter(platform => uplink && uplink[platform])
+        .forEach(platform => {
+            const result = formatPost(platform, uplink[platform], { ...shared, ...(options[platform] || {}) });
+            posts[platform] = result.post;
+            payloads[platform] = result.payload;
+            violations.push(...result.violations);
+        });
+
+    return { ok: violations.every(violation => violation.fixed), posts, payloads, violations };
+}
+
+module.exports = {
+    BRAND_TAG,
+    DEFAULT_BANNED_WORDS,
+    PLATFORM_RULES,
+    RULES,
+    normalizeHashtag,
+    countEmojis,
+    truncate,
+    formatPost,
+    formatSocialUplink,
+};
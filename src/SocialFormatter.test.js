@@ -0,0 +1,206 @@
+const {
+    BRAND_TAG,
+    RULES,
+    normalizeHashtag,
+    countEmojis,
+    truncate,
+    formatPost,
+    formatSocialUplink,
+} = require('./SocialFormatter');
+
+// As generateSocialUplink() returns it in the Gemini Service tests.
+const socialUplink = {
+    facebook: {
+        caption: "🎵 New release from Neural Wave - Cyber Dreams is out now!",
+        hashtags: ["#techno", "#music", "#release"],
+    },
+    instagram: {
+        caption: "Dark vibes only 🖤 Cyber Dreams drops tonight ⚡",
+        hashtags: ["#AkustikProdukt", "#ZurichTechno", "#technomusic"],
+    },
+    tiktok: {
+        hook: "When the bass hits different 🔥",
+        tags: ["techno", "zurich", "music"],
+        audioSuggestion: "Cyber Dreams - Neural Wave (Original Mix)",
+    },
+};
+
+const rulesOf = (violations) => violations.map(violation => violation.rule);
+
+describe('Social Formatter', () => {
+    describe('normalizeHashtag', () => {
+        it.each([
+            ['#techno', '#techno'],
+            ['techno', '#techno'],
+            ['  ##techno ', '#techno'],
+            ['Zurich Techno', '#ZurichTechno'],
+            ['#drum&bass', '#drumbass'],
+            ['#Zürich', '#Zürich'],
+            ['#', null],
+            ['', null],
+            [42, null],
+        ])('should normalize %p to %p', (tag, expected) => {
+            expect(normalizeHashtag(tag)).toBe(expected);
+        });
+    });
+
+    it('should count emoji sequences as one emoji', () => {
+        expect(countEmojis('🎵 out now 👩‍🎤 🇨🇭 ❤️')).toBe(4);
+        expect(countEmojis('no emojis here')).toBe(0);
+    });
+
+    it('should truncate at a word boundary with an ellipsis', () => {
+        expect(truncate('Dark techno masterpiece with rolling basslines', 25)).toBe('Dark techno masterpiece…');
+        expect(truncate('short', 25)).toBe('short');
+    });
+
+    it('should normalize, dedupe and brand the TikTok tags', () => {
+        const { post, payload, violations } = formatPost('tiktok', socialUplink.tiktok);
+
+        expect(post.tags).toEqual([BRAND_TAG, '#techno', '#zurich', '#music']);
+        expect(post.audioSuggestion).toBe(socialUplink.tiktok.audioSuggestion);
+        expect(rulesOf(violations)).toEqual([
+            RULES.HASHTAG_FORMAT, RULES.HASHTAG_FORMAT, RULES.HASHTAG_FORMAT, RULES.BRAND_TAG,
+        ]);
+        expect(payload.post_info.title).toBe(
+            'When the bass hits different 🔥\n\n#AkustikProdukt #techno #zurich #music');
+    });
+
+    it('should drop duplicate hashtags regardless of case and prefix', () => {
+        const { post, violations } = formatPost('instagram', {
+            caption: 'Out now',
+            hashtags: ['#Techno', 'techno', '#TECHNO', '#akustikprodukt'],
+        });
+
+        expect(post.hashtags).toEqual([BRAND_TAG, '#Techno']);
+        expect(rulesOf(violations)).toEqual([
+            RULES.HASHTAG_FORMAT, RULES.DUPLICATE_HASHTAG, RULES.DUPLICATE_HASHTAG, RULES.BRAND_TAG,
+        ]);
+        expect(violations[3].message).toBe('Brand tag "#akustikprodukt" was replaced by #AkustikProdukt');
+    });
+
+    it('should keep the brand tag when cutting down to the hashtag limit', () => {
+        const { post, violations } = formatPost('facebook', {
+            caption: 'Out now',
+            hashtags: ['#techno', '#house', '#zurich', '#AkustikProdukt'],
+        });
+
+        expect(post.hashtags).toEqual(['#AkustikProdukt', '#techno', '#house']);
+        expect(violations).toEqual([expect.objectContaining({
+            rule: RULES.HASHTAG_COUNT,
+            message: '4 hashtags exceed the limit of 3; dropped #zurich',
+        })]);
+    });
+
+    it('should remove banned words from captions and hashtags', () => {
+        const { post, violations } = formatPost('instagram', {
+            caption: 'Guaranteed floor filler, out now. Click here',
+            hashtags: ['#FreeDownload', '#techno'],
+        });
+
+        expect(post.caption).toBe('floor filler, out now.');
+        expect(post.hashtags).toEqual([BRAND_TAG, '#techno']);
+        expect(violations.filter(violation => violation.rule === RULES.BANNED_WORD)).toHaveLength(3);
+    });
+
+    it('should catch banned words in hashtags however they are joined', () => {
+        const { post, violations } = formatPost('instagram', {
+            caption: 'Out now',
+            hashtags: ['#free_download', '#freedownload', '#FREE_DOWNLOAD_NOW', '#ClickHere', '#techno'],
+        });
+
+        expect(post.hashtags).toEqual([BRAND_TAG, '#techno']);
+        expect(rulesOf(violations)).toEqual([
+            RULES.BANNED_WORD, RULES.BANNED_WORD, RULES.BANNED_WORD, RULES.BANNED_WORD, RULES.BRAND_TAG,
+        ]);
+    });
+
+    it('should accept a custom banned word list', () => {
+        const { post } = formatPost('instagram', { caption: 'The hottest banger', hashtags: [] }, {
+            bannedWords: ['hottest'],
+        });
+
+        expect(post.caption).toBe('The banger');
+    });
+
+    it('should keep only the allowed number of emojis', () => {
+        const { post, violations } = formatPost('facebook', {
+            caption: '🎵 New release 🔥 out now 🎧 🖤',
+            hashtags: ['#AkustikProdukt'],
+        });
+
+        expect(post.caption).toBe('🎵 New release 🔥 out now');
+        expect(violations).toEqual([expect.objectContaining({ rule: RULES.EMOJI, fixed: true })]);
+    });
+
+    it('should shorten captions so the published text fits the limit', () => {
+        const caption = `${'Rolling basslines and industrial percussion. '.repeat(60)}Out now.`;
+        const { post, payload, violations } = formatPost('instagram', { caption, hashtags: ['#techno'] });
+
+        expect(payload.caption.length).toBeLessThanOrEqual(2200);
+        expect(post.caption.endsWith('…')).toBe(true);
+        expect(payload.caption.endsWith('\n\n#AkustikProdukt #techno')).toBe(true);
+        expect(rulesOf(violations)).toEqual([RULES.BRAND_TAG, RULES.CAPTION_LENGTH]);
+    });
+
+    it('should drop hashtags before cutting the caption to nothing', () => {
+        const hashtags = ['#techno', '#technomusic', '#undergroundtechno', '#zurichtechno', '#warehouse'];
+        const result = formatSocialUplink({
+            instagram: { caption: 'Cyber Dreams is out now on all platforms', hashtags },
+        }, { maxCaptionLength: 60 });
+        const { instagram } = result.posts;
+
+        expect(result.payloads.instagram.caption.length).toBeLessThanOrEqual(60);
+        expect(instagram.caption).toBe('Cyber Dreams is out…');
+        expect(instagram.hashtags).toEqual([BRAND_TAG, '#techno', '#technomusic']);
+        expect(result.violations[1].message).toBe('122 characters exceed the limit of 60; ' +
+            'dropped #undergroundtechno #zurichtechno #warehouse and the caption was shortened');
+        expect(result.ok).toBe(true);
+    });
+
+    it('should keep short captions whole when dropping hashtags makes room', () => {
+        const { post, payload, violations } = formatPost('tiktok', {
+            hook: 'Out now',
+            tags: ['techno', 'undergroundtechno'],
+        }, { maxCaptionLength: 32 });
+
+        expect(post.hook).toBe('Out now');
+        expect(payload.post_info.title).toBe('Out now\n\n#AkustikProdukt #techno');
+        expect(violations[violations.length - 1].message).toBe(
+            '51 characters exceed the limit of 32; dropped #undergroundtechno');
+    });
+
+    it('should report an empty caption as a violation it cannot fix', () => {
+        const result = formatSocialUplink({ facebook: { caption: '  ', hashtags: ['#techno'] } });
+
+        expect(result.ok).toBe(false);
+        expect(result.violations).toContainEqual(expect.objectContaining({
+            platform: 'facebook', rule: RULES.MISSING_CAPTION, fixed: false,
+        }));
+    });
+
+    it('should format every platform of a generated uplink', () => {
+        const result = formatSocialUplink(socialUplink);
+
+        expect(result.ok).toBe(true);
+        expect(Object.keys(result.payloads)).toEqual(['facebook', 'instagram', 'tiktok']);
+        expect(result.payloads.facebook.message).toBe(
+            '🎵 New release from Neural Wave - Cyber Dreams is out now!\n\n#AkustikProdukt #techno #music');
+        expect(result.payloads.instagram.caption).toBe(
+            'Dark vibes only 🖤 Cyber Dreams drops tonight ⚡\n\n#AkustikProdukt #ZurichTechno #technomusic');
+        expect(result.violations.every(violation => violation.fixed)).toBe(true);
+        expect(new Set(result.violations.map(violation => violation.platform))).toEqual(new Set(['facebook', 'tiktok']));
+    });
+
+    it('should apply per-platform overrides', () => {
+        const result = formatSocialUplink(socialUplink, { brandTag: null, tiktok: { maxHashtags: 2 } });
+
+        expect(result.posts.tiktok.tags).toEqual(['#techno', '#zurich']);
+        expect(result.posts.facebook.hashtags).toEqual(['#techno', '#music', '#release']);
+        expect(rulesOf(result.violations)).not.toContain(RULES.BRAND_TAG);
+    });
+
+    it('should reject unknown platforms', () => {
+        expect(() => formatPost('myspace', {})).toThrow('Unknown platform: myspace');
+    });
+});
@@ -0,0 +1,236 @@
+/**
+ * Test Database - one PostgreSQL container per Jest run, one database per test file
+ *
+ * A single PostgreSQL container (or the server in TEST_POSTGRES_URL) with a
+ * template database holding all migrations is shared by the whole run. It
+ * is started lazily: Jest's globalSetup only serves its connection details
+ * on a local port, and the first test file that asks for a database starts
+ * it, so runs of database-free suites start no container. Each test file
+ * then clones its own database from that template with `CREATE DATABASE
+ * ... TEMPLATE`, which takes milliseconds, so suites run in parallel without
+ * sharing tables and without paying a container start each.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { Client } = require('pg');
+const { PostgreSqlContainer } = require('@testcontainers/postgresql');
+const { migrateUp } = require('./Migrator');
+
+// Pinned so every run tests against the same major version.
+const IMAGE = 'postgres:14-alpine';
+const TEMPLATE_DATABASE = 'akustik_template';
+
+// Variables shared between globalSetup and the Jest workers.
+const ENV = {
+    URL: 'TEST_POSTGRES_URL',
+    TEMPLATE: 'TEST_POSTGRES_TEMPLATE',
+    STARTUP_MS: 'TEST_POSTGRES_STARTUP_MS',
+    SETUP_URL: 'TEST_POSTGRES_SETUP_URL',
+};
+
+// "source database is being accessed by other users": another session is
+// still connected to the template. Clones are retried briefly.
+const OBJECT_IN_USE = '55006';
+const CLONE_ATTEMPTS = 10;
+const CLONE_RETRY_DELAY_MS = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const quoteIdentifier = (name) => `"${name.replace(/"/g, '""')}"`;
+
+/**
+ * Returns `url` pointing at database `name` on the same server.
+ */
+function databaseUrl(url, name) {
+    const parsed = new URL(url);
+    parsed.pathname = `/${name}`;
+    return parsed.toString();
+}
+
+/**
+ * Drops database `name` after disconnecting anyone still connected to it.
+ * This is what `DROP DATABASE ... WITH (FORCE)` does, which needs PostgreSQL
+ * 13, so servers given in TEST_POSTGRES_URL may be older.
+ */
+async function dropDatabase(admin, name) {
+    await admin.query(
+        'SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE datname = $1 AND pid <> pg_backend_pid()',
+        [name]
+    );
+    await admin.query(`DROP DATABASE IF EXISTS ${quoteIdentifier(name)}`);
+}
+
+async function withClient(url, fn) {
+    const client = new Client({ connectionString: url });
+    await client.connect();
+    try {
+        return await fn(client);
+    } finally {
+        await client.end();
+    }
+}
+
+/**
+ * (Re)creates the template database on the server at `url` and applies all
+ * migrations to it. Its connection is closed afterwards, since PostgreSQL
+ * only clones databases nobody is connected to.
+ */
+async function createTemplateDatabase(url, template = TEMPLATE_DATABASE) {
+    await withClient(url, async (admin) => {
+        await dropDatabase(admin, template);
+        await admin.query(`CREATE DATABASE ${quoteIdentifier(template)}`);
+    });
+    await withClient(databaseUrl(url, template), client => migrateUp(client));
+}
+
+/**
+ * Starts the shared container (unless TEST_POSTGRES_URL is set), prepares
+ * the template and sets TEST_POSTGRES_URL / TEST_POSTGRES_TEMPLATE in `env`.
+ * Returns the started container (null when TEST_POSTGRES_URL was given).
+ */
+async function startSharedPostgres({ env = process.env, image = IMAGE } = {}) {
+    let container = null;
+    let url = env[ENV.URL];
+    const startedAt = Date.now();
+
+    if (!url) {
+        container = await new PostgreSqlContainer(image).start();
+        url = container.getConnectionUri();
+        env[ENV.STARTUP_MS] = String(Date.now() - startedAt);
+    }
+    await createTemplateDatabase(url);
+
+    env[ENV.URL] = url;
+    env[ENV.TEMPLATE] = TEMPLATE_DATABASE;
+    return container;
+}
+
+/**
+ * Drops the template and stops the container.
+ */
+async function stopSharedPostgres(container, { env = process.env } = {}) {
+    if (env[ENV.URL] && env[ENV.TEMPLATE]) {
+        await withClient(env[ENV.URL], admin => dropDatabase(admin, env[ENV.TEMPLATE])).catch(() => {});
+    }
+    if (container) {
+        await container.stop();
+    }
+}
+
+/**
+ * Jest globalSetup: answers requests on a local port with the shared
+ * server's connection details, starting it on the first request, and
+ * exports that port's URL to the workers as TEST_POSTGRES_SETUP_URL. A
+ * failed start is answered with its error to every later request too.
+ * Returns `{ close() }` for globalTeardown.
+ */
+async function serveSharedPostgres({ env = process.env, start = startSharedPostgres } = {}) {
+    const details = { [ENV.URL]: env[ENV.URL] };
+    let starting = null;
+
+    const server = http.createServer((req, res) => {
+        starting = starting || start({ env: details });
+        starting.then(
+            () => ({ status: 200, body: details }),
+            error => ({ status: 500, body: { error: error.message } })
+        ).then(({ status, body }) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    env[ENV.SETUP_URL] = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        async close() {
+            await new Promise(resolve => server.close(resolve));
+            if (starting) {
+                await stopSharedPostgres(await starting.catch(() => null), { env: details });
+            }
+        },
+    };
+}
+
+const getJson = (url) => new Promise((resolve, reject) => {
+    http.get(url, { agent: false }, res => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }).on('error', reject);
+});
+
+/**
+ * Returns `{ url, template, startupMs }` of the shared server, asking
+ * globalSetup to start it if this worker has not done so yet. `startupMs` is
+ * the container start time, or null when no container was started.
+ */
+async function connectSharedPostgres({ env = process.env } = {}) {
+    if (!(env[ENV.URL] && env[ENV.TEMPLATE]) && env[ENV.SETUP_URL]) {
+        const answer = await getJson(env[ENV.SETUP_URL]);
+        if (answer.error) {
+            throw new Error(`The shared PostgreSQL container could not be started: ${answer.error}`);
+        }
+        Object.assign(env, answer);
+    }
+    if (!env[ENV.URL]) {
+        throw new Error(`${ENV.URL} is not set; run the tests through Jest so globalSetup can start PostgreSQL ` +
+            '(see jest.config.js), or set it to a PostgreSQL server the tests may create databases on');
+    }
+    return {
+        url: env[ENV.URL],
+        template: env[ENV.TEMPLATE],
+        startupMs: env[ENV.STARTUP_MS] ? Number(env[ENV.STARTUP_MS]) : null,
+    };
+}
+
+/**
+ * Creates a database for the calling test file on the shared server and
+ * returns `{ name, url, drop() }`. It is cloned from the migrated template,
+ * or created empty with `{ migrated: false }` for tests that manage the
+ * schema themselves.
+ */
+async function createTestDatabase({ migrated = true, env = process.env } = {}) {
+    const shared = await connectSharedPostgres({ env });
+    const serverUrl = shared.url;
+    const template = migrated ? shared.template : 'template0';
+    const name = `test_${env.JEST_WORKER_ID || 0}_${crypto.randomBytes(4).toString('hex')}`;
+
+    await withClient(serverUrl, async (admin) => {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await admin.query(`CREATE DATABASE ${quoteIdentifier(name)} TEMPLATE ${quoteIdentifier(template)}`);
+                return;
+            } catch (error) {
+                if (error.code !== OBJECT_IN_USE || attempt >= CLONE_ATTEMPTS) {
+                    throw error;
+                }
+                await sleep(CLONE_RETRY_DELAY_MS);
+            }
+        }
+    });
+
+    return {
+        name,
+        url: databaseUrl(serverUrl, name),
+        drop: () => withClient(serverUrl, admin => dropDatabase(admin, name)),
+    };
+}
+
+module.exports = {
+    ENV,
+    TEMPLATE_DATABASE,
+    databaseUrl,
+    createTemplateDatabase,
+    startSharedPostgres,
+    stopSharedPostgres,
+    serveSharedPostgres,
+    connectSharedPostgres,
+    createTestDatabase,
+};
@@ -1,7 +1,9 @@
 const { Client } = require('pg');
-const { PostgreSqlContainer} = require('@testcontainers/postgresql');
-const { getContainerRuntimeClient } = require('testcontainers/build/container-runtime');
 const {fail} = require("assert");
+const { detectRuntime } = require('./RuntimeDetection');
+const { OnboardingReport, usePlainBanner } = require('./OnboardingReport');
+const { selectProbes, runProbe } = require('./VerificationMatrix');
+const { connectSharedPostgres, createTestDatabase } = require('./TestDatabase');
 
 const logo = "\n" +
     "████████╗███████╗███████╗████████╗ ██████╗ ██████╗ ███╗   ██╗████████╗ █████╗ ██╗███╗   ██╗███████╗██████╗ ███████╗ \n" +
@@ -28,34 +30,37 @@ const ohNo = "" +
     " ╚═════╝ ╚═╝  ╚═╝    ╚═╝  ╚═══╝ ╚═════╝               ╚═╝\n" +
     "                                                         ";
 
-const CLOUD_DOCKER_LABEL = "cloud.docker.run.version";
+// TCC_BANNER=plain keeps CI and other non-TTY logs free of box-drawing art.
+const plainLogo = "Congratulations on running your first test! Runtime used: ::::::. " +
+    "You can now return to the website to complete your onboarding.";
+const plainOhNo = "OH NO :-(";
 
 describe('GenericContainer', () => {
-    it('tcc cloud engine', async () => {
-        const containerRuntime = await getContainerRuntimeClient();
-        const info = containerRuntime.info;
-        const { serverVersion, operatingSystem, labels } = info.containerRuntime;
+    const report = new OnboardingReport();
+    const plain = usePlainBanner();
 
-        const isWithCloudLabel = labels && labels.find(label => label.includes(CLOUD_DOCKER_LABEL));
-        const isTestcontainersDesktop = serverVersion.includes('Testcontainers Desktop');
-        const isTestcontainersCloud = serverVersion.includes('testcontainerscloud');
-        if (!(isTestcontainersDesktop || isTestcontainersCloud || isWithCloudLabel)) {
-            console.log(ohNo)
-            fail()
-        }
+    afterAll(() => {
+        const { json, xml } = report.write();
+        console.log(`Onboarding report written to ${json} and ${xml}`);
+    });
 
-        let runtimeName = "Testcontainers Cloud";
-        if (!isTestcontainersCloud && !isWithCloudLabel) {
-            runtimeName = operatingSystem;
-        }
-        if (serverVersion.includes("Testcontainers Desktop")) {
-            runtimeName += " via Testcontainers Desktop";
+    it('tcc cloud engine', () => report.check('tcc cloud engine', async () => {
+        const runtime = await detectRuntime();
+        report.setRuntime(runtime);
+
+        if (!runtime.supported) {
+            console.log(plain ? plainOhNo : ohNo)
+            fail(`Detected runtime "${runtime.kind}" (${runtime.serverVersion}): ${runtime.reasons.join('; ')}`)
         }
 
-        console.log(logo.replace("::::::", runtimeName));
-    });
+        expect(runtime.serverVersion).toBeTruthy();
+        expect(runtime.reasons.length).toBeGreaterThan(0);
+
+        console.log((plain ? plainLogo : logo).replace("::::::", runtime.name));
+        return { reasons: runtime.reasons };
+    }));
 
-    it('create postgresql container', async () => {
+    it('create postgresql container', () => report.check('create postgresql container', async () => {
         const initScript = `
             create table guides
             (
@@ -81,18 +86,29 @@ describe('GenericContainer', () => {
             ;
         `
 
-        const container = await new PostgreSqlContainer("postgres:14-alpine")
-            .withCopyContentToContainer([{content: initScript, target: '/docker-entrypoint-initdb.d/init.sql'}])
-            .start();
+        // The container itself is started once per run, by whichever test file asks first.
+        const { startupMs } = await connectSharedPostgres();
+        if (startupMs !== null) {
+            report.recordTiming('postgresql container start', startupMs);
+        }
+        const database = await report.time('postgresql database create', () => createTestDatabase({ migrated: false }));
         const client = new Client({
-            connectionString: container.getConnectionUri(),
+            connectionString: database.url,
         });
         await client.connect();
 
-        const result = await client.query("SELECT COUNT(*) FROM guides");
-        expect(result.rows[0]).toEqual({ "count": "6" });
+        try {
+            await client.query(initScript);
+            const result = await client.query("SELECT COUNT(*) FROM guides");
+            expect(result.rows[0]).toEqual({ "count": "6" });
+        } finally {
+            await client.end();
+            await report.time('postgresql database drop', () => database.drop());
+        }
+    }));
 
-        await client.end();
-        await container.stop();
+    // TCC_PROBES=redis,network runs a subset of the matrix.
+    describe('verification matrix', () => {
+        it.each(selectProbes().map(probe => [probe.name, probe]))('%s', (name, probe) => runProbe(probe, report));
     });
 });
\ No newline at end of file
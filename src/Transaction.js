@@ -0,0 +1,115 @@
+/**
+ * Transaction - pooled transactions with automatic rollback and savepoints
+ *
+ * `withTransaction(pool, fn)` checks a client out of a pg `Pool`, runs `fn`
+ * between BEGIN and COMMIT, rolls back when `fn` throws and always releases
+ * the client, so a failure can never leave a connection in an aborted state.
+ */
+
+// Postgres error codes for which re-running the whole transaction can succeed.
+const RETRYABLE_CODES = ['40001', '40P01']; // serialization_failure, deadlock_detected
+
+const ISOLATION_LEVELS = ['READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'];
+
+const DEFAULT_OPTIONS = {
+    isolationLevel: null,
+    retries: 3,
+    retryDelayMs: 50,
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Handle passed to transaction callbacks. `query` has the same signature as
+ * the pg client method, so repositories can be constructed on top of it.
+ */
+class Transaction {
+    constructor(client) {
+        this.client = client;
+        this.depth = 0;
+    }
+
+    query(text, values) {
+        return this.client.query(text, values);
+    }
+
+    /**
+     * Runs `fn` inside a savepoint. If `fn` throws, only the work done since
+     * the savepoint is rolled back and the error is rethrown; the enclosing
+     * transaction stays usable. If the rollback itself fails, it is attached
+     * to the rethrown error as its `cause`.
+     */
+    async savepoint(fn) {
+        const name = `sp_${++this.depth}`;
+        await this.client.query(`SAVEPOINT ${name}`);
+        try {
+            const result = await fn(this);
+            await this.client.query(`RELEASE SAVEPOINT ${name}`);
+            return result;
+        } catch (error) {
+            try {
+                await this.client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+            } catch (rollbackError) {
+                // Keep the error that made us roll back; the enclosing
+                // transaction's ROLLBACK cleans up after the failed one.
+                error.cause = rollbackError;
+            }
+            throw error;
+        } finally {
+            this.depth--;
+        }
+    }
+}
+
+async function runOnce(client, fn, isolationLevel) {
+    await client.query(isolationLevel ? `BEGIN ISOLATION LEVEL ${isolationLevel}` : 'BEGIN');
+    try {
+        const result = await fn(new Transaction(client));
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        try {
+            await client.query('ROLLBACK');
+        } catch (rollbackError) {
+            error.rollbackError = rollbackError;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Runs `fn(tx)` in a transaction on a client taken from `pool` and returns
+ * its result. Serialization failures and deadlocks re-run `fn` up to
+ * `retries` times, so `fn` must be safe to execute more than once.
+ */
+async function withTransaction(pool, fn, overrides = {}) {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    if (options.isolationLevel && !ISOLATION_LEVELS.includes(options.isolationLevel)) {
+        throw new Error(`Unknown isolation level: ${options.isolationLevel}`);
+    }
+
+    const client = await pool.connect();
+    let brokenConnection;
+    try {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await runOnce(client, fn, options.isolationLevel);
+            } catch (error) {
+                if (error.rollbackError || attempt >= options.retries || !RETRYABLE_CODES.includes(error.code)) {
+                    // A failed ROLLBACK leaves the connection unusable; passing
+                    // an error to release() makes the pool discard it.
+                    brokenConnection = error.rollbackError;
+                    throw error;
+                }
+                await sleep(options.retryDelayMs * 2 ** attempt);
+            }
+        }
+    } finally {
+        client.release(brokenConnection);
+    }
+}
+
+module.exports = {
+    Transaction,
+    withTransaction,
+};
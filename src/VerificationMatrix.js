@@ -0,0 +1,234 @@
+/**
+ * Verification Matrix - probes for the runtime features our suites use
+ *
+ * Starting one PostgreSQL container proves that a single TCP port works.
+ * Our real suites also need Redis, HTTP wait strategies, copied files and
+ * (on local runtimes) bind mounts, and containers talking to each other over a network by
+ * alias. Each probe here exercises one of those features, times its steps
+ * and reports pass or fail through an OnboardingReport.
+ *
+ * A probe is `{ id, name, run(report) }`; `run` throws when the feature does
+ * not work and may return `{ reasons }` describing what it verified.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Client } = require('pg');
+const { createClient } = require('redis');
+const { GenericContainer, Network, Wait } = require('testcontainers');
+const { PostgreSqlContainer } = require('@testcontainers/postgresql');
+const { RedisContainer } = require('@testcontainers/redis');
+const { OnboardingReport } = require('./OnboardingReport');
+const { detectRuntime } = require('./RuntimeDetection');
+
+const HELLO_WORLD_IMAGE = 'testcontainers/helloworld:1.1.0';
+const ALPINE_IMAGE = 'alpine:3.19';
+
+// Stops whatever was started, newest first, without masking the probe error.
+async function stopAll(resources) {
+    for (const resource of resources.reverse()) {
+        await resource.stop().catch(() => {});
+    }
+}
+
+const getText = (url) => new Promise((resolve, reject) => {
+    http.get(url, res => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve(body));
+    }).on('error', reject);
+});
+
+async function execOrThrow(container, command) {
+    const { exitCode, output } = await container.exec(command);
+    if (exitCode !== 0) {
+        throw new Error(`"${command.join(' ')}" exited with ${exitCode}: ${output.trim()}`);
+    }
+    return output.trim();
+}
+
+const postgresProbe = {
+    id: 'postgres',
+    name: 'PostgreSQL container',
+    async run(report) {
+        const container = await report.time('container start', () => new PostgreSqlContainer('postgres:14-alpine').start());
+        const client = new Client({ connectionString: container.getConnectionUri() });
+        try {
+            await client.connect();
+            const result = await report.time('first query', () => client.query('SELECT version()'));
+            return { reasons: [`connected to ${result.rows[0].version.split(' on ')[0]}`] };
+        } finally {
+            await client.end().catch(() => {});
+            await report.time('teardown', () => container.stop());
+        }
+    },
+};
+
+const redisProbe = {
+    id: 'redis',
+    name: 'Redis container',
+    async run(report) {
+        const container = await report.time('container start', () => new RedisContainer('redis:7-alpine').start());
+        const client = createClient({ url: container.getConnectionUrl() });
+        try {
+            await client.connect();
+            await report.time('first command', async () => {
+                await client.set('tcc:probe', 'ok');
+                const value = await client.get('tcc:probe');
+                if (value !== 'ok') {
+                    throw new Error(`Redis returned ${JSON.stringify(value)} for a key that was just set`);
+                }
+            });
+            return { reasons: ['SET/GET round trip succeeded'] };
+        } finally {
+            await client.quit().catch(() => {});
+            await report.time('teardown', () => container.stop());
+        }
+    },
+};
+
+const httpProbe = {
+    id: 'http',
+    name: 'GenericContainer with HTTP wait strategy',
+    async run(report) {
+        const container = await report.time('container start', () => new GenericContainer(HELLO_WORLD_IMAGE)
+            .withExposedPorts(8080)
+            .withWaitStrategy(Wait.forHttp('/ping', 8080).forStatusCode(200))
+            .start());
+        try {
+            const url = `http://${container.getHost()}:${container.getMappedPort(8080)}/ping`;
+            const body = await report.time('first request', () => getText(url));
+            if (body.trim() !== 'PONG') {
+                throw new Error(`${url} answered ${JSON.stringify(body)} instead of "PONG"`);
+            }
+            return { reasons: [`${url} answered PONG`] };
+        } finally {
+            await report.time('teardown', () => container.stop());
+        }
+    },
+};
+
+const filesProbe = {
+    id: 'files',
+    name: 'Copied files and bind mounts',
+    async run(report) {
+        // Remote runtimes, Testcontainers Cloud included, cannot see this
+        // machine's paths, so only copying files is expected to work there.
+        const runtime = report.runtime || await detectRuntime();
+        const hostDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tcc-probe-'));
+        fs.writeFileSync(path.join(hostDir, 'mounted.txt'), 'mounted from the host');
+        let container;
+        try {
+            container = await report.time('container start', () => {
+                const builder = new GenericContainer(ALPINE_IMAGE)
+                    .withCommand(['sleep', 'infinity'])
+                    .withCopyContentToContainer([{ content: 'copied into the container', target: '/probe/copied.txt' }]);
+                return (runtime.remote
+                    ? builder
+                    : builder.withBindMounts([{ source: hostDir, target: '/probe/mounted', mode: 'ro' }])).start();
+            });
+
+            const copied = await execOrThrow(container, ['cat', '/probe/copied.txt']);
+            if (copied !== 'copied into the container') {
+                throw new Error(`Copied file contains ${JSON.stringify(copied)}`);
+            }
+            if (runtime.remote) {
+                return {
+                    reasons: [
+                        'copied file is readable',
+                        `bind mount skipped: the ${runtime.name} runtime is remote and cannot see host paths; ` +
+                            'copy files with withCopyFilesToContainer/withCopyContentToContainer instead',
+                    ],
+                };
+            }
+            const mounted = await container.exec(['cat', '/probe/mounted/mounted.txt']);
+            if (mounted.exitCode !== 0 || mounted.output.trim() !== 'mounted from the host') {
+                throw new Error('Bind-mounted host file is not visible in the container; if the runtime is remote, ' +
+                    'copy files with withCopyFilesToContainer/withCopyContentToContainer instead');
+            }
+            return { reasons: ['copied file and bind-mounted host file are readable'] };
+        } finally {
+            if (container) {
+                await report.time('teardown', () => container.stop());
+            }
+            fs.rmSync(hostDir, { recursive: true, force: true });
+        }
+    },
+};
+
+const networkProbe = {
+    id: 'network',
+    name: 'Docker network with aliases',
+    async run(report) {
+        const started = [];
+        try {
+            const network = await report.time('network create', () => new Network().start());
+            started.push(network);
+            const server = await report.time('server start', () => new GenericContainer(HELLO_WORLD_IMAGE)
+                .withNetwork(network)
+                .withNetworkAliases('hello')
+                .withExposedPorts(8080)
+                .start());
+            started.push(server);
+            const client = await report.time('client start', () => new GenericContainer(ALPINE_IMAGE)
+                .withNetwork(network)
+                .withCommand(['sleep', 'infinity'])
+                .start());
+            started.push(client);
+
+            const body = await report.time('request by alias', () =>
+                execOrThrow(client, ['wget', '-qO-', 'http://hello:8080/ping']));
+            if (body !== 'PONG') {
+                throw new Error(`http://hello:8080/ping answered ${JSON.stringify(body)} instead of "PONG"`);
+            }
+            return { reasons: [`containers reached each other by alias on network ${network.getName()}`] };
+        } finally {
+            await report.time('teardown', () => stopAll(started));
+        }
+    },
+};
+
+const PROBES = [postgresProbe, redisProbe, httpProbe, filesProbe, networkProbe];
+
+/**
+ * Returns the probes selected by TCC_PROBES (comma-separated ids), or all
+ * of them. Unknown ids are an error rather than a silently smaller matrix.
+ */
+function selectProbes(selection = process.env.TCC_PROBES, probes = PROBES) {
+    if (!selection) {
+        return probes;
+    }
+    const ids = selection.split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ids.filter(id => !probes.some(probe => probe.id === id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown probe(s): ${unknown.join(', ')}. Known probes: ${probes.map(probe => probe.id).join(', ')}`);
+    }
+    return probes.filter(probe => ids.includes(probe.id));
+}
+
+/**
+ * Runs one probe as a check of `report`. Rethrows the probe's error.
+ */
+function runProbe(probe, report) {
+    return report.check(probe.name, () => probe.run(report));
+}
+
+/**
+ * Runs every probe, one after the other, and returns their recorded checks.
+ * A failing probe does not stop the rest of the matrix.
+ */
+async function runMatrix({ probes = selectProbes(), report = new OnboardingReport() } = {}) {
+    for (const probe of probes) {
+        await runProbe(probe, report).catch(() => {});
+    }
+    return report.checks.filter(check => probes.some(probe => probe.name === check.name));
+}
+
+module.exports = {
+    PROBES,
+    selectProbes,
+    runProbe,
+    runMatrix,
+};
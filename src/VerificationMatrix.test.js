@@ -0,0 +1,128 @@
+const mockContainers = [];
+
+jest.mock('testcontainers', () => {
+    const actual = jest.requireActual('testcontainers');
+    // Records how the probe configures its container and answers `cat` from
+    // the copied content and, where mounted, the host directory.
+    class GenericContainer extends actual.GenericContainer {
+        constructor(image) {
+            super(image);
+            this.copied = [];
+            this.mounts = [];
+            mockContainers.push(this);
+        }
+
+        withCopyContentToContainer(contents) {
+            this.copied.push(...contents);
+            return this;
+        }
+
+        withBindMounts(mounts) {
+            this.mounts.push(...mounts);
+            return this;
+        }
+
+        async start() {
+            const fs = jest.requireActual('fs');
+            const path = jest.requireActual('path');
+            const read = (file) => {
+                const copy = this.copied.find(content => content.target === file);
+                if (copy) {
+                    return copy.content;
+                }
+                const mount = this.mounts.find(candidate => file.startsWith(`${candidate.target}/`));
+                return mount ? fs.readFileSync(path.join(mount.source, path.basename(file)), 'utf8') : null;
+            };
+            return {
+                exec: async ([, file]) => {
+                    const output = read(file);
+                    return output === null
+                        ? { exitCode: 1, output: `cat: can't open '${file}': No such file or directory` }
+                        : { exitCode: 0, output };
+                },
+                stop: async () => {},
+            };
+        }
+    }
+    return { ...actual, GenericContainer };
+});
+
+const { PROBES, selectProbes, runProbe, runMatrix } = require('./VerificationMatrix');
+const { OnboardingReport, STATUS } = require('./OnboardingReport');
+
+const fakeProbe = (id, run) => ({ id, name: `${id} probe`, run });
+const filesProbe = PROBES.find(probe => probe.id === 'files');
+
+describe('Verification Matrix', () => {
+    it('should cover the runtime features our suites depend on', () => {
+        expect(PROBES.map(probe => probe.id)).toEqual(['postgres', 'redis', 'http', 'files', 'network']);
+        PROBES.forEach(probe => {
+            expect(probe.name).toBeTruthy();
+            expect(typeof probe.run).toBe('function');
+        });
+    });
+
+    it('should select probes by id', () => {
+        expect(selectProbes(undefined)).toBe(PROBES);
+        expect(selectProbes('redis, network').map(probe => probe.id)).toEqual(['redis', 'network']);
+        expect(() => selectProbes('redis,kafka')).toThrow('Unknown probe(s): kafka');
+    });
+
+    it('should run every probe, time it and record its status', async () => {
+        const report = new OnboardingReport();
+        const probes = [
+            fakeProbe('ok', async (probeReport) => {
+                await probeReport.time('container start', async () => {});
+                return { reasons: ['answered'] };
+            }),
+            fakeProbe('broken', async () => {
+                throw new Error('port 6379 never opened');
+            }),
+            fakeProbe('after', async () => {}),
+        ];
+
+        const results = await runMatrix({ probes, report });
+
+        expect(results.map(result => [result.name, result.status])).toEqual([
+            ['ok probe', STATUS.PASSED],
+            ['broken probe', STATUS.FAILED],
+            ['after probe', STATUS.PASSED],
+        ]);
+        expect(results[0].timings).toEqual([{ label: 'container start', durationMs: expect.any(Number) }]);
+        expect(results[0].reasons).toEqual(['answered']);
+        expect(results[1].reasons).toEqual(['port 6379 never opened']);
+        expect(report.toJSON().ok).toBe(false);
+    });
+
+    describe('files probe', () => {
+        beforeEach(() => {
+            mockContainers.length = 0;
+        });
+
+        it('should check copied files and bind mounts on a local runtime', async () => {
+            const report = new OnboardingReport();
+            report.setRuntime({ kind: 'desktop-embedded', name: 'Alpine Linux v3.19', remote: false });
+
+            await runProbe(filesProbe, report);
+
+            const [check] = report.checks;
+            expect(check.status).toBe(STATUS.PASSED);
+            expect(check.reasons).toEqual(['copied file and bind-mounted host file are readable']);
+            expect(mockContainers[0].mounts).toEqual([expect.objectContaining({ target: '/probe/mounted', mode: 'ro' })]);
+        });
+
+        it('should skip the bind mount on a remote runtime', async () => {
+            const report = new OnboardingReport();
+            report.setRuntime({ kind: 'cloud', name: 'Testcontainers Cloud', remote: true });
+
+            await runProbe(filesProbe, report);
+
+            const [check] = report.checks;
+            expect(check.status).toBe(STATUS.PASSED);
+            expect(check.reasons[0]).toBe('copied file is readable');
+            expect(check.reasons[1]).toMatch(/^bind mount skipped: the Testcontainers Cloud runtime is remote/);
+            expect(mockContainers[0].copied).toHaveLength(1);
+            expect(mockContainers[0].mounts).toEqual([]);
+        });
+    });
+});
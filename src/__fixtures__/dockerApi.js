@@ -0,0 +1,205 @@
+/**
+ * A local stand-in for the Docker Engine API, just large enough for
+ * Testcontainers' container runtime client and the onboarding checks:
+ * info/version, image inspect and pull, and container create, start,
+ * inspect, stop and remove. Started "containers" are backed by an HTTP
+ * server on a random local port that answers `GET /ping` with `PONG`,
+ * like testcontainers/helloworld does.
+ */
+
+const http = require('http');
+
+const DEFAULT_INFO = {
+    ServerVersion: '24.0.7-testcontainerscloud',
+    OperatingSystem: 'Ubuntu 22.04.4 LTS',
+    OSType: 'linux',
+    Architecture: 'x86_64',
+    NCPU: 2,
+    MemTotal: 4 * 1024 ** 3,
+    IndexServerAddress: 'https://index.docker.io/v1/',
+    Labels: ['cloud.docker.run.version=1.12.0'],
+};
+
+const listen = (server) => new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+        try {
+            resolve(body ? JSON.parse(body) : {});
+        } catch (error) {
+            reject(error);
+        }
+    });
+    req.on('error', reject);
+});
+
+const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+function startContainerServer() {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/ping') {
+            res.end('PONG');
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    return listen(server).then(() => server);
+}
+
+/**
+ * Starts the stand-in API. `info` is merged into the `/info` response.
+ *
+ * `fail(operation, status, message)` makes one kind of request fail from
+ * then on; operations are 'info', 'pull', 'create', 'start' and 'ping'
+ * ('ping' leaves the started container unreachable). `delay(operation, ms)`
+ * holds 'create' or 'start' requests back, like a slow engine.
+ */
+async function startDockerApi({ info = {}, images = [] } = {}) {
+    const state = {
+        images: new Set(images),
+        containers: new Map(),
+        failures: new Map(),
+        delays: new Map(),
+        requests: [],
+    };
+    let nextId = 1;
+
+    const failure = (res, operation) => {
+        const configured = state.failures.get(operation);
+        if (configured) {
+            send(res, configured.status, { message: configured.message });
+            return true;
+        }
+        return false;
+    };
+
+    const pause = (operation) => new Promise((resolve) => setTimeout(resolve, state.delays.get(operation) || 0));
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace(/^\/v[\d.]+/, '');
+        state.requests.push(`${req.method} ${path}`);
+
+        let match;
+        if (path === '/_ping') {
+            res.end('OK');
+        } else if (path === '/info') {
+            if (!failure(res, 'info')) send(res, 200, { ...DEFAULT_INFO, ...info });
+        } else if (path === '/version') {
+            send(res, 200, { Version: info.ServerVersion || DEFAULT_INFO.ServerVersion, ApiVersion: '1.43' });
+        } else if (req.method === 'GET' && (match = path.match(/^\/images\/(.+)\/json$/))) {
+            const name = decodeURIComponent(match[1]);
+            if (state.images.has(name)) {
+                send(res, 200, { Id: `sha256:${name}`, RepoTags: [name] });
+            } else {
+                send(res, 404, { message: `No such image: ${name}` });
+            }
+        } else if (req.method === 'POST' && path === '/images/create') {
+            if (failure(res, 'pull')) return;
+            const name = `${url.searchParams.get('fromImage')}:${url.searchParams.get('tag') || 'latest'}`;
+            state.images.add(name);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(`${JSON.stringify({ status: `Pulling from ${name}` })}\n` +
+                `${JSON.stringify({ status: `Status: Downloaded newer image for ${name}` })}\n`);
+        } else if (req.method === 'POST' && path === '/containers/create') {
+            let body;
+            try {
+                body = await readBody(req);
+            } catch (error) {
+                send(res, 400, { message: `invalid JSON: ${error.message}` });
+                return;
+            }
+            await pause('create');
+            if (failure(res, 'create')) return;
+            if (!state.images.has(body.Image)) {
+                send(res, 404, { message: `No such image: ${body.Image}` });
+                return;
+            }
+            const id = `stand-in-${nextId++}`;
+            state.containers.set(id, { id, config: body, running: false, server: null });
+            send(res, 201, { Id: id, Warnings: [] });
+        } else if ((match = path.match(/^\/containers\/([^/]+)(\/[a-z]+)?$/))) {
+            const container = state.containers.get(match[1]);
+            if (!container) {
+                send(res, 404, { message: `No such container: ${match[1]}` });
+                return;
+            }
+            const action = `${req.method} ${match[2] || ''}`;
+            if (action === 'POST /start') {
+                await pause('start');
+                if (failure(res, 'start')) return;
+                if (!state.containers.has(container.id)) {
+                    send(res, 404, { message: `No such container: ${container.id}` });
+                    return;
+                }
+                container.server = await startContainerServer();
+                container.running = true;
+                send(res, 204);
+            } else if (action === 'GET /json') {
+                send(res, 200, inspect(container, state));
+            } else if (action === 'POST /stop') {
+                if (container.server) await close(container.server);
+                container.server = null;
+                container.running = false;
+                send(res, 204);
+            } else if (action === 'DELETE ') {
+                if (container.server) await close(container.server);
+                state.containers.delete(container.id);
+                send(res, 204);
+            } else {
+                send(res, 404, { message: `Unsupported: ${action}` });
+            }
+        } else {
+            send(res, 404, { message: `Unsupported: ${req.method} ${path}` });
+        }
+    });
+    await listen(server);
+
+    return {
+        url: `tcp://127.0.0.1:${server.address().port}`,
+        state,
+        fail(operation, status = 500, message = `${operation} failed`) {
+            state.failures.set(operation, { status, message });
+        },
+        delay(operation, ms) {
+            state.delays.set(operation, ms);
+        },
+        reset() {
+            state.failures.clear();
+            state.delays.clear();
+            state.requests.length = 0;
+        },
+        async stop() {
+            await Promise.all([...state.containers.values()]
+                .filter((container) => container.server)
+                .map((container) => close(container.server)));
+            await close(server);
+        },
+    };
+}
+
+function inspect(container, state) {
+    const ports = {};
+    Object.keys(container.config.ExposedPorts || {}).forEach((port) => {
+        // An unreachable mapping points at a port nothing listens on.
+        const hostPort = state.failures.has('ping') || !container.server ? 1 : container.server.address().port;
+        ports[port] = [{ HostIp: '0.0.0.0', HostPort: String(hostPort) }];
+    });
+    return {
+        Id: container.id,
+        Config: container.config,
+        State: { Status: container.running ? 'running' : 'created', Running: container.running },
+        NetworkSettings: { Ports: ports },
+    };
+}
+
+module.exports = {
+    startDockerApi,
+};
@@ -0,0 +1,304 @@
+/**
+ * A local stand-in for the Gemini API `generateContent` and
+ * `streamGenerateContent` endpoints, so the real @google/genai SDK can be
+ * pointed at localhost (GEMINI_BASE_URL) and exercise actual HTTP, headers,
+ * streaming and error bodies.
+ *
+ * Responses are scripted in order: `reply(output)` queues one answer,
+ * `fail(fault)` queues one fault, and `replyAlways(output)` answers once the
+ * queue is empty. Every request is recorded with its model, API key and
+ * prompt text.
+ *
+ * The same file runs on its own (`node geminiApi.js`, port from PORT) and
+ * is what startGeminiApiContainer() runs in a GenericContainer; scripting
+ * then goes through the `/__admin` endpoints.
+ */
+
+const http = require('http');
+
+const ADMIN_PREFIX = '/__admin';
+const CONTAINER_PORT = 8080;
+
+// Faults as the Gemini API reports them. `timeout` never answers.
+const FAULTS = {
+    rateLimit: {
+        status: 429,
+        headers: { 'Retry-After': '1' },
+        error: {
+            code: 429,
+            message: 'Resource has been exhausted (e.g. check quota).',
+            status: 'RESOURCE_EXHAUSTED',
+            details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '1s' }],
+        },
+    },
+    serverError: {
+        status: 500,
+        error: { code: 500, message: 'An internal error has occurred.', status: 'INTERNAL' },
+    },
+    unavailable: {
+        status: 503,
+        error: { code: 503, message: 'The model is overloaded. Please try again later.', status: 'UNAVAILABLE' },
+    },
+    // The model answered, but its text is cut off mid-document.
+    malformedJson: { status: 200, text: '{"clubHype": "Zurich\'s latest underground' },
+    // The HTTP body itself is not JSON, e.g. an HTML page from a proxy.
+    invalidBody: { status: 502, raw: '<html><body>502 Bad Gateway</body></html>' },
+    timeout: { hang: true },
+};
+
+const listen = (server, port, host) => new Promise((resolve) => server.listen(port, host, resolve));
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+        try {
+            resolve(body ? JSON.parse(body) : {});
+        } catch (error) {
+            reject(error);
+        }
+    });
+    req.on('error', reject);
+});
+
+const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+};
+
+const invalidJson = (res, error) => send(res, 400, {
+    error: { code: 400, message: `Invalid JSON payload received. ${error.message}`, status: 'INVALID_ARGUMENT' },
+});
+
+const promptOf = (body) => (body.contents || [])
+    .flatMap((content) => (typeof content === 'string' ? [{ text: content }] : content.parts || []))
+    .map((part) => part.text || '')
+    .join('\n');
+
+// Rough token counts, so usage metadata is never missing.
+const countTokens = (text) => Math.max(1, Math.ceil(text.length / 4));
+
+const toText = (output) => (typeof output === 'string' ? output : JSON.stringify(output));
+
+const responseBody = (model, text, prompt) => {
+    const promptTokenCount = countTokens(prompt);
+    const candidatesTokenCount = countTokens(text);
+    return {
+        candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP', index: 0 }],
+        usageMetadata: { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount },
+        modelVersion: model,
+    };
+};
+
+/**
+ * Starts the stand-in API and returns its handle. With `apiKey` set, other
+ * keys are rejected the way the real API does.
+ */
+async function startGeminiApi({ apiKey = null, port = 0, host = '127.0.0.1' } = {}) {
+    const state = {
+        script: [],
+        fallback: null,
+        requests: [],
+    };
+    const sockets = new Set();
+
+    const answer = (res, request) => {
+        const step = state.script.length > 0 ? state.script.shift() : state.fallback;
+        if (!step) {
+            send(res, 500, { error: { code: 500, message: 'No scripted response left in the Gemini stand-in', status: 'INTERNAL' } });
+            return;
+        }
+        if (step.fault) {
+            const fault = FAULTS[step.fault];
+            if (step.times > 1) {
+                state.script.unshift({ ...step, times: step.times - 1 });
+            }
+            if (fault.hang) {
+                return;
+            }
+            if (fault.raw) {
+                res.writeHead(fault.status, { 'Content-Type': 'text/html' });
+                res.end(fault.raw);
+            } else if (fault.text) {
+                send(res, 200, responseBody(request.model, fault.text, request.prompt));
+            } else {
+                send(res, fault.status, { error: fault.error }, fault.headers);
+            }
+            return;
+        }
+
+        const text = toText(step.output);
+        if (request.method === 'streamGenerateContent') {
+            // Server-sent events, one chunk per sentence-sized slice of the text.
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            const chunks = text.match(/[\s\S]{1,40}/g) || [''];
+            chunks.forEach((chunk) => {
+                res.write(`data: ${JSON.stringify(responseBody(request.model, chunk, request.prompt))}\r\n\r\n`);
+            });
+            res.end();
+        } else {
+            send(res, 200, responseBody(request.model, text, request.prompt));
+        }
+    };
+
+    const handle = {
+        reply(output) {
+            state.script.push({ output });
+        },
+        replyAlways(output) {
+            state.fallback = { output };
+        },
+        fail(fault, { times = 1 } = {}) {
+            if (!FAULTS[fault]) {
+                throw new Error(`Unknown fault "${fault}"; use one of ${Object.keys(FAULTS).join(', ')}`);
+            }
+            state.script.push({ fault, times });
+        },
+        requests() {
+            return state.requests;
+        },
+        prompts() {
+            return state.requests.map((request) => request.prompt);
+        },
+        reset() {
+            state.script.length = 0;
+            state.fallback = null;
+            state.requests.length = 0;
+        },
+    };
+
+    const admin = async (req, res, path) => {
+        let body = {};
+        if (req.method === 'POST') {
+            try {
+                body = await readBody(req);
+            } catch (error) {
+                invalidJson(res, error);
+                return;
+            }
+        }
+        if (path === '/health') {
+            send(res, 200, { status: 'ok' });
+        } else if (path === '/reply') {
+            handle.reply(body.output);
+            send(res, 200, {});
+        } else if (path === '/replyAlways') {
+            handle.replyAlways(body.output);
+            send(res, 200, {});
+        } else if (path === '/fail' && FAULTS[body.fault]) {
+            handle.fail(body.fault, body);
+            send(res, 200, {});
+        } else if (path === '/requests') {
+            send(res, 200, state.requests);
+        } else if (path === '/reset') {
+            handle.reset();
+            send(res, 200, {});
+        } else {
+            send(res, 404, { message: `Unsupported: ${req.method} ${ADMIN_PREFIX}${path}` });
+        }
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname.startsWith(ADMIN_PREFIX)) {
+            await admin(req, res, url.pathname.slice(ADMIN_PREFIX.length));
+            return;
+        }
+
+        const match = req.method === 'POST' && url.pathname.match(/^\/v1\w*\/models\/([^/:]+):(generateContent|streamGenerateContent)$/);
+        if (!match) {
+            send(res, 404, { error: { code: 404, message: `Unsupported: ${req.method} ${url.pathname}`, status: 'NOT_FOUND' } });
+            return;
+        }
+
+        let body;
+        try {
+            body = await readBody(req);
+        } catch (error) {
+            invalidJson(res, error);
+            return;
+        }
+        const key = req.headers['x-goog-api-key'] || url.searchParams.get('key');
+        const request = { model: match[1], method: match[2], apiKey: key || null, prompt: promptOf(body), body };
+        state.requests.push(request);
+
+        if (!key) {
+            send(res, 403, { error: { code: 403, message: 'Method doesn\'t allow unregistered callers.', status: 'PERMISSION_DENIED' } });
+        } else if (apiKey && key !== apiKey) {
+            send(res, 400, { error: { code: 400, message: 'API key not valid. Please pass a valid API key.', status: 'INVALID_ARGUMENT' } });
+        } else {
+            answer(res, request);
+        }
+    });
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+    await listen(server, port, host);
+
+    return {
+        ...handle,
+        url: `http://127.0.0.1:${server.address().port}`,
+        state,
+        stop() {
+            // Hanging `timeout` requests would otherwise keep the server open.
+            sockets.forEach((socket) => socket.destroy());
+            return new Promise((resolve) => server.close(resolve));
+        },
+    };
+}
+
+const adminRequest = (url, method, path, body) => new Promise((resolve, reject) => {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    const req = http.request(`${url}${ADMIN_PREFIX}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+    }, (res) => {
+        let text = '';
+        res.on('data', (chunk) => { text += chunk; });
+        res.on('end', () => (res.statusCode === 200
+            ? resolve(JSON.parse(text))
+            : reject(new Error(`Gemini stand-in ${path} answered ${res.statusCode}: ${text}`))));
+    });
+    req.on('error', reject);
+    req.end(payload);
+});
+
+/**
+ * Runs this file in a `node` container and returns a handle with the same
+ * methods as startGeminiApi(), returning promises. Function outputs cannot
+ * be scripted this way.
+ */
+async function startGeminiApiContainer({ image = 'node:20-alpine' } = {}) {
+    const { GenericContainer, Wait } = require('testcontainers');
+    const container = await new GenericContainer(image)
+        .withCopyFilesToContainer([{ source: __filename, target: '/stand-in/geminiApi.js' }])
+        .withCommand(['node', '/stand-in/geminiApi.js'])
+        .withEnvironment({ PORT: String(CONTAINER_PORT) })
+        .withExposedPorts(CONTAINER_PORT)
+        .withWaitStrategy(Wait.forHttp(`${ADMIN_PREFIX}/health`, CONTAINER_PORT))
+        .start();
+    const url = `http://${container.getHost()}:${container.getMappedPort(CONTAINER_PORT)}`;
+
+    return {
+        url,
+        reply: (output) => adminRequest(url, 'POST', '/reply', { output }),
+        replyAlways: (output) => adminRequest(url, 'POST', '/replyAlways', { output }),
+        fail: (fault, { times = 1 } = {}) => adminRequest(url, 'POST', '/fail', { fault, times }),
+        requests: () => adminRequest(url, 'GET', '/requests'),
+        prompts: async () => (await adminRequest(url, 'GET', '/requests')).map((request) => request.prompt),
+        reset: () => adminRequest(url, 'POST', '/reset', {}),
+        stop: () => container.stop(),
+    };
+}
+
+if (require.main === module) {
+    startGeminiApi({ port: Number(process.env.PORT) || CONTAINER_PORT, host: '0.0.0.0', apiKey: process.env.GEMINI_API_KEY || null })
+        .then((api) => console.log(`Gemini stand-in listening on port ${new URL(api.url).port}`));
+}
+
+module.exports = {
+    FAULTS,
+    startGeminiApi,
+    startGeminiApiContainer,
+};
@@ -0,0 +1,38 @@
+/**
+ * In-memory publishers for queue tests. They record what they were asked
+ * to publish and fail on demand, like a platform API that is down or
+ * rejects a post.
+ */
+
+const { PublishError } = require('../Publishers');
+
+class FakePublisher {
+    constructor(platform) {
+        this.platform = platform;
+        this.published = [];
+        this.failures = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Makes the next `times` publish calls fail with `message`.
+     */
+    failNext({ times = 1, message = `${this.platform} is unavailable`, retryable = true } = {}) {
+        for (let i = 0; i < times; i++) {
+            this.failures.push(new PublishError(message, { retryable }));
+        }
+    }
+
+    async publish(payload, job) {
+        if (this.failures.length > 0) {
+            throw this.failures.shift();
+        }
+        const externalId = `${this.platform}-${this.nextId++}`;
+        this.published.push({ externalId, jobId: job.id, payload });
+        return { externalId };
+    }
+}
+
+module.exports = {
+    FakePublisher,
+};
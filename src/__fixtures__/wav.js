@@ -0,0 +1,65 @@
+/**
+ * Generated WAV fixtures for offline audio analysis tests.
+ */
+
+/**
+ * Encodes mono `samples` (range [-1, 1]) as a PCM WAV buffer, duplicating
+ * them across `channels`.
+ */
+function encodeWav(samples, { sampleRate = 22050, channels = 1, bitDepth = 16 } = {}) {
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels * bytesPerSample;
+    const dataLength = samples.length * blockAlign;
+    const buffer = Buffer.alloc(44 + dataLength);
+
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataLength, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(channels, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * blockAlign, 28);
+    buffer.writeUInt16LE(blockAlign, 32);
+    buffer.writeUInt16LE(bitDepth, 34);
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataLength, 40);
+
+    const max = 2 ** (bitDepth - 1) - 1;
+    samples.forEach((sample, frame) => {
+        const value = Math.round(Math.max(-1, Math.min(1, sample)) * max);
+        for (let channel = 0; channel < channels; channel++) {
+            const offset = 44 + frame * blockAlign + channel * bytesPerSample;
+            if (bitDepth === 8) {
+                buffer.writeUInt8(value + 128, offset);
+            } else {
+                buffer.writeIntLE(value, offset, bytesPerSample);
+            }
+        }
+    });
+    return buffer;
+}
+
+/**
+ * A four-on-the-floor click track: a short decaying 100Hz kick on every beat.
+ */
+function clickTrack({ bpm, seconds, sampleRate = 22050 }) {
+    const samples = new Float32Array(Math.round(seconds * sampleRate));
+    const beatLength = (60 / bpm) * sampleRate;
+    const kickLength = Math.round(0.05 * sampleRate);
+
+    for (let beat = 0; beat * beatLength < samples.length; beat++) {
+        const start = Math.round(beat * beatLength);
+        for (let i = 0; i < kickLength && start + i < samples.length; i++) {
+            const t = i / sampleRate;
+            samples[start + i] = 0.8 * Math.sin(2 * Math.PI * 100 * t) * Math.exp(-t * 60);
+        }
+    }
+    return samples;
+}
+
+module.exports = {
+    encodeWav,
+    clickTrack,
+};
@@ -0,0 +1,7 @@
+const { serveSharedPostgres } = require('../TestDatabase');
+
+module.exports = async () => {
+    // globalSetup and globalTeardown share this process' globals. The
+    // container itself only starts once a test file asks for a database.
+    globalThis.__SHARED_POSTGRES__ = await serveSharedPostgres();
+};
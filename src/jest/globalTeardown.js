@@ -0,0 +1,3 @@
+module.exports = async () => {
+    await globalThis.__SHARED_POSTGRES__.close();
+};